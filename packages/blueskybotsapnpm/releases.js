@@ -0,0 +1,677 @@
+const semver = require('semver');
+const RateLimiter = require('limiter').RateLimiter;
+const {
+  botConfigSchema,
+  HttpError,
+  classifyError,
+  getBackoffDelay,
+  createComposer,
+  splitIntoPosts,
+  createReleaseNotes,
+  parseRepository,
+} = require('bluesky-bot-runtime');
+
+// Settings read from config.yaml (or the file in BOT_CONFIG)
+const CONFIG_SCHEMA = botConfigSchema({
+  // npm search terms, usually scopes
+  npmScopes: { type: 'array', minItems: 1, items: { type: 'string' }, env: 'NPM_SCOPES' },
+  // URLs of the sources.json files
+  sourcesJsonUrls: { type: 'array', items: { type: 'string', format: 'uri' }, default: [], env: 'SOURCES_JSON_URLS' },
+  // Minimum time between two npm registry requests
+  npmRateLimitInterval: { type: 'duration', default: '1s', env: 'NPM_RATE_LIMIT_INTERVAL' },
+  registryUrl: { type: 'string', format: 'uri', default: 'https://registry.npmjs.org', env: 'NPM_REGISTRY_URL' },
+  // Registry changes feed, tells which packages of the sources.json files changed
+  changesFeed: {
+    type: 'object',
+    additionalProperties: false,
+    default: {},
+    properties: {
+      enabled: { type: 'boolean', default: true, env: 'NPM_CHANGES_FEED' },
+      url: { type: 'string', format: 'uri', default: 'https://replicate.npmjs.com/registry/_changes', env: 'NPM_CHANGES_FEED_URL' },
+      // Pages of 10000 changes read per check, the rest is read on the next one
+      maxPages: { type: 'integer', minimum: 1, default: 10 },
+    },
+  },
+  // Which new versions are posted, per package, scope ("@sap-ux") or for all
+  // ("*"): the release classes, prereleases, and one post for several
+  // versions of a package
+  releases: {
+    type: 'object',
+    default: {},
+    additionalProperties: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        classes: { type: 'array', items: { type: 'string', enum: ['major', 'minor', 'patch'] } },
+        prereleases: { type: 'boolean' },
+        collapse: { type: 'boolean' },
+      },
+    },
+  },
+  // Releases of a scope or repository (the packument's `repository`) go out
+  // as one post once `window` after the first of them is over, when there
+  // are at least `minSize` of them
+  bursts: {
+    type: 'object',
+    additionalProperties: false,
+    default: {},
+    properties: {
+      enabled: { type: 'boolean', default: true, env: 'NPM_BURSTS' },
+      groupBy: { type: 'string', enum: ['scope', 'repository'], default: 'scope', env: 'NPM_BURSTS_GROUP_BY' },
+      window: { type: 'duration', default: '15m', env: 'NPM_BURSTS_WINDOW' },
+      minSize: { type: 'integer', minimum: 2, default: 3 },
+    },
+  },
+  // Release notes of a new version, from its GitHub release or the section
+  // in CHANGELOG.md, as a link card or a reply below the post. Off by default,
+  // see the README about GITHUB_TOKEN.
+  releaseNotes: {
+    type: 'object',
+    additionalProperties: false,
+    default: {},
+    properties: {
+      enabled: { type: 'boolean', default: false, env: 'NPM_RELEASE_NOTES' },
+      as: { type: 'string', enum: ['card', 'reply'], default: 'card', env: 'NPM_RELEASE_NOTES_AS' },
+      // Graphemes of the summary
+      maxLength: { type: 'integer', minimum: 50, maximum: 240, default: 200 },
+      githubApiUrl: { type: 'string', format: 'uri', default: 'https://api.github.com', env: 'GITHUB_API_URL' },
+      githubRawUrl: { type: 'string', format: 'uri', default: 'https://raw.githubusercontent.com', env: 'GITHUB_RAW_URL' },
+    },
+  },
+  // Packages the registry answers with an error are skipped for a while: not
+  // found (404, 410) for `ttl`, rate limits and server errors, after the
+  // retries of the request, from `retryDelay` doubling up to `maxRetryDelay`
+  notFound: {
+    type: 'object',
+    additionalProperties: false,
+    default: {},
+    properties: {
+      ttl: { type: 'duration', default: '7d', env: 'NPM_NOT_FOUND_TTL' },
+      retryDelay: { type: 'duration', default: '1h', env: 'NPM_RETRY_DELAY' },
+      maxRetryDelay: { type: 'duration', default: '1d', env: 'NPM_MAX_RETRY_DELAY' },
+    },
+  },
+}, { required: ['npmScopes'] });
+
+// Abbreviated packument: dist-tags, versions and `modified`, without readmes
+const ABBREVIATED_METADATA = 'application/vnd.npm.install-v1+json';
+const CHANGES_PAGE_SIZE = 10000;
+const DEFAULT_RELEASES = { classes: ['major', 'minor', 'patch'], prereleases: false, collapse: true };
+
+const NOT_FOUND_STATUSES = new Set([404, 410]);
+const isTransientStatus = (status) => status === 429 || status === 408 || status >= 500;
+
+const scopeOf = (pkgName) => (pkgName.startsWith('@') ? pkgName.split('/')[0] : null);
+
+// major, minor, patch or prerelease, compared with the highest stable version
+// below it. The first stable version of a package is a major release.
+function classifyVersion(version, versions) {
+  if (semver.prerelease(version)) {
+    return 'prerelease';
+  }
+  const previous = versions
+    .filter((candidate) => semver.valid(candidate) && !semver.prerelease(candidate) && semver.lt(candidate, version))
+    .sort(semver.rcompare)[0];
+  return previous ? semver.diff(previous, version) : 'major';
+}
+
+// Versions published after `since`, oldest first: [{ version, published }]
+function versionsSince(data, since) {
+  const time = data.time || {};
+  return Object.keys(data.versions || {})
+    .filter((version) => semver.valid(version) && time[version] && time[version] > since)
+    .sort((a, b) => time[a].localeCompare(time[b]))
+    .map((version) => ({ version, published: time[version] }));
+}
+
+// Post templates, a long package name is only shortened in the first line
+const composer = createComposer({
+  post: {
+    text: '📦 New version of {name}\nVersion updated to {version}{change}\n🔗 Link to npm package: {link}',
+    shorten: ['name'],
+  },
+  // Several versions published since the last check
+  collapsed: {
+    text: '📦 New versions of {name}\nVersions: {versions}\n🔗 Link to npm package: {link}',
+    shorten: ['name', 'versions'],
+  },
+  // Reply with the release notes
+  notes: {
+    text: '📝 What changed in {version}:\n{summary}\n{link}',
+    shorten: ['summary'],
+  },
+});
+
+// "minor" or "prerelease, tag next"
+const describeRelease = ({ releaseClass, tag }) => (tag && tag !== 'latest' ? `${releaseClass}, tag ${tag}` : releaseClass);
+
+// "github.com/SAP/open-ux-tools" of an item's repository
+const repositoryLocation = ({ repository }) => {
+  const parsed = parseRepository(repository);
+  return parsed ? parsed.location : null;
+};
+
+// A burst: a summary listing as many releases as fit, the others as a
+// thread below it
+function formatBurst({ key, items }) {
+  const link = key.startsWith('@') ? `https://www.npmjs.com/org/${key.slice(1)}` : `https://${key}`;
+  const lines = items.map(({ name, version, releases = [] }) => [
+    '• ',
+    { text: `${name}@${version}`, link: `https://www.npmjs.com/package/${name}/v/${version}` },
+    releases.length > 0 ? ` (${describeRelease(releases[releases.length - 1])})` : '',
+  ]);
+  const [first, ...replies] = splitIntoPosts(lines, {
+    header: [`📦 New versions of ${items.length} `, { text: key, link }, ' packages:'],
+    continued: [`📦 ${key} (continued):`],
+  });
+  return { ...first, replies };
+}
+
+// The post text. Items queued before versions were classified have no
+// releases.
+function formatText({ name, version, releases = [] }) {
+  const link = `https://www.npmjs.com/package/${name}`;
+  if (releases.length > 1) {
+    const versions = releases.map((release) => `${release.version} (${describeRelease(release)})`).join(', ');
+    return composer.compose('collapsed', { name, versions, link });
+  }
+  const change = releases.length === 1 ? ` (${describeRelease(releases[0])})` : '';
+  return composer.compose('post', { name, version, change, link });
+}
+
+// The release checks of the bot: sources, formatter and the failed packages.
+//
+// notFoundPackages: packages the registry did not return, skipped until
+//                   `retryAt`: { status, kind: 'not-found' | 'transient' |
+//                   'rejected', reason, failures, retryAt, error }
+// packageIndex:     latest version and `modified` time of every package
+//                   checked, so a package is only fetched again once it
+//                   changed: { "<name>": { version, modified } }.
+//                   "$changes:<source>" records hold the position of a
+//                   source in the changes feed.
+// Both are state stores, see loadState().
+function createNpmReleases({ config, notFoundPackages, packageIndex, now = () => new Date() }) {
+  // Rate limiter for npm API
+  const createNpmLimiter = () => new RateLimiter({ tokensPerInterval: 1, interval: config.current.npmRateLimitInterval });
+  let npmLimiter = createNpmLimiter();
+  config.onReload((current, previous) => {
+    if (current.npmRateLimitInterval !== previous.npmRateLimitInterval) {
+      npmLimiter = createNpmLimiter();
+    }
+  });
+
+  // The entry of a package with `kind` and `retryAt`, null when it has none.
+  // Entries written before failures were classified have neither: a transient
+  // one is checked again right away, the others once the TTL is over.
+  function suppressionOf(pkgName) {
+    const entry = notFoundPackages.get(pkgName);
+    if (!entry) {
+      return null;
+    }
+    if (entry.retryAt) {
+      return entry;
+    }
+    const transient = isTransientStatus(entry.status);
+    const since = new Date(entry.updatedAt).getTime();
+    return {
+      ...entry,
+      kind: transient ? 'transient' : 'not-found',
+      reason: entry.status ? `status ${entry.status}` : 'recorded before failures were classified',
+      retryAt: new Date(transient ? since : since + config.current.notFound.ttl).toISOString(),
+    };
+  }
+
+  // Remember a package the registry answered with an error, or could not be
+  // reached for (no status). The request was retried already, see
+  // createHttpClient().
+  function recordFailure(pkgName, error) {
+    const { ttl, retryDelay, maxRetryDelay } = config.current.notFound;
+    const { kind: errorKind, reason, retryAfter } = classifyError(error);
+    let kind = 'rejected';
+    if (errorKind === 'transient') {
+      kind = 'transient';
+    } else if (NOT_FOUND_STATUSES.has(error.status)) {
+      kind = 'not-found';
+    }
+    const previous = suppressionOf(pkgName);
+    const failures = previous && previous.kind === kind ? (previous.failures || 1) + 1 : 1;
+    const delay = kind === 'transient'
+      ? Math.max(retryAfter || 0, getBackoffDelay(failures - 1, { baseDelay: retryDelay, maxDelay: maxRetryDelay }))
+      : ttl;
+    return notFoundPackages.set(pkgName, {
+      status: error.status,
+      kind,
+      reason: kind === 'transient' ? reason : `status ${error.status}`,
+      failures,
+      retryAt: new Date(now().getTime() + delay).toISOString(),
+      error: error.message,
+    });
+  }
+
+  // Latest version and publish date of the packages an npm search term
+  // (usually a scope) finds: [{ name, version, date }]
+  const searchPackages = async (searchTerm, { log, http }) => {
+    log.info(`Fetching ${searchTerm} packages...`);
+    const packages = [];
+    let hasMore = true;
+    let from = 0;
+    const size = 250; // Max size per request
+
+    while (hasMore) {
+      // Wait for rate limiter
+      await npmLimiter.removeTokens(1);
+
+      const searchUrl = `${config.current.registryUrl}/-/v1/search?text=${encodeURIComponent(searchTerm)}&size=${size}&from=${from}`;
+      const data = (await http.get(searchUrl, { keepBody: true })).json();
+
+      packages.push(...data.objects.map(({ package: pkg }) => ({ name: pkg.name, version: pkg.version, date: pkg.date })));
+      from += size;
+      hasMore = data.objects.length > 0;
+    }
+    log.info(`Fetched ${packages.length} ${searchTerm} packages.`);
+    // Remove any duplicates
+    return [...new Map(packages.map((pkg) => [pkg.name, pkg])).values()];
+  };
+
+  // Names of the packages listed in a sources.json file
+  const fetchSourcesPackages = async (url, { log, http }) => {
+    log.info(`Fetching packages from ${url}...`);
+    // Wait for rate limiter
+    await npmLimiter.removeTokens(1);
+    const data = (await http.get(url, { keepBody: true })).json();
+
+    const packages = [];
+    data.forEach((item) => {
+      if (item.subpackages && Array.isArray(item.subpackages)) {
+        item.subpackages.forEach((subpkg) => {
+          if (subpkg.name) {
+            packages.push(subpkg.name);
+          }
+        });
+      } else if (item.repo) {
+        // Use the repo name as the package name
+        packages.push(item.repo);
+      }
+    });
+    log.info(`Fetched ${packages.length} packages from ${url}.`);
+    return [...new Set(packages)];
+  };
+
+  // Registry document of a package, null when the registry does not have it.
+  // The abbreviated one by default, `full` adds the publish time of every
+  // version.
+  async function fetchPackument(pkgName, { full = false, log, http, persistState }) {
+    // Enforce npm API rate limit
+    await npmLimiter.removeTokens(1);
+    log.debug('Fetching npm registry data', { package: pkgName, full });
+
+    const startedAt = Date.now();
+    try {
+      // Both documents have the same URL, the full one is only fetched after a
+      // change and never conditionally
+      const response = await http.get(`${config.current.registryUrl}/${encodeURIComponent(pkgName)}`, {
+        headers: { Accept: full ? 'application/json' : ABBREVIATED_METADATA },
+        conditional: !full,
+      });
+      if (persistState && notFoundPackages.has(pkgName)) {
+        log.info(`Package ${pkgName} is back, checking it again from now on`, { package: pkgName });
+        notFoundPackages.delete(pkgName);
+      }
+      return response;
+    } catch (error) {
+      // Network errors and timeouts are transient like 429 and 5xx, anything
+      // else is a bug
+      if (!(error instanceof HttpError) && classifyError(error).kind !== 'transient') {
+        throw error;
+      }
+      const fields = { package: pkgName, status: error.status, durationMs: Date.now() - startedAt };
+      // Not written in dry-run mode, a preview must not silence a package
+      if (!persistState) {
+        log.warn(`Failed to fetch package ${pkgName}: ${error.message}`, fields);
+        return null;
+      }
+      const { kind, retryAt } = recordFailure(pkgName, error);
+      log.warn(`Failed to fetch package ${pkgName} (${kind}), skipping it until ${retryAt}: ${error.message}`, fields);
+      return null;
+    }
+  }
+
+  // Release settings of a package: its own entry over its scope's over "*"
+  function releaseSettings(pkgName) {
+    const { releases } = config.current;
+    const scope = scopeOf(pkgName);
+    return { ...DEFAULT_RELEASES, ...releases['*'], ...(scope && releases[scope]), ...releases[pkgName] };
+  }
+
+  // The new releases of a package as items, oldest first. A package is only
+  // fetched when it changed: its latest version and date in the search result
+  // differ from the index, or the changes feed lists it (`changed`). The first
+  // time a package is seen only its latest version counts, afterwards every
+  // version published since the last check.
+  //
+  // The index is updated once the items were handled: the generator only
+  // goes on when the bot asks for the next item, and a stopped check ends it
+  // before, so the releases are found again on the next check.
+  async function* checkPackage(pkgName, { searchResult = null, changed = true }, context) {
+    const { isPosted, log, persistState } = context;
+    // Skip packages the registry failed to return until they are due again
+    const suppression = suppressionOf(pkgName);
+    if (suppression && new Date(suppression.retryAt) > now()) {
+      log.debug(`Skipping package until ${suppression.retryAt} (${suppression.kind})`, { package: pkgName, status: suppression.status });
+      return;
+    }
+
+    // The index is left alone in dry-run mode, so the versions are found again
+    const remember = (fields) => {
+      if (persistState) {
+        packageIndex.set(pkgName, fields);
+      }
+    };
+
+    const indexed = packageIndex.get(pkgName);
+    // A package due again after a failure is fetched even when it looks
+    // unchanged, so its entry goes away once the registry returns it
+    const stale = Boolean(suppression) || !indexed || (searchResult
+      ? indexed.version !== searchResult.version || indexed.modified < searchResult.date
+      : changed);
+    if (!stale) {
+      return;
+    }
+    if (!indexed && searchResult && isPosted(`${pkgName}@${searchResult.version}`)) {
+      // Posted before the index existed
+      remember({ version: searchResult.version, modified: searchResult.date });
+      return;
+    }
+
+    const response = await fetchPackument(pkgName, context);
+    if (!response) {
+      return;
+    }
+    if (response.notModified) {
+      log.debug('Package not modified since the last check', { package: pkgName });
+      return;
+    }
+    const data = response.json();
+    const latestVersion = data['dist-tags'] && data['dist-tags'].latest;
+    if (!latestVersion) {
+      log.warn(`No latest version found for package ${pkgName}`, { package: pkgName });
+      return;
+    }
+    const modified = data.modified || null;
+    if (indexed && modified && indexed.modified >= modified) {
+      return;
+    }
+
+    // The full document has the publish times, and the repository to group
+    // bursts by
+    const { bursts } = config.current;
+    let document = null;
+    if (indexed || (bursts.enabled && bursts.groupBy === 'repository')) {
+      const full = await fetchPackument(pkgName, { ...context, full: true });
+      if (!full) {
+        return;
+      }
+      document = full.json();
+    }
+
+    let releases;
+    if (indexed) {
+      releases = versionsSince(document, indexed.modified);
+    } else {
+      const published = searchResult && searchResult.version === latestVersion ? searchResult.date : modified;
+      releases = [{ version: latestVersion, published }];
+    }
+
+    const versions = Object.keys(data.versions || {});
+    const tags = new Map(Object.entries(data['dist-tags']).map(([tag, version]) => [version, tag]));
+    const settings = releaseSettings(pkgName);
+    const wanted = [];
+    for (const release of releases) {
+      const packageId = `${pkgName}@${release.version}`;
+      // Skip if already posted
+      if (isPosted(packageId)) {
+        log.debug('Version already posted', { itemId: packageId });
+        continue;
+      }
+      const releaseClass = classifyVersion(release.version, versions);
+      const posted = releaseClass === 'prerelease' ? settings.prereleases : settings.classes.includes(releaseClass);
+      if (!posted) {
+        log.debug(`Skipping ${packageId}, ${releaseClass} releases are not posted`, { itemId: packageId });
+        continue;
+      }
+      log.info(`New version detected: ${packageId} (${releaseClass})`, { itemId: packageId });
+      wanted.push({ ...release, releaseClass, tag: tags.get(release.version) || null });
+    }
+
+    // One item for the newest of the releases
+    const itemFor = (group) => {
+      const newest = group[group.length - 1];
+      const packageId = `${pkgName}@${newest.version}`;
+      return {
+        id: packageId,
+        label: `"${packageId}"`,
+        title: packageId,
+        name: pkgName,
+        version: newest.version,
+        releases: group,
+        scope: scopeOf(pkgName),
+        // Unknown without the full document, see findReleaseNotes()
+        ...(document ? { repository: document.repository || null } : {}),
+        // Publish time of the version, decides about posting it when seeding
+        published: newest.published || null,
+      };
+    };
+    if (wanted.length > 0) {
+      yield* settings.collapse ? [itemFor(wanted)] : wanted.map((release) => itemFor([release]));
+    }
+    remember({ version: latestVersion, modified });
+  }
+
+  // Changes feed pages read during the current check, shared by the sources
+  // that start at the same position
+  let changesRead = null;
+
+  // Names of the packages changed since `since` in the registry changes feed,
+  // and the position to continue from
+  async function readChanges(since, { log, http }) {
+    if (changesRead && changesRead.since === since) {
+      return changesRead.result;
+    }
+    const { url, maxPages } = config.current.changesFeed;
+    const read = async () => {
+      const changed = new Set();
+      let seq = since;
+      for (let page = 0; page < maxPages; page++) {
+        await npmLimiter.removeTokens(1);
+        const changesUrl = `${url}?since=${encodeURIComponent(seq)}&limit=${CHANGES_PAGE_SIZE}`;
+        const data = (await http.get(changesUrl, { conditional: false })).json();
+        data.results.forEach((change) => changed.add(change.id));
+        seq = data.last_seq;
+        if (data.results.length < CHANGES_PAGE_SIZE) {
+          break;
+        }
+      }
+      log.info(`Read ${changed.size} changed packages from the registry changes feed`);
+      return { changed, seq };
+    };
+    changesRead = { since, result: read() };
+    return changesRead.result;
+  }
+
+  // The packages of a source changed since its last check: { changed, seq }.
+  // `changed` is null when every package has to be checked: on the first check
+  // of a source, which starts the feed at its current end, and when the feed
+  // cannot be read.
+  async function changedPackages(sourceName, context) {
+    if (!config.current.changesFeed.enabled) {
+      return { changed: null, seq: null };
+    }
+    const position = packageIndex.get(`$changes:${sourceName}`);
+    try {
+      if (!position) {
+        await npmLimiter.removeTokens(1);
+        const dbUrl = config.current.changesFeed.url.replace(/_changes$/, '');
+        const { update_seq: seq } = (await context.http.get(dbUrl, { conditional: false })).json();
+        return { changed: null, seq };
+      }
+      return await readChanges(position.seq, context);
+    } catch (error) {
+      context.log.warn(`Could not read the registry changes feed, checking every package: ${error.message}`);
+      return { changed: null, seq: position ? position.seq : null };
+    }
+  }
+
+  // Yields the new releases of the packages a search found, packages whose
+  // version and date did not change are not fetched
+  async function* fetchSearchedReleases(packages, context) {
+    context.log.info(`Total packages to check: ${packages.length}`);
+    for (const pkg of packages) {
+      yield* checkPackage(pkg.name, { searchResult: pkg }, context);
+    }
+  }
+
+  // Yields the new releases of a list of packages. Only packages the changes
+  // feed lists, and packages not in the index yet, are fetched.
+  async function* fetchListedReleases(packages, sourceName, context) {
+    const { changed, seq } = await changedPackages(sourceName, context);
+    const isChanged = (name) => !changed || changed.has(name);
+    context.log.info(`Total packages to check: ${packages.length}, ${changed ? packages.filter(isChanged).length : 'all'} changed`);
+    for (const name of packages) {
+      yield* checkPackage(name, { changed: isChanged(name) }, context);
+    }
+    // Only once every package was checked, an interrupted check reads the same
+    // changes again
+    if (seq !== null && context.persistState) {
+      packageIndex.set(`$changes:${sourceName}`, { seq });
+    }
+  }
+
+  // One source per search term and sources.json file, so a scope added to the
+  // config is seeded instead of posting all of its packages
+  function createSearchSource(searchTerm) {
+    return {
+      name: `npm search ${searchTerm}`,
+      fetch: async function* (context) {
+        yield* fetchSearchedReleases(await searchPackages(searchTerm, context), context);
+      },
+    };
+  }
+
+  function createSourcesJsonSource(url) {
+    return {
+      name: url,
+      fetch: async function* (context) {
+        yield* fetchListedReleases(await fetchSourcesPackages(url, context), url, context);
+      },
+    };
+  }
+
+  // The `repository` field of a version's package.json, null when it has none
+  // or the registry cannot be reached
+  async function fetchRepository(pkgName, version, { log, http }) {
+    await npmLimiter.removeTokens(1);
+    try {
+      const response = await http.get(`${config.current.registryUrl}/${pkgName}/${version}`, { conditional: false });
+      return response.json().repository || null;
+    } catch (error) {
+      log.warn(`Could not read the repository of ${pkgName}@${version}: ${error.message}`, { package: pkgName });
+      return null;
+    }
+  }
+
+  // Release notes of the newest version of an item, see release-notes.js
+  async function findReleaseNotes(item, { log, http }) {
+    const { enabled, maxLength, githubApiUrl, githubRawUrl } = config.current.releaseNotes;
+    if (!enabled) {
+      return null;
+    }
+    const repository = item.repository !== undefined ? item.repository : await fetchRepository(item.name, item.version, { log, http });
+    const releaseNotes = createReleaseNotes({ http, log, maxLength, githubApiUrl, githubRawUrl });
+    return releaseNotes.find({ repository, name: item.name, version: item.version }, { log });
+  }
+
+  // Prepare the post content, with the release notes as a link card or a reply
+  async function formatPost(item, source, context) {
+    if (item.burst) {
+      return formatBurst(item.burst);
+    }
+    const post = { text: formatText(item) };
+    const notes = await findReleaseNotes(item, context);
+    if (!notes) {
+      return post;
+    }
+    context.log.debug(`Found the release notes of ${item.id} in the ${notes.source}`, { url: notes.url });
+    if (config.current.releaseNotes.as === 'reply') {
+      return { ...post, replies: [{ text: composer.compose('notes', { version: item.version, summary: notes.text, link: notes.url }) }] };
+    }
+    return {
+      ...post,
+      embed: {
+        $type: 'app.bsky.embed.external',
+        external: { uri: notes.url, title: `${item.name} ${item.version}: release notes`, description: notes.text },
+      },
+    };
+  }
+
+  // Load the stores. With `persistState` a not-found list in the old layout
+  // is written in the new one right away: migrated entries are stamped with
+  // the time of loading, and would otherwise wait for the TTL again after
+  // every restart. A report or a dry run leaves the file as it is.
+  function loadState({ persistState = true } = {}) {
+    notFoundPackages.load();
+    if (persistState && notFoundPackages.isLegacy) {
+      notFoundPackages.migrate();
+    }
+    packageIndex.load();
+  }
+
+  // Every package that is skipped and why, for `node index.js --report`
+  function report() {
+    const current = now();
+    const entries = notFoundPackages.entries()
+      .map(([name]) => ({ name, ...suppressionOf(name) }))
+      .sort((a, b) => a.retryAt.localeCompare(b.retryAt));
+    const suppressed = entries.filter((entry) => new Date(entry.retryAt) > current);
+    const due = entries.filter((entry) => new Date(entry.retryAt) <= current);
+    const describe = (entry) => [
+      entry.name,
+      `  ${entry.kind} (${entry.reason}) | failures: ${entry.failures || 1} | since ${entry.createdAt} | until ${entry.retryAt}`,
+      ...(entry.error ? [`  ${entry.error}`] : []),
+    ].join('\n');
+    return [
+      `Suppressed packages (${suppressed.length}):`,
+      ...suppressed.map(describe),
+      `\nChecked again on the next check (${due.length}):`,
+      ...due.map(describe),
+    ].join('\n');
+  }
+
+  return {
+    // Read on every check, so a reloaded config applies to the next one
+    sources: () => [
+      ...config.current.npmScopes.map(createSearchSource),
+      ...config.current.sourcesJsonUrls.map(createSourcesJsonSource),
+    ],
+    format: formatPost,
+    bursts: () => {
+      const { enabled, groupBy, window, minSize } = config.current.bursts;
+      return enabled ? {
+        key: (item) => (groupBy === 'repository' && repositoryLocation(item)) || item.scope || null,
+        window,
+        minSize,
+        label: (key, items) => `${items.length} releases of ${key}`,
+      } : null;
+    },
+    beforeCheck: async () => {
+      // Every check reads the changes feed again
+      changesRead = null;
+    },
+    checkPackage,
+    suppressionOf,
+    recordFailure,
+    loadState,
+    report,
+  };
+}
+
+module.exports = { createNpmReleases, classifyVersion, versionsSince, formatBurst, CONFIG_SCHEMA };
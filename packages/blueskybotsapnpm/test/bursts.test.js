@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatBurst } = require('../releases');
+const { createMockRegistry, createTestBot } = require('./mock-registry');
+
+const OPEN_UX_TOOLS = { type: 'git', url: 'git+https://github.com/SAP/open-ux-tools.git' };
+
+describe('Burst format', () => {
+  const item = (name, version, releaseClass = 'minor', tag = null) => ({
+    name,
+    version,
+    releases: [{ version, releaseClass, tag }],
+  });
+
+  test('Lists the releases with links to their versions', () => {
+    const post = formatBurst({
+      key: '@sap-ux',
+      items: [item('@sap-ux/a', '1.1.0'), item('@sap-ux/b', '2.0.0-beta.1', 'prerelease', 'next'), { name: '@sap-ux/c', version: '1.0.0' }],
+    });
+
+    expect(post.text).toBe([
+      '📦 New versions of 3 @sap-ux packages:',
+      '• @sap-ux/a@1.1.0 (minor)',
+      '• @sap-ux/b@2.0.0-beta.1 (prerelease, tag next)',
+      '• @sap-ux/c@1.0.0',
+    ].join('\n'));
+    expect(post.facets.map((facet) => facet.features[0].uri)).toEqual([
+      'https://www.npmjs.com/org/sap-ux',
+      'https://www.npmjs.com/package/@sap-ux/a/v/1.1.0',
+      'https://www.npmjs.com/package/@sap-ux/b/v/2.0.0-beta.1',
+      'https://www.npmjs.com/package/@sap-ux/c/v/1.0.0',
+    ]);
+    expect(post.replies).toEqual([]);
+  });
+
+  test('Continues a long list as a thread', () => {
+    const items = Array.from({ length: 20 }, (_, index) => item(`@sap-ux/package-with-a-long-name-${index}`, '1.0.0'));
+    const post = formatBurst({ key: 'github.com/SAP/open-ux-tools', items });
+
+    expect(post.text.startsWith('📦 New versions of 20 github.com/SAP/open-ux-tools packages:\n')).toBe(true);
+    expect(post.facets[0].features[0].uri).toBe('https://github.com/SAP/open-ux-tools');
+    expect(post.replies.length).toBeGreaterThan(0);
+    post.replies.forEach((reply) => expect(reply.text.startsWith('📦 github.com/SAP/open-ux-tools (continued):\n')).toBe(true));
+    const listed = [post, ...post.replies].flatMap((part) => part.text.split('\n').filter((line) => line.startsWith('• ')));
+    expect(listed).toHaveLength(20);
+  });
+});
+
+describe('Release bursts', () => {
+  let dir;
+  let registry;
+  let registryUrl;
+
+  afterEach(async () => {
+    await registry.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Releases published at `start`, the windows of the bursts start there
+  const setUp = async (start) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sapnpm-bursts-'));
+    registry = createMockRegistry(start ? { start } : {});
+    registryUrl = await registry.start();
+  };
+
+  const firstLines = (publisher) => publisher.posts.map((post) => post.text.split('\n')[0]);
+
+  test('Posts the releases of a scope as one burst', async () => {
+    await setUp();
+    ['a', 'b', 'c'].forEach((name) => registry.publish(`@sap-ux/${name}`, '1.0.0'));
+    registry.publish('@cap-js/x', '1.0.0');
+    const { bot, publisher } = createTestBot({
+      dir,
+      registryUrl,
+      settings: { npmScopes: ['@sap-ux', '@cap-js'], bursts: { enabled: true, groupBy: 'scope', window: '15m', minSize: 3 } },
+    });
+
+    await bot.check();
+    expect(firstLines(publisher).sort()).toEqual([
+      '📦 New version of @cap-js/x',
+      '📦 New versions of 3 @sap-ux packages:',
+    ]);
+    const burst = publisher.posts.find((post) => post.text.includes('@sap-ux packages'));
+    expect(burst.text.split('\n').slice(1)).toEqual(['• @sap-ux/a@1.0.0 (major)', '• @sap-ux/b@1.0.0 (major)', '• @sap-ux/c@1.0.0 (major)']);
+    expect(bot.state.get('@sap-ux/b@1.0.0')).toMatchObject({ burst: 'burst:@sap-ux:@sap-ux/a@1.0.0' });
+    expect(bot.burstBuffer.groups()).toEqual([]);
+  });
+
+  test('Groups the releases by the repository of the packages', async () => {
+    await setUp();
+    registry.publish('@sap-ux/a', '1.0.0', { repository: OPEN_UX_TOOLS });
+    registry.publish('@sap-ux/b', '1.0.0', { repository: OPEN_UX_TOOLS });
+    registry.publish('@sap-ux/c', '1.0.0', { repository: 'github:SAP/other' });
+    const { bot, publisher } = createTestBot({
+      dir,
+      registryUrl,
+      settings: { bursts: { enabled: true, groupBy: 'repository', window: '15m', minSize: 2 } },
+    });
+
+    await bot.check();
+    expect(firstLines(publisher).sort()).toEqual([
+      '📦 New version of @sap-ux/c',
+      '📦 New versions of 2 github.com/SAP/open-ux-tools packages:',
+    ]);
+  });
+
+  test('Holds the releases back until the window is over', async () => {
+    // Published in the last minutes
+    await setUp(new Date(Date.now() - 10 * 60 * 1000).toISOString());
+    ['a', 'b', 'c'].forEach((name) => registry.publish(`@sap-ux/${name}`, '1.0.0'));
+    const settings = { bursts: { enabled: true, window: '1h', minSize: 3 } };
+    const { bot, publisher, config } = createTestBot({ dir, registryUrl, settings });
+
+    await bot.check();
+    expect(publisher.posts).toEqual([]);
+    expect(bot.burstBuffer.groups()).toMatchObject([{ key: '@sap-ux', items: [{ id: '@sap-ux/a@1.0.0' }, {}, {}] }]);
+
+    // Held back releases are not found again
+    await bot.check();
+    expect(bot.burstBuffer.groups()[0].items).toHaveLength(3);
+
+    const configFile = path.join(dir, 'config.yaml');
+    const current = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    fs.writeFileSync(configFile, JSON.stringify({ ...current, bursts: { ...current.bursts, window: '1ms' } }));
+    config.reload();
+    await bot.check();
+    expect(firstLines(publisher)).toEqual(['📦 New versions of 3 @sap-ux packages:']);
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryPublisher } = require('bluesky-bot-runtime');
+const { createMockRegistry, createTestBot } = require('./mock-registry');
+
+describe('Changed packages', () => {
+  let dir;
+  let registry;
+  let registryUrl;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sapnpm-changes-'));
+    registry = createMockRegistry();
+    registryUrl = await registry.start();
+  });
+
+  afterEach(async () => {
+    await registry.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const texts = (publisher) => publisher.posts.map((post) => post.text.split('\n').slice(0, 2).join(' | '));
+
+  test('Fetches a searched package only when its version or date changed', async () => {
+    registry.publish('@sap-ux/a', '1.0.0');
+    registry.publish('@sap-ux/b', '2.0.0');
+    const { bot, publisher, packageIndex } = createTestBot({ dir, registryUrl });
+
+    await bot.check();
+    expect(texts(publisher)).toEqual([
+      '📦 New version of @sap-ux/a | Version updated to 1.0.0 (major)',
+      '📦 New version of @sap-ux/b | Version updated to 2.0.0 (major)',
+    ]);
+    expect(packageIndex.get('@sap-ux/a')).toMatchObject({ version: '1.0.0', modified: '2026-10-01T00:01:00.000Z' });
+
+    registry.requests.length = 0;
+    await bot.check();
+    expect(registry.packumentRequests()).toEqual([]);
+    expect(publisher.posts).toHaveLength(2);
+
+    registry.publish('@sap-ux/b', '2.1.0');
+    await bot.check();
+    expect(registry.packumentRequests()).toEqual([
+      { path: '/@sap-ux/b', full: false },
+      { path: '/@sap-ux/b', full: true },
+    ]);
+    expect(texts(publisher)[2]).toBe('📦 New version of @sap-ux/b | Version updated to 2.1.0 (minor)');
+  });
+
+  test('Takes over versions posted before the index existed without fetching them', async () => {
+    registry.publish('@sap-ux/a', '1.0.0');
+    const { bot, publisher, packageIndex } = createTestBot({ dir, registryUrl });
+    bot.state.set('@sap-ux/a@1.0.0', { uri: 'at://did:plc:bot/app.bsky.feed.post/1' });
+
+    await bot.check();
+    expect(registry.fetchesOf('@sap-ux/a')).toEqual([]);
+    expect(publisher.posts).toEqual([]);
+    expect(packageIndex.get('@sap-ux/a')).toMatchObject({ version: '1.0.0' });
+  });
+
+  test('Updates the index of a package only once all of its versions were posted', async () => {
+    registry.publish('@sap-ux/a', '1.0.0');
+    const settings = { releases: { '@sap-ux': { collapse: false } } };
+    const first = createTestBot({ dir, registryUrl, settings });
+    await first.bot.check();
+
+    registry.publish('@sap-ux/a', '1.1.0');
+    registry.publish('@sap-ux/a', '1.2.0');
+    // Stopped, e.g. by a SIGTERM, while posting the first of the two versions
+    const publisher = createMemoryPublisher();
+    const publish = publisher.publish;
+    const stopped = createTestBot({ dir, registryUrl, settings, publisher });
+    publisher.publish = async (record) => {
+      await stopped.bot.stop();
+      return publish(record);
+    };
+    await stopped.bot.check();
+    expect(texts(publisher)).toEqual(['📦 New version of @sap-ux/a | Version updated to 1.1.0 (minor)']);
+    expect(stopped.packageIndex.get('@sap-ux/a')).toMatchObject({ version: '1.0.0' });
+
+    const next = createTestBot({ dir, registryUrl, settings });
+    await next.bot.check();
+    expect(texts(next.publisher)).toEqual(['📦 New version of @sap-ux/a | Version updated to 1.2.0 (minor)']);
+    expect(next.packageIndex.get('@sap-ux/a')).toMatchObject({ version: '1.2.0' });
+  });
+
+  test('Only fetches the sources.json packages the changes feed lists', async () => {
+    registry.publish('ui5-a', '1.0.0');
+    registry.publish('ui5-b', '1.0.0');
+    registry.setSources([{ subpackages: [{ name: 'ui5-a' }, { name: 'ui5-b' }] }]);
+    const sourcesUrl = `${registryUrl}/sources.json`;
+    const { bot, publisher, packageIndex } = createTestBot({
+      dir,
+      registryUrl,
+      settings: { npmScopes: ['@none'], sourcesJsonUrls: [sourcesUrl] },
+    });
+
+    // The first check starts the feed at its end and checks every package
+    await bot.check();
+    expect(publisher.posts).toHaveLength(2);
+    expect(packageIndex.get(`$changes:${sourcesUrl}`)).toMatchObject({ seq: 2 });
+
+    registry.requests.length = 0;
+    registry.publish('ui5-b', '1.0.1');
+    await bot.check();
+    expect(registry.requests.find((request) => request.path === '/registry/_changes')).toBeDefined();
+    expect(registry.packumentRequests().map((request) => request.path)).toEqual(['/ui5-b', '/ui5-b']);
+    expect(texts(publisher)[2]).toBe('📦 New version of ui5-b | Version updated to 1.0.1 (patch)');
+    expect(packageIndex.get(`$changes:${sourcesUrl}`)).toMatchObject({ seq: 3 });
+  });
+
+  test('Checks every listed package when the changes feed is off', async () => {
+    registry.publish('ui5-a', '1.0.0');
+    registry.setSources([{ repo: 'ui5-a' }]);
+    const { bot } = createTestBot({
+      dir,
+      registryUrl,
+      settings: { npmScopes: ['@none'], sourcesJsonUrls: [`${registryUrl}/sources.json`], changesFeed: { enabled: false } },
+    });
+
+    await bot.check();
+    registry.requests.length = 0;
+    await bot.check();
+    expect(registry.requests.map((request) => request.path)).toEqual(['/-/v1/search', '/sources.json', '/ui5-a']);
+  });
+});
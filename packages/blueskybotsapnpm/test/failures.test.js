@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryPublisher } = require('bluesky-bot-runtime');
+const { createMockRegistry, createTestBot } = require('./mock-registry');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('Packages the registry fails for', () => {
+  let dir;
+  let registry;
+  let registryUrl;
+  let clock;
+  const now = () => clock;
+  const later = (ms) => {
+    clock = new Date(clock.getTime() + ms);
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sapnpm-failures-'));
+    registry = createMockRegistry();
+    registryUrl = await registry.start();
+    clock = new Date('2026-10-19T00:00:00.000Z');
+  });
+
+  afterEach(async () => {
+    await registry.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const settings = { notFound: { ttl: '7d', retryDelay: '1h', maxRetryDelay: '3h' } };
+
+  test('Skips a package that is not found until the TTL is over', async () => {
+    registry.publish('@sap-ux/a', '1.0.0');
+    registry.fail('@sap-ux/a', 404);
+    const { bot, publisher, notFoundPackages } = createTestBot({ dir, registryUrl, settings, now });
+
+    await bot.check();
+    expect(notFoundPackages.get('@sap-ux/a')).toMatchObject({
+      status: 404,
+      kind: 'not-found',
+      reason: 'status 404',
+      failures: 1,
+      retryAt: '2026-10-26T00:00:00.000Z',
+    });
+
+    later(6 * DAY);
+    registry.requests.length = 0;
+    await bot.check();
+    expect(registry.fetchesOf('@sap-ux/a')).toEqual([]);
+
+    later(DAY);
+    await bot.check();
+    expect(registry.fetchesOf('@sap-ux/a')).toHaveLength(1);
+    expect(notFoundPackages.has('@sap-ux/a')).toBe(false);
+    expect(publisher.posts).toHaveLength(1);
+  });
+
+  test('Retries rate limits and server errors with a growing delay', async () => {
+    registry.publish('@sap-ux/a', '1.0.0');
+    registry.fail('@sap-ux/a', 503, 429, 502, 500);
+    const { bot, publisher, notFoundPackages } = createTestBot({ dir, registryUrl, settings, now });
+
+    const delays = [];
+    for (let check = 0; check < 4; check++) {
+      await bot.check();
+      const entry = notFoundPackages.get('@sap-ux/a');
+      expect(entry).toMatchObject({ kind: 'transient', failures: check + 1 });
+      delays.push(new Date(entry.retryAt).getTime() - clock.getTime());
+      clock = new Date(entry.retryAt);
+    }
+    expect(delays).toEqual([HOUR, 2 * HOUR, 3 * HOUR, 3 * HOUR]);
+    expect(notFoundPackages.get('@sap-ux/a').reason).toBe('server-error');
+
+    await bot.check();
+    expect(notFoundPackages.has('@sap-ux/a')).toBe(false);
+    expect(publisher.posts).toHaveLength(1);
+  });
+
+  test('Retries a package the registry could not be reached for without ending the source', async () => {
+    registry.publish('@sap-ux/a', '1.0.0');
+    registry.publish('@sap-ux/b', '1.0.0');
+    registry.fail('@sap-ux/a', 'reset');
+    const { bot, publisher, notFoundPackages } = createTestBot({ dir, registryUrl, settings, now });
+
+    expect(await bot.check()).toEqual([]);
+    expect(publisher.posts.map((post) => post.text.split('\n')[0])).toEqual(['📦 New version of @sap-ux/b']);
+    expect(notFoundPackages.get('@sap-ux/a')).toMatchObject({
+      kind: 'transient',
+      reason: 'network',
+      failures: 1,
+      retryAt: '2026-10-19T01:00:00.000Z',
+    });
+  });
+
+  test('Writes a not-found list of the old layout on load', async () => {
+    const file = path.join(dir, 'not_found_packages.json');
+    fs.writeFileSync(file, JSON.stringify(['@sap-ux/old']));
+
+    const first = createTestBot({ dir, registryUrl, settings, now });
+    expect(first.notFoundPackages.isLegacy).toBe(false);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).records['@sap-ux/old']).toMatchObject({
+      migrated: true,
+      updatedAt: '2026-10-19T00:00:00.000Z',
+    });
+
+    // A restart does not start the TTL again
+    later(DAY);
+    const { releases } = createTestBot({ dir, registryUrl, settings, now });
+    expect(releases.suppressionOf('@sap-ux/old')).toMatchObject({ kind: 'not-found', retryAt: '2026-10-26T00:00:00.000Z' });
+  });
+
+  test('Leaves a not-found list of the old layout alone in dry-run mode', async () => {
+    const file = path.join(dir, 'not_found_packages.json');
+    fs.writeFileSync(file, JSON.stringify(['@sap-ux/old']));
+    const publisher = { ...createMemoryPublisher(), persistState: false };
+
+    const { releases } = createTestBot({ dir, registryUrl, settings, now, publisher });
+    expect(releases.suppressionOf('@sap-ux/old')).toMatchObject({ kind: 'not-found' });
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual(['@sap-ux/old']);
+  });
+
+  test('Reports the skipped packages and why', async () => {
+    const { releases } = createTestBot({ dir, registryUrl, settings, now });
+    releases.recordFailure('@sap-ux/gone', { status: 404, message: 'Not Found' });
+    releases.recordFailure('@sap-ux/busy', { status: 503, message: 'Service Unavailable' });
+    later(2 * HOUR);
+
+    expect(releases.report()).toBe([
+      'Suppressed packages (1):',
+      '@sap-ux/gone',
+      '  not-found (status 404) | failures: 1 | since 2026-10-19T00:00:00.000Z | until 2026-10-26T00:00:00.000Z',
+      '  Not Found',
+      '',
+      'Checked again on the next check (1):',
+      '@sap-ux/busy',
+      '  transient (server-error) | failures: 1 | since 2026-10-19T00:00:00.000Z | until 2026-10-19T01:00:00.000Z',
+      '  Service Unavailable',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+  createBot,
+  createConfig,
+  createHttpClient,
+  createLogger,
+  createMemoryPublisher,
+  createStateStore,
+} = require('bluesky-bot-runtime');
+const { createNpmReleases, CONFIG_SCHEMA } = require('../releases');
+
+const MINUTE = 60 * 1000;
+
+// Stand-in for the npm registry: search, packuments, version manifests, the
+// changes feed and a sources.json file. Every publish() is a minute after
+// the previous one.
+//
+//   registry.publish('@sap-ux/a', '1.1.0', { tag: 'next' })
+//   registry.fail('@sap-ux/a', 503)   answers the next request with a 503
+//   registry.fail('@sap-ux/a', 'reset')   closes the connection instead
+function createMockRegistry({ start = '2026-10-01T00:00:00.000Z' } = {}) {
+  const packages = new Map();
+  const failures = new Map();
+  const changes = [];
+  const requests = [];
+  let clock = new Date(start).getTime();
+  let sources = [];
+
+  const publish = (name, version, { tag = 'latest', repository } = {}) => {
+    clock += MINUTE;
+    const time = new Date(clock).toISOString();
+    const pkg = packages.get(name) || { name, 'dist-tags': {}, versions: {}, time: {} };
+    pkg.versions[version] = { name, version, ...(repository ? { repository } : {}) };
+    pkg.time[version] = time;
+    pkg.time.modified = time;
+    pkg['dist-tags'][tag] = version;
+    if (repository) {
+      pkg.repository = repository;
+    }
+    packages.set(name, pkg);
+    changes.push({ seq: changes.length + 1, id: name });
+    return time;
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+
+  const packument = (pkg, full) => {
+    const { name, time } = pkg;
+    const abbreviated = { name, 'dist-tags': pkg['dist-tags'], versions: pkg.versions, modified: time.modified };
+    return full ? { ...abbreviated, time, ...(pkg.repository ? { repository: pkg.repository } : {}) } : abbreviated;
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://registry.test');
+    const full = req.headers.accept === 'application/json';
+    requests.push({ path: decodeURIComponent(url.pathname), full });
+
+    if (url.pathname === '/-/v1/search') {
+      const text = url.searchParams.get('text');
+      const objects = Number(url.searchParams.get('from')) > 0 ? [] : [...packages.values()]
+        .filter((pkg) => pkg.name.startsWith(`${text}/`))
+        .map((pkg) => ({ package: { name: pkg.name, version: pkg['dist-tags'].latest, date: pkg.time.modified } }));
+      send(res, 200, { objects });
+      return;
+    }
+    if (url.pathname === '/sources.json') {
+      send(res, 200, sources);
+      return;
+    }
+    if (url.pathname === '/registry/') {
+      send(res, 200, { update_seq: changes.length });
+      return;
+    }
+    if (url.pathname === '/registry/_changes') {
+      const since = Number(url.searchParams.get('since'));
+      send(res, 200, { results: changes.filter((change) => change.seq > since), last_seq: changes.length });
+      return;
+    }
+
+    // "<name>" or "<name>/<version>", names may have a scope
+    const parts = decodeURIComponent(url.pathname.slice(1)).split('/');
+    const nameLength = parts[0].startsWith('@') ? 2 : 1;
+    const name = parts.slice(0, nameLength).join('/');
+    const version = parts[nameLength];
+    const queue = failures.get(name) || [];
+    if (queue.length > 0) {
+      const failure = queue.shift();
+      if (failure === 'reset') {
+        req.socket.destroy();
+      } else {
+        send(res, failure);
+      }
+      return;
+    }
+    const pkg = packages.get(name);
+    if (!pkg) {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+    send(res, 200, version ? pkg.versions[version] : packument(pkg, full));
+  });
+
+  return {
+    requests,
+    changes,
+    publish,
+    fail(name, ...statuses) {
+      failures.set(name, [...(failures.get(name) || []), ...statuses]);
+    },
+    setSources(list) {
+      sources = list;
+    },
+    // Packument requests of a package, abbreviated and full
+    fetchesOf(name) {
+      return requests.filter((request) => request.path === `/${name}`);
+    },
+    packumentRequests() {
+      return requests.filter((request) => !['/-/v1/search', '/sources.json', '/registry/', '/registry/_changes'].includes(request.path));
+    },
+    start: () => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+// The bot against a stand-in registry, posting into a memory publisher.
+// `settings` are merged into the config file, the state files go into `dir`.
+function createTestBot({ dir, registryUrl, settings = {}, now, publisher = createMemoryPublisher() }) {
+  const configFile = path.join(dir, 'config.yaml');
+  // JSON is YAML as well
+  fs.writeFileSync(configFile, JSON.stringify({
+    seed: { auto: false },
+    reconcile: { window: 0 },
+    npmScopes: ['@sap-ux'],
+    npmRateLimitInterval: '1ms',
+    registryUrl,
+    changesFeed: { url: `${registryUrl}/registry/_changes` },
+    bursts: { enabled: false },
+    releaseNotes: { enabled: false },
+    ...settings,
+  }));
+  const log = createLogger('test', { level: 'silent' });
+  const config = createConfig({ file: configFile, schema: CONFIG_SCHEMA, env: {}, log });
+  const notFoundPackages = createStateStore({ file: path.join(dir, 'not_found_packages.json'), legacyFormat: 'list', now });
+  const packageIndex = createStateStore({ file: path.join(dir, 'package_index.json') });
+  const releases = createNpmReleases({ config, notFoundPackages, packageIndex, now });
+  const bot = createBot({
+    name: 'test',
+    config,
+    log,
+    sources: releases.sources,
+    format: releases.format,
+    bursts: releases.bursts,
+    burstFile: path.join(dir, 'release_bursts.json'),
+    beforeCheck: releases.beforeCheck,
+    state: createStateStore({ file: path.join(dir, 'posted_packages.json') }).load(),
+    publisher,
+    // Failed requests are not retried, the tests look at what comes after
+    http: createHttpClient({ log, retries: 0 }),
+    linkCards: null,
+    rateLimitInterval: 0,
+    handleSignals: false,
+  });
+  releases.loadState({ persistState: publisher.persistState });
+  return { bot, releases, publisher, notFoundPackages, packageIndex, config };
+}
+
+module.exports = { createMockRegistry, createTestBot };
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { classifyVersion, versionsSince } = require('../releases');
+const { createMockRegistry, createTestBot } = require('./mock-registry');
+
+describe('Version classes', () => {
+  const versions = ['0.9.0', '1.0.0', '1.0.1', '1.1.0', '2.0.0-beta.1', 'not-a-version'];
+
+  test.each([
+    ['0.9.0', 'major'],
+    ['1.0.0', 'major'],
+    ['1.0.1', 'patch'],
+    ['1.1.0', 'minor'],
+    ['2.0.0-beta.1', 'prerelease'],
+    // Compared with the highest stable version below, not the prerelease
+    ['2.0.0', 'major'],
+    ['1.1.1', 'patch'],
+  ])('%s is a %s release', (version, releaseClass) => {
+    expect(classifyVersion(version, versions)).toBe(releaseClass);
+  });
+});
+
+describe('Versions since the last check', () => {
+  const data = {
+    versions: { '1.0.0': {}, '1.0.1': {}, '1.1.0': {}, 'not-a-version': {}, '1.2.0': {} },
+    time: {
+      created: '2026-10-01T00:00:00.000Z',
+      '1.0.0': '2026-10-01T00:00:00.000Z',
+      '1.1.0': '2026-10-03T00:00:00.000Z',
+      '1.0.1': '2026-10-02T00:00:00.000Z',
+      'not-a-version': '2026-10-04T00:00:00.000Z',
+      modified: '2026-10-04T00:00:00.000Z',
+    },
+  };
+
+  test('Lists valid versions published after the given time, oldest first', () => {
+    expect(versionsSince(data, '2026-10-01T00:00:00.000Z')).toEqual([
+      { version: '1.0.1', published: '2026-10-02T00:00:00.000Z' },
+      { version: '1.1.0', published: '2026-10-03T00:00:00.000Z' },
+    ]);
+    expect(versionsSince(data, '2026-10-03T00:00:00.000Z')).toEqual([]);
+    expect(versionsSince({ versions: {} }, '2026-10-01T00:00:00.000Z')).toEqual([]);
+  });
+});
+
+describe('New versions of a package', () => {
+  let dir;
+  let registry;
+  let registryUrl;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sapnpm-versions-'));
+    registry = createMockRegistry();
+    registryUrl = await registry.start();
+  });
+
+  afterEach(async () => {
+    await registry.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const texts = (publisher) => publisher.posts.map((post) => post.text.split('\n').slice(0, 2).join(' | '));
+
+  // A bot that knows 1.0.0 of @sap-ux/a already
+  const checkedBot = async (settings) => {
+    registry.publish('@sap-ux/a', '1.0.0');
+    const testBot = createTestBot({ dir, registryUrl, settings });
+    await testBot.bot.check();
+    testBot.publisher.posts.length = 0;
+    return testBot;
+  };
+
+  test('Collapses the versions published between two checks into one post', async () => {
+    const { bot, publisher, packageIndex } = await checkedBot();
+    registry.publish('@sap-ux/a', '1.0.1');
+    registry.publish('@sap-ux/a', '1.1.0');
+
+    await bot.check();
+    expect(texts(publisher)).toEqual(['📦 New versions of @sap-ux/a | Versions: 1.0.1 (patch), 1.1.0 (minor)']);
+    expect(bot.state.has('@sap-ux/a@1.1.0')).toBe(true);
+    expect(packageIndex.get('@sap-ux/a')).toMatchObject({ version: '1.1.0' });
+  });
+
+  test('Posts each version when collapsing is off for the scope', async () => {
+    const { bot, publisher } = await checkedBot({ releases: { '@sap-ux': { collapse: false } } });
+    registry.publish('@sap-ux/a', '1.0.1');
+    registry.publish('@sap-ux/a', '1.1.0');
+
+    await bot.check();
+    expect(texts(publisher)).toEqual([
+      '📦 New version of @sap-ux/a | Version updated to 1.0.1 (patch)',
+      '📦 New version of @sap-ux/a | Version updated to 1.1.0 (minor)',
+    ]);
+  });
+
+  test('Leaves out prereleases unless they are turned on', async () => {
+    const { bot, publisher, packageIndex } = await checkedBot();
+    registry.publish('@sap-ux/a', '2.0.0-beta.1', { tag: 'next' });
+
+    await bot.check();
+    expect(publisher.posts).toEqual([]);
+    // Still indexed, so the package is not fetched again
+    expect(packageIndex.get('@sap-ux/a')).toMatchObject({ version: '1.0.0', modified: '2026-10-01T00:02:00.000Z' });
+  });
+
+  test('Posts prereleases with their dist-tag', async () => {
+    const { bot, publisher } = await checkedBot({ releases: { '*': { prereleases: true } } });
+    registry.publish('@sap-ux/a', '2.0.0-beta.1', { tag: 'next' });
+
+    await bot.check();
+    expect(texts(publisher)).toEqual(['📦 New version of @sap-ux/a | Version updated to 2.0.0-beta.1 (prerelease, tag next)']);
+  });
+
+  test('Posts the release classes of the package over those of its scope', async () => {
+    registry.publish('@sap-ux/b', '1.0.0');
+    const { bot, publisher } = await checkedBot({
+      releases: { '@sap-ux': { classes: ['major'] }, '@sap-ux/b': { classes: ['minor'] } },
+    });
+    registry.publish('@sap-ux/a', '1.0.1');
+    registry.publish('@sap-ux/a', '2.0.0');
+    registry.publish('@sap-ux/b', '1.0.1');
+    registry.publish('@sap-ux/b', '1.1.0');
+
+    await bot.check();
+    expect(texts(publisher).sort()).toEqual([
+      '📦 New version of @sap-ux/a | Version updated to 2.0.0 (major)',
+      '📦 New version of @sap-ux/b | Version updated to 1.1.0 (minor)',
+    ]);
+  });
+});
@@ -1,252 +1,250 @@
 // Required modules
 require('dotenv').config();
-const { BskyAgent, RichText } = require('@atproto/api');
-const fs = require('fs');
 const path = require('path');
-const { XMLParser } = require('fast-xml-parser');
+const {
+  createBot,
+  createStateStore,
+  createConfig,
+  botConfigSchema,
+  createLogger,
+  parseFeed,
+  mapHashtags,
+  createComposer,
+  shortenText,
+  ComposeError,
+  createAuthorDirectory,
+  createItemFilter,
+  filtersSchema,
+} = require('bluesky-bot-runtime');
+
+// Settings read from config.yaml (or the file in BOT_CONFIG), see README.md
+const CONFIG_FILE = process.env.BOT_CONFIG || path.join(__dirname, 'config.yaml');
+const CONFIG_SCHEMA = botConfigSchema({
+  // RSS 2.0, RSS 1.0 or Atom feed URLs
+  feeds: { type: 'array', minItems: 1, items: { type: 'string', format: 'uri' }, env: 'RSS_FEED_URLS' },
+  // Hashtags for the categories of a post
+  hashtags: {
+    type: 'object',
+    additionalProperties: false,
+    default: {},
+    properties: {
+      // Category -> one or more tags, separated by spaces
+      map: { type: 'object', additionalProperties: { type: 'string' }, default: {} },
+      maxTags: { type: 'integer', minimum: 0, maximum: 8, default: 3, env: 'SCN_MAX_HASHTAGS' },
+      // Also tag categories that are not in the map
+      unmapped: { type: 'boolean', default: false },
+    },
+  },
+  // Mention authors that are in authors.json
+  authors: {
+    type: 'object',
+    additionalProperties: false,
+    default: {},
+    properties: {
+      mentions: { type: 'boolean', default: true, env: 'SCN_MENTIONS' },
+      // How often a handle is checked with resolveHandle
+      verifyInterval: { type: 'duration', default: '7d', minimum: '1m' },
+      // Read sign-ups from direct messages ("!scn <username>")
+      signups: { type: 'boolean', default: true },
+      signupKeyword: { type: 'string', pattern: '^\\S+$', default: '!scn' },
+      // Mention authors who signed up without a maintainer confirming it
+      autoApprove: { type: 'boolean', default: false },
+    },
+  },
+  // Include/exclude rules per feed URL or for all feeds ("*")
+  filters: filtersSchema,
+}, { required: ['feeds'] });
 
-// For Node.js versions prior to 18.x, install and uncomment the following line
-// const fetch = require('node-fetch');
-
-// Configuration from environment variables
-const BLUESKY_USERNAME = process.env.BLUESKY_USERNAME;
-const BLUESKY_PASSWORD = process.env.BLUESKY_PASSWORD;
+const POSTED_IDS_FILE = path.join(__dirname, 'posted_ids.json');
+const AUTHORS_FILE = path.join(__dirname, 'authors.json');
+const STATE_RETENTION = 180 * 24 * 60 * 60 * 1000; // Forget posts after 180 days, long gone from the feeds
+
+// Determine the blog source from the feed URL
+function getBlogSource(feedUrl) {
+  return feedUrl.includes('technology-blog-sap')
+    ? 'by SAP'
+    : feedUrl.includes('technology-blog-members')
+      ? 'by Members'
+      : '';
+}
 
-// Array of RSS feed URLs
-const RSS_FEED_URLS = [
-  'https://community.sap.com/khhcw49343/rss/board?board.id=technology-blog-sap',
-  'https://community.sap.com/khhcw49343/rss/board?board.id=technology-blog-members'
-];
+// Source for a single RSS or Atom feed, yields items from oldest to newest
+function createFeedSource(feedUrl) {
+  return {
+    name: feedUrl,
+    fetch: async ({ isPosted, log, http }) => {
+      // Fetch the feed, nothing to do when it did not change
+      const response = await http.get(feedUrl);
+      if (response.notModified) {
+        log.info('Feed not modified since the last check');
+        return [];
+      }
 
-const CHECK_INTERVAL = 60 * 60 * 1000; // Check every 60 minutes
-const RATE_LIMIT_INTERVAL = 30 * 1000; // 1 post per 30 seconds
-const POSTED_IDS_FILE = path.join(__dirname, 'posted_ids.json');
+      // RSS 2.0, RSS 1.0 and Atom items all come in the same shape
+      const feed = parseFeed(response.body, { baseUrl: feedUrl });
+
+      const entries = feed.items.map((item) => ({
+        // Create a unique key combining feed URL and item ID to avoid conflicts
+        id: `${feedUrl}::${item.id}`,
+        label: `"${item.title}"`,
+        title: item.title,
+        link: item.link,
+        author: item.author || 'Unknown Author',
+        summary: item.summary,
+        categories: item.categories,
+        published: item.published,
+        image: item.image,
+        blogSource: getBlogSource(feedUrl),
+      }));
+
+      const newEntries = entries.filter((entry) => !isPosted(entry.id));
+      log.info(`Found ${newEntries.length} new posts in ${feed.format} feed`);
+
+      // Process items from oldest to newest
+      return entries.reverse();
+    },
+    // Posts still in the feed are checked for a new title. Older ones drop out
+    // of the feed, they are only gone when their page is (see reconcile.js).
+    lookup: async ({ records, log, http }) => {
+      const response = await http.get(feedUrl, { conditional: false });
+      const titles = new Map(parseFeed(response.body, { baseUrl: feedUrl }).items
+        .map((item) => [`${feedUrl}::${item.id}`, item.title]));
+
+      const found = new Map();
+      for (const record of records) {
+        if (titles.has(record.id)) {
+          found.set(record.id, { title: titles.get(record.id) });
+          continue;
+        }
+        // Records written before the link was stored, the id of an SCN item is its link
+        const link = record.link || record.id.slice(feedUrl.length + 2);
+        if (!/^https?:\/\//.test(link)) {
+          continue;
+        }
+        try {
+          await http.get(link, { conditional: false });
+        } catch (error) {
+          if (error.status === 404 || error.status === 410) {
+            found.set(record.id, null);
+          } else {
+            log.warn(`Could not check ${link}: ${error.message}`, { itemId: record.id });
+          }
+        }
+      }
+      return found;
+    },
+  };
+}
 
-// Initialize the Bluesky agent
-const agent = new BskyAgent({
-  service: 'https://bsky.social',
+// Post templates, only the title is shortened to fit
+const composer = createComposer({
+  post: { text: '👤 Post by {author}{blogSource}:\n"{title}"\n🔗 Link: {link}', shorten: ['title'] },
+  // When even a short title and the link do not fit, the link goes into a card
+  card: { text: '👤 Post by {author}{blogSource}:\n"{title}"', shorten: ['title'] },
 });
 
-// Add this function near the top of the file, after the imports
-function stripHtml(html) {
-    if (!html) return '';
-    // Remove HTML tags and decode HTML entities
-    return html
-        .replace(/<[^>]*>/g, '') // Remove HTML tags
-        .replace(/&nbsp;/g, ' ') // Replace &nbsp; with space
-        .replace(/&amp;/g, '&') // Replace &amp; with &
-        .replace(/&lt;/g, '<') // Replace &lt; with <
-        .replace(/&gt;/g, '>') // Replace &gt; with >
-        .replace(/&quot;/g, '"') // Replace &quot; with "
-        .trim();
-}
+// Create post content with metadata
+async function formatPost(item) {
+  const { author, title, link } = item;
+  const { map, maxTags, unmapped } = config.current.hashtags;
+  const tags = mapHashtags(item.categories, { mapping: map, maxTags, unmapped });
+  // Authors with a verified Bluesky account are mentioned, all others are
+  // posted as plain text
+  const account = config.current.authors.mentions ? await authors.lookup(author) : null;
+  const values = {
+    author: account ? `${author} (@${account.handle})` : author,
+    // Feeds other than the two SCN boards have no blog source
+    blogSource: item.blogSource ? ` (${item.blogSource})` : '',
+    title,
+    link,
+  };
 
-// Add this near the top of the file, after the imports
-function log(message, isError = false) {
-  const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] ${message}`;
-  
-  if (isError) {
-    console.error(logMessage);
-  } else {
-    console.log(logMessage);
+  try {
+    return { text: composer.compose('post', values), tags };
+  } catch (error) {
+    if (!(error instanceof ComposeError)) {
+      throw error;
+    }
   }
+
+  return {
+    text: composer.compose('card', values),
+    tags,
+    embed: {
+      $type: 'app.bsky.embed.external',
+      external: {
+        uri: link,
+        title: title,
+        description: shortenText(item.summary, 300),
+      },
+    },
+  };
 }
 
-// Main function
-(async () => {
-  try {
-    // Login to Bluesky
-    await agent.login({
-      identifier: BLUESKY_USERNAME,
-      password: BLUESKY_PASSWORD,
-    });
-    console.log('Logged into Bluesky successfully.');
-
-    // Load or initialize the list of posted IDs
-    let postedIds = {};
-    if (fs.existsSync(POSTED_IDS_FILE)) {
-      const data = fs.readFileSync(POSTED_IDS_FILE, 'utf8');
-      postedIds = JSON.parse(data);
-      // If postedIds is an array (from the old format), convert it to an object
-      if (Array.isArray(postedIds)) {
-        const tempPostedIds = {};
-        for (const id of postedIds) {
-          tempPostedIds[id] = null;
-        }
-        postedIds = tempPostedIds;
+const log = createLogger('scn');
+
+let config;
+try {
+  config = createConfig({ file: CONFIG_FILE, schema: CONFIG_SCHEMA, log });
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
+
+// Include/exclude rules, compiled again when the config is reloaded
+let itemFilter = createItemFilter(config.current.filters);
+config.onReload((current) => {
+  itemFilter = createItemFilter(current.filters);
+});
+
+const bot = createBot({
+  name: 'scn',
+  config,
+  log,
+  // Read on every check, so a reloaded config applies to the next one
+  sources: () => config.current.feeds.map(createFeedSource),
+  format: formatPost,
+  filter: (item, source) => itemFilter.evaluate(source.name, {
+    title: item.title,
+    body: item.summary,
+    author: item.author,
+    categories: item.categories,
+  }),
+  state: createStateStore({ file: POSTED_IDS_FILE, legacyFormat: 'map', retention: STATE_RETENTION }),
+  sessionFile: path.join(__dirname, 'session.json'),
+  outboxFile: path.join(__dirname, 'outbox.json'),
+  auditFile: path.join(__dirname, 'audit.jsonl'),
+  beforeCheck: async ({ publisher }) => {
+    // Pick up edits of authors.json
+    authors.load();
+    // Sign-ups need the chat service, so not in dry-run mode
+    if (config.current.authors.signups && publisher.name === 'bluesky') {
+      const handled = await authors.processSignups();
+      if (handled > 0) {
+        log.info(`Handled ${handled} author sign-up message(s).`);
       }
-    } else {
-      fs.writeFileSync(POSTED_IDS_FILE, JSON.stringify(postedIds, null, 2));
     }
+  },
+});
 
-    // Initialize XML parser
-    const parser = new XMLParser({
-      ignoreAttributes: false,
-      attributeNamePrefix: '@_',
-    });
-
-    let lastPostTime = 0;
-
-    // Function to check the RSS feeds
-    const checkFeeds = async () => {
-      try {
-        log('Checking RSS feeds...');
-
-        // Iterate over each RSS feed URL
-        for (const feedUrl of RSS_FEED_URLS) {
-          log(`Processing feed: ${feedUrl}`);
-
-          // Fetch the RSS feed
-          const response = await fetch(feedUrl);
-          const xmlData = await response.text();
-
-          // Parse the XML
-          const jsonObj = parser.parse(xmlData);
-
-          // Extract items from the feed
-          const items = jsonObj.rss.channel.item;
-
-          // Ensure items is an array
-          const feedItems = Array.isArray(items) ? items : [items];
-
-          const newItems = feedItems.filter(item => {
-            const id = item.guid || item.link;
-            const uniqueId = `${feedUrl}::${id}`;
-            return !postedIds.hasOwnProperty(uniqueId);
-          });
-          log(`Found ${newItems.length} new posts in feed`);
-
-          // Process items from oldest to newest
-          for (const item of feedItems.reverse()) {
-            const id = item.guid || item.link;
-            // Create a unique key combining feed URL and item ID to avoid conflicts
-            const uniqueId = `${feedUrl}::${id}`;
-
-            // Skip if already posted
-            if (postedIds.hasOwnProperty(uniqueId)) {
-              continue;
-            }
-
-            log(`Processing new post: "${item.title}"`);
-
-            // Enforce rate limit
-            const now = Date.now();
-            const timeSinceLastPost = now - lastPostTime;
-            if (timeSinceLastPost < RATE_LIMIT_INTERVAL) {
-              const waitTime = RATE_LIMIT_INTERVAL - timeSinceLastPost;
-              console.log(
-                `Rate limit in effect. Waiting ${waitTime / 1000} seconds...`
-              );
-              await new Promise((resolve) => setTimeout(resolve, waitTime));
-            }
-
-            // Create post content with metadata (excluding the link)
-            const author =
-              item['dc:creator'] || item['creator'] || 'Unknown Author';
-
-            // Determine the blog source from the feed URL
-            const blogSource = feedUrl.includes('technology-blog-sap') 
-              ? 'by SAP' 
-              : feedUrl.includes('technology-blog-members') 
-                ? 'by Members' 
-                : '';
-
-            // Calculate maximum title length to ensure total post stays within limit
-            const baseText = `👤 Post by ${author} (${blogSource}):\n""\n🔗 Link: ${item.link}`;
-            log(`Base text length: ${baseText.length} characters`);
-            const maxTitleLength = 290 - baseText.length;
-            const truncatedTitle = item.title.length > maxTitleLength 
-                ? item.title.slice(0, maxTitleLength - 1) + '…' 
-                : item.title;
-
-            let postText = `👤 Post by ${author} (${blogSource}):\n"${truncatedTitle}"\n🔗 Link: ${item.link}`;
-            log(`Truncated post length: ${postText.length} characters`);
-            log(`Post text: ${postText}`);
-
-            // Create a RichText instance
-            let rt = new RichText({ text: postText });
-            await rt.detectFacets(agent);
-
-            let finalPostText = postText;
-            let embed = null;
-
-            // If post is still too long, remove the link and use embed instead
-            if (rt.text.length > 300) {
-                // Create shorter post text without the link
-                finalPostText = `👤 Post by ${author} (${blogSource}):\n"${item.title}"`;
-                rt = new RichText({ text: finalPostText });
-                await rt.detectFacets(agent);
-
-                // Create the embed object
-                embed = {
-                    $type: 'app.bsky.embed.external',
-                    external: {
-                        uri: item.link,
-                        title: item.title,
-                        description: stripHtml(item.description) || '',
-                    },
-                };
-            }
-
-            // Post to Bluesky
-            try {
-                let postResponse;  // Declare the variable outside the if/else blocks
-                if (embed === null) {
-                    postResponse = await agent.post({
-                        text: rt.text,
-                        facets: rt.facets,
-                        createdAt: new Date().toISOString(),
-                    });
-                } else {
-                    postResponse = await agent.post({
-                        text: rt.text,
-                        facets: rt.facets,
-                        embed: embed,
-                        createdAt: new Date().toISOString(),
-                    });
-                }
-
-                log(`Posted to Bluesky: "${item.title}"`);
-                
-                // Update last post time and posted IDs
-                lastPostTime = Date.now();
-
-                // Save the Bluesky post ID (URI)
-                const blueskyPostId = postResponse.uri;
-
-                // Update postedIds with the mapping
-                postedIds[uniqueId] = blueskyPostId;
-                fs.writeFileSync(
-                    POSTED_IDS_FILE,
-                    JSON.stringify(postedIds, null, 2)
-                );
-            } catch (postError) {
-                log(`Failed to post "${item.title}". Error: ${postError.message}`, true);
-                log(`Post content: ${rt.text}`, true);
-                if (embed) {
-                    log(`Embed content: ${JSON.stringify(embed)}`, true);
-                }
-                
-                // Update last post time to maintain rate limiting
-                lastPostTime = Date.now();
-                
-                // Continue with the next item
-                continue;
-            }
-          }
-        }
-      } catch (error) {
-        console.error('Error checking feeds:', error);
-      }
-    };
+// SAP Community username -> Bluesky account, see README.md
+const openAuthors = ({ authors: settings }) => createAuthorDirectory({
+  file: AUTHORS_FILE,
+  agent: bot.agent,
+  log,
+  verifyInterval: settings.verifyInterval,
+  keyword: settings.signupKeyword,
+  nameLabel: 'SAP Community username',
+  autoApprove: settings.autoApprove,
+}).load();
+let authors = openAuthors(config.current);
+config.onReload((current) => {
+  authors = openAuthors(current);
+});
 
-    // Initial feed check
-    await checkFeeds();
+// Started with `node index.js`, the tests only require the formatter
+if (require.main === module) {
+  bot.start();
+}
 
-    // Schedule the feed check every 5 minutes
-    setInterval(checkFeeds, CHECK_INTERVAL);
-  } catch (error) {
-    console.error('Error initializing the script:', error);
-  }
-})();
+module.exports = { formatPost, CONFIG_SCHEMA };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The bot is not started when required, formatPost reads the config file
+// in BOT_CONFIG
+const loadBot = (configFile) => {
+  const env = { ...process.env };
+  process.env.BOT_CONFIG = configFile;
+  process.env.LOG_LEVEL = 'silent';
+  try {
+    let bot;
+    jest.isolateModules(() => {
+      bot = require('../index');
+    });
+    return bot;
+  } finally {
+    process.env = env;
+  }
+};
+
+const item = (categories) => ({
+  id: 'https://community.sap.com/feed::1',
+  title: 'Building a CAP application on SAP BTP',
+  link: 'https://community.sap.com/t5/blog/1',
+  author: 'jdoe',
+  summary: 'A walkthrough',
+  categories,
+  blogSource: 'by Members',
+});
+
+describe('SCN post format', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scn-format-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Tags the categories with the hashtags of config.yaml', async () => {
+    const { formatPost } = loadBot(path.join(__dirname, '..', 'config.yaml'));
+
+    const post = await formatPost(item(['SAP Cloud Application Programming Model', 'ABAP Cloud', 'Unknown']));
+    expect(post.tags).toEqual(['CAP', 'ABAP', 'ABAPCloud']);
+    expect(post.text).toContain('"Building a CAP application on SAP BTP"');
+  });
+
+  test('Applies the map, maxTags and unmapped settings', async () => {
+    const configFile = path.join(dir, 'config.yaml');
+    fs.writeFileSync(configFile, [
+      'feeds: [https://community.sap.com/feed]',
+      'authors:',
+      '  mentions: false',
+      'hashtags:',
+      '  maxTags: 2',
+      '  unmapped: true',
+      '  map:',
+      '    sap btp: SAPBTP',
+      '    Other: ""',
+    ].join('\n'));
+    const { formatPost } = loadBot(configFile);
+
+    expect((await formatPost(item(['Other', 'SAP BTP', 'Machine Learning', 'Integration']))).tags).toEqual(['SAPBTP', 'MachineLearning']);
+    expect((await formatPost(item([]))).tags).toEqual([]);
+  });
+});
@@ -1,235 +1,271 @@
 // Required modules
 require('dotenv').config();
-const { BskyAgent, RichText } = require('@atproto/api');
-const fs = require('fs');
 const path = require('path');
 const semver = require('semver'); // For version comparison
 const { XMLParser } = require('fast-xml-parser'); // For parsing RSS feeds
+const {
+  createBot,
+  createStateStore,
+  createConfig,
+  botConfigSchema,
+  createLogger,
+  createComposer,
+} = require('bluesky-bot-runtime');
+
+// Settings read from config.yaml (or the file in BOT_CONFIG)
+const CONFIG_FILE = process.env.BOT_CONFIG || path.join(__dirname, 'config.yaml');
+const CONFIG_SCHEMA = botConfigSchema({
+  // RSS feed and version.json per UI5 flavour
+  ui5Versions: {
+    type: 'array',
+    minItems: 1,
+    env: 'UI5_VERSIONS',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type', 'rssUrl', 'versionJsonUrl'],
+      properties: {
+        type: { type: 'string', enum: ['SAPUI5', 'OpenUI5'] },
+        rssUrl: { type: 'string', format: 'uri' },
+        versionJsonUrl: { type: 'string', format: 'uri' },
+      },
+    },
+  },
+}, { required: ['ui5Versions'] });
 
-// Configuration from environment variables
-const BLUESKY_USERNAME = process.env.BLUESKY_USERNAME;
-const BLUESKY_PASSWORD = process.env.BLUESKY_PASSWORD;
-
-// Constants
-const CHECK_INTERVAL = 60 * 60 * 1000; // Check every 60 minutes
-const BLUESKY_RATE_LIMIT_INTERVAL = 1000; // 1 post per 1 second
 const POSTED_VERSIONS_FILE = path.join(__dirname, 'posted_versions.json');
-
-// RSS Feed URLs
-const UI5_VERSIONS = [
-  {
-    type: 'SAPUI5',
-    rssUrl: 'https://ui5-lib-diff.marianzeis.de/rss_feed_SAPUI5.xml',
-    versionJsonUrl: 'https://sapui5.hana.ondemand.com/version.json?sap-ui-config-patches=true&sap-ui-config-showall=true',
+const LISTED_VERSIONS_FILE = path.join(__dirname, 'listed_versions.json');
+// Long past the reconcile window
+const LISTED_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+// posted_versions.json is nested by UI5 type: { SAPUI5: { "1.120.0": { blueskyPostId } } }
+// Used to migrate the file to the state store and to export it again
+const postedVersionsFormat = {
+  decode(data) {
+    const entries = new Map();
+    for (const [type, versions] of Object.entries(data)) {
+      for (const [version, value] of Object.entries(versions)) {
+        entries.set(`${type}::${version}`, { uri: value && value.blueskyPostId });
+      }
+    }
+    return entries;
   },
-  {
-    type: 'OpenUI5',
-    rssUrl: 'https://ui5-lib-diff.marianzeis.de/rss_feed_OpenUI5.xml',
-    versionJsonUrl: 'https://openui5.hana.ondemand.com/version.json?sap-ui-config-patches=true&sap-ui-config-showall=true',
+  encode(entries) {
+    const data = {};
+    for (const [id, record] of entries) {
+      const [type, version] = id.split('::');
+      data[type] = data[type] || {};
+      data[type][version] = { blueskyPostId: record.uri };
+    }
+    return data;
   },
-];
-
-// Initialize the Bluesky agent
-const agent = new BskyAgent({
-  service: 'https://bsky.social',
-});
-
-// Main function
-(async () => {
-  try {
-    // Login to Bluesky
-    await agent.login({
-      identifier: BLUESKY_USERNAME,
-      password: BLUESKY_PASSWORD,
-    });
-    console.log('Logged into Bluesky successfully.');
-
-    // Load or initialize the list of posted versions
-    let postedVersions = {};
-    if (fs.existsSync(POSTED_VERSIONS_FILE)) {
-      const data = fs.readFileSync(POSTED_VERSIONS_FILE, 'utf8');
-      postedVersions = JSON.parse(data);
-    } else {
-      fs.writeFileSync(POSTED_VERSIONS_FILE, JSON.stringify(postedVersions, null, 2));
+};
+
+// Build a set of all available versions from version.json
+function collectVersions(versionData) {
+  const versionsSet = new Set();
+  for (const key in versionData) {
+    if (versionData[key].patches && Array.isArray(versionData[key].patches)) {
+      for (const ver of versionData[key].patches) {
+        if (semver.valid(ver)) {
+          versionsSet.add(ver);
+        }
+      }
+    } else if (versionData[key].version && semver.valid(versionData[key].version)) {
+      versionsSet.add(versionData[key].version);
     }
+  }
+  return versionsSet;
+}
+
+// Determine the change type and the version to compare against
+function getPreviousVersion(latestVersion, versionsSet) {
+  let previousVersion = null;
+
+  const major = semver.major(latestVersion);
+  const minor = semver.minor(latestVersion);
+  const patch = semver.patch(latestVersion);
+
+  // Try to determine the change type by checking previous versions
+  let changeType = 'initial release';
+
+  // For patch changes
+  if (patch > 0) {
+    previousVersion = `${major}.${minor}.${patch - 1}`;
+    changeType = 'patch';
+  } else if (minor > 0) {
+    // For minor changes
+    previousVersion = `${major}.${minor - 1}.0`;
+    changeType = 'minor';
+  } else if (major > 0) {
+    // For major changes
+    previousVersion = `${major - 1}.0.0`;
+    changeType = 'major';
+  } else {
+    previousVersion = '0.0.0';
+  }
 
-    let lastPostTime = 0;
+  // Ensure previousVersion exists in versionsSet
+  if (!versionsSet.has(previousVersion)) {
+    // If the computed previousVersion doesn't exist, find the closest lower version
+    const allVersions = Array.from(versionsSet).filter(ver => semver.lt(ver, latestVersion));
+    allVersions.sort(semver.rcompare); // Sort in descending order
+    previousVersion = allVersions[0] || previousVersion;
+  }
 
-    // Function to check for UI5 updates
-    const checkUI5Versions = async () => {
-      try {
-        console.log('Checking UI5 versions...');
+  return { previousVersion, changeType };
+}
+
+// ISO date of an RSS date, null when missing or invalid
+function parseDate(value) {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// Items of the RSS feed, each announcing one version
+function parseFeedItems(body) {
+  const rssData = new XMLParser().parse(body);
+  const items = rssData.rss.channel.item;
+  return Array.isArray(items) ? items : [items];
+}
+
+// Version announced by an RSS item, null when the title does not name one
+function parseFeedVersion(item) {
+  const versionMatch = String(item.title).match(/Version (\d+\.\d+\.\d+) Changes/);
+  return versionMatch ? versionMatch[1] : null;
+}
+
+// Source for one UI5 flavour, yields the versions listed in its RSS feed.
+// `listedVersions` is a state store of the posted versions version.json has
+// listed, by id.
+function createUI5Source({ type, rssUrl, versionJsonUrl }, listedVersions) {
+  return {
+    name: type,
+    fetch: async ({ isPosted, log, http }) => {
+      // Fetch the RSS feed, nothing to do when it did not change
+      const response = await http.get(rssUrl);
+      if (response.notModified) {
+        log.info(`${type} RSS feed not modified since the last check`);
+        return [];
+      }
 
-        for (const ui5 of UI5_VERSIONS) {
-          const { type, rssUrl, versionJsonUrl } = ui5;
+      // Extract versions from the RSS feed
+      const items = parseFeedItems(response.body);
 
-          // Fetch the RSS feed
-          const response = await fetch(rssUrl);
-          if (!response.ok) {
-            console.error(`Failed to fetch ${type} RSS feed: ${response.statusText}`);
-            continue;
-          }
-          const rssText = await response.text();
+      // Fetch version.json to get all available versions, needed in full
+      // even when it did not change
+      const versionJsonResponse = await http.get(versionJsonUrl, { keepBody: true });
+      const versionsSet = collectVersions(versionJsonResponse.json());
 
-          // Parse the RSS feed
-          const parser = new XMLParser();
-          const rssData = parser.parse(rssText);
+      const versions = [];
+      for (const item of items) {
+        const latestVersion = parseFeedVersion(item);
+        if (!latestVersion) {
+          log.error(`Failed to parse version from title: ${item.title}`);
+          continue;
+        }
+        const id = `${type}::${latestVersion}`;
 
-          // Extract versions from the RSS feed
-          let items = rssData.rss.channel.item;
-          if (!Array.isArray(items)) {
-            items = [items];
-          }
+        // Check if already posted
+        if (isPosted(id)) {
+          log.info(`No new version for ${type}. Latest version ${latestVersion} already posted.`);
+          continue;
+        }
 
-          // Fetch version.json to get all available versions
-          const versionJsonResponse = await fetch(versionJsonUrl);
-          if (!versionJsonResponse.ok) {
-            console.error(`Failed to fetch ${type} version.json: ${versionJsonResponse.statusText}`);
-            continue;
-          }
-          const versionData = await versionJsonResponse.json();
-
-          // Build a set of all available versions
-          const versionsSet = new Set();
-          for (const key in versionData) {
-            if (versionData[key].patches && Array.isArray(versionData[key].patches)) {
-              for (const ver of versionData[key].patches) {
-                if (semver.valid(ver)) {
-                  versionsSet.add(ver);
-                }
-              }
-            } else if (versionData[key].version && semver.valid(versionData[key].version)) {
-              versionsSet.add(versionData[key].version);
-            }
-          }
+        versions.push({
+          id,
+          label: `${type} ${latestVersion}`,
+          title: `${type} ${latestVersion}`,
+          type,
+          version: latestVersion,
+          published: parseDate(item.pubDate),
+          ...getPreviousVersion(latestVersion, versionsSet),
+        });
+      }
+      return versions;
+    },
+    // A posted version is gone when it was pulled from version.json (see
+    // reconcile.js). The RSS feed may announce a version before version.json
+    // lists it, so only versions version.json has listed before count, the
+    // others are left alone. A dry run does not write listed_versions.json.
+    lookup: async ({ records, http, persistState }) => {
+      const versionJsonResponse = await http.get(versionJsonUrl, { keepBody: true });
+      const versionsSet = collectVersions(versionJsonResponse.json());
+      if (versionsSet.size === 0) {
+        throw new Error(`${type} version.json lists no versions`);
+      }
 
-          // Process each item in the RSS feed
-          for (const item of items) {
-            const title = item.title;
-            const versionMatch = title.match(/Version (\d+\.\d+\.\d+) Changes/);
-            if (!versionMatch) {
-              console.error(`Failed to parse version from title: ${title}`);
-              continue;
-            }
-            const latestVersion = versionMatch[1];
-
-            // Initialize postedVersions[type] if not present
-            if (!postedVersions[type]) {
-              postedVersions[type] = {};
-            }
-
-            // Check if already posted
-            if (postedVersions[type][latestVersion]) {
-              console.log(`No new version for ${type}. Latest version ${latestVersion} already posted.`);
-              continue;
-            }
-
-            // Determine previous version based on the change type
-            let previousVersion = null;
-
-            const major = semver.major(latestVersion);
-            const minor = semver.minor(latestVersion);
-            const patch = semver.patch(latestVersion);
-
-            // Try to determine the change type by checking previous versions
-            let changeType = 'initial release';
-
-            // For patch changes
-            if (patch > 0) {
-              previousVersion = `${major}.${minor}.${patch - 1}`;
-              changeType = 'patch';
-            } else if (minor > 0) {
-              // For minor changes
-              previousVersion = `${major}.${minor - 1}.0`;
-              changeType = 'minor';
-            } else if (major > 0) {
-              // For major changes
-              previousVersion = `${major - 1}.0.0`;
-              changeType = 'major';
-            } else {
-              previousVersion = '0.0.0';
-            }
-
-            // Ensure previousVersion exists in versionsSet
-            if (!versionsSet.has(previousVersion)) {
-              // If the computed previousVersion doesn't exist, find the closest lower version
-              const allVersions = Array.from(versionsSet).filter(ver => semver.lt(ver, latestVersion));
-              allVersions.sort(semver.rcompare); // Sort in descending order
-              previousVersion = allVersions[0] || previousVersion;
-            }
-
-            // Generate the comparison link
-            const compareLink = `https://ui5-lib-diff.marianzeis.de/?versionFrom=${latestVersion}&ui5Type=${type}&versionTo=${previousVersion}`;
-
-            // Generate the documentation link based on UI5 type
-            const docsLink =
-              type === 'SAPUI5'
-                ? `https://ui5.sap.com/${latestVersion}/#/`
-                : `https://sdk.openui5.org/${latestVersion}/#/`;
-
-            // Prepare the post text
-            const postText = `🚀 New ${type} version released: ${latestVersion}\nChange type: ${changeType}\n🔗 What's new: ${compareLink}\n📚 Documentation: ${docsLink}`;
-
-            // Enforce Bluesky rate limit
-            const now = Date.now();
-            const timeSinceLastPost = now - lastPostTime;
-            if (timeSinceLastPost < BLUESKY_RATE_LIMIT_INTERVAL) {
-              const waitTime = BLUESKY_RATE_LIMIT_INTERVAL - timeSinceLastPost;
-              console.log(`Rate limit in effect. Waiting ${waitTime / 1000} seconds...`);
-              await new Promise((resolve) => setTimeout(resolve, waitTime));
-            }
-
-            // Create a RichText instance
-            const rt = new RichText({ text: postText });
-
-            // Detect facets (links, mentions, hashtags)
-            await rt.detectFacets(agent);
-
-            // Check if the content exceeds the limit
-            const { charactersRemaining } = rt;
-            if (charactersRemaining < 0) {
-              // Truncate the text and re-detect facets
-              rt.setText(rt.text.slice(0, rt.text.length + charactersRemaining - 1) + '…');
-              await rt.detectFacets(agent);
-              console.log('Post content was too long and has been truncated.');
-            }
-
-            // Post to Bluesky
-            const postResponse = await agent.post({
-              text: rt.text,
-              facets: rt.facets,
-              createdAt: new Date().toISOString(),
-            });
-
-            console.log(`Posted to Bluesky: ${type} ${latestVersion}`);
-
-            // Update last post time and posted versions
-            lastPostTime = Date.now();
-
-            // Save the Bluesky post ID (URI)
-            const blueskyPostId = postResponse.uri;
-
-            // Update postedVersions
-            postedVersions[type][latestVersion] = {
-              blueskyPostId: blueskyPostId,
-            };
-            fs.writeFileSync(POSTED_VERSIONS_FILE, JSON.stringify(postedVersions, null, 2));
-
-            // Wait a bit before processing the next version to respect rate limits
-            await new Promise((resolve) => setTimeout(resolve, BLUESKY_RATE_LIMIT_INTERVAL));
+      const found = new Map();
+      for (const record of records) {
+        const version = record.id.split('::')[1];
+        if (versionsSet.has(version)) {
+          if (persistState && !listedVersions.has(record.id)) {
+            listedVersions.set(record.id);
           }
+          found.set(record.id, { title: `${type} ${version}` });
+        } else if (listedVersions.has(record.id)) {
+          found.set(record.id, null);
         }
-      } catch (error) {
-        console.error('Error checking UI5 versions:', error);
       }
-    };
+      if (persistState) {
+        listedVersions.prune();
+      }
+      return found;
+    },
+  };
+}
+
+// Post template, version numbers and links are never shortened
+const composer = createComposer({
+  release: '🚀 New {type} version released: {version}\nChange type: {changeType}\n🔗 What\'s new: {compareLink}\n📚 Documentation: {docsLink}',
+});
 
-    // Initial check
-    await checkUI5Versions();
+// Prepare the post text
+function formatPost({ type, version, previousVersion, changeType }) {
+  // Generate the comparison link
+  const compareLink = `https://ui5-lib-diff.marianzeis.de/?versionFrom=${version}&ui5Type=${type}&versionTo=${previousVersion}`;
+
+  // Generate the documentation link based on UI5 type
+  const docsLink =
+    type === 'SAPUI5'
+      ? `https://ui5.sap.com/${version}/#/`
+      : `https://sdk.openui5.org/${version}/#/`;
+
+  return {
+    text: composer.compose('release', { type, version, changeType, compareLink, docsLink }),
+  };
+}
+
+const log = createLogger('ui5version');
+
+let config;
+try {
+  config = createConfig({ file: CONFIG_FILE, schema: CONFIG_SCHEMA, log });
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
+
+const listedVersions = createStateStore({ file: LISTED_VERSIONS_FILE, retention: LISTED_RETENTION });
+
+const bot = createBot({
+  name: 'ui5version',
+  config,
+  log,
+  // Read on every check, so a reloaded config applies to the next one
+  sources: () => config.current.ui5Versions.map((settings) => createUI5Source(settings, listedVersions)),
+  format: formatPost,
+  // No retention: the RSS feed keeps listing old versions
+  state: createStateStore({ file: POSTED_VERSIONS_FILE, legacyFormat: postedVersionsFormat }),
+  sessionFile: path.join(__dirname, 'session.json'),
+  outboxFile: path.join(__dirname, 'outbox.json'),
+  auditFile: path.join(__dirname, 'audit.jsonl'),
+});
 
-    // Schedule the check at the specified interval
-    setInterval(checkUI5Versions, CHECK_INTERVAL);
-  } catch (error) {
-    console.error('Error initializing the script:', error);
-  }
-})();
+// Started with `node index.js`, the tests only require the source
+if (require.main === module) {
+  listedVersions.load();
+  bot.start();
+}
+
+module.exports = { createUI5Source, collectVersions };
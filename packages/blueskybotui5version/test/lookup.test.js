@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore } = require('bluesky-bot-runtime');
+
+process.env.LOG_LEVEL = 'silent';
+// The bot is not started when required
+const { createUI5Source } = require('../index');
+
+describe('Looking up posted UI5 versions', () => {
+  let dir;
+  let listed;
+  let versionJson;
+
+  // Answers version.json, the lookup needs nothing else
+  const http = {
+    get: async (url) => {
+      expect(url).toBe('https://ui5.test/version.json');
+      return { json: () => versionJson };
+    },
+  };
+  const source = () => createUI5Source(
+    { type: 'SAPUI5', rssUrl: 'https://ui5.test/rss', versionJsonUrl: 'https://ui5.test/version.json' },
+    listed,
+  );
+  const lookup = async (...versions) => lookupWith({ persistState: true }, ...versions);
+  const lookupWith = async ({ persistState }, ...versions) => Object.fromEntries(await source().lookup({
+    records: versions.map((version) => ({ id: `SAPUI5::${version}` })),
+    http,
+    persistState,
+  }));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ui5-lookup-'));
+    listed = createStateStore({ file: path.join(dir, 'listed_versions.json') }).load();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Leaves versions alone that version.json has not listed yet', async () => {
+    versionJson = { '1.120': { patches: ['1.120.0', '1.120.1'] } };
+
+    expect(await lookup('1.120.1', '1.121.0')).toEqual({ 'SAPUI5::1.120.1': { title: 'SAPUI5 1.120.1' } });
+    expect(listed.keys()).toEqual(['SAPUI5::1.120.1']);
+  });
+
+  test('Finds a version gone once version.json stops listing it', async () => {
+    versionJson = { '1.120': { patches: ['1.120.0', '1.120.1'] }, '1.121': { version: '1.121.0' } };
+    await lookup('1.120.1', '1.121.0');
+
+    versionJson = { '1.120': { patches: ['1.120.0'] } };
+    expect(await lookup('1.120.1', '1.121.0')).toEqual({ 'SAPUI5::1.120.1': null, 'SAPUI5::1.121.0': null });
+  });
+
+  test('Does not write listed_versions.json in dry-run mode', async () => {
+    versionJson = { '1.120': { patches: ['1.120.0', '1.120.1'] } };
+
+    expect(await lookupWith({ persistState: false }, '1.120.1')).toEqual({ 'SAPUI5::1.120.1': { title: 'SAPUI5 1.120.1' } });
+    expect(listed.keys()).toEqual([]);
+    expect(fs.existsSync(path.join(dir, 'listed_versions.json'))).toBe(false);
+  });
+
+  test('Does not decide anything on an empty version.json', async () => {
+    versionJson = {};
+    await expect(lookup('1.120.1')).rejects.toThrow('SAPUI5 version.json lists no versions');
+  });
+});
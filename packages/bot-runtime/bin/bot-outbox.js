@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Inspect the outbox of a bot and replay dead letters.
+//
+//   bot-outbox list <file>               pending and dead entries
+//   bot-outbox replay <file> <id|--all>  queue dead letters again
+//   bot-outbox drop <file> <id>          remove an entry for good
+const path = require('path');
+const { createOutbox } = require('../lib/outbox');
+
+function describe(entry) {
+  const when = entry.status === 'pending' ? `next attempt ${entry.nextAttemptAt}` : 'dead';
+  return `${entry.id}\n  ${entry.source} | attempts: ${entry.attempts} | ${when}\n  ${entry.errorKind} (${entry.errorReason}): ${entry.lastError}`;
+}
+
+function main(argv) {
+  const [command, file, target] = argv;
+  if (!command || !file) {
+    console.error('Usage: bot-outbox <list|replay|drop> <file> [id|--all]');
+    return 1;
+  }
+
+  const outbox = createOutbox({ file: path.resolve(file) }).load();
+
+  switch (command) {
+    case 'list': {
+      const pending = outbox.pending();
+      const dead = outbox.deadLetters();
+      console.log(`Pending (${pending.length}):`);
+      pending.forEach((entry) => console.log(describe(entry)));
+      console.log(`\nDead letters (${dead.length}):`);
+      dead.forEach((entry) => console.log(describe(entry)));
+      return 0;
+    }
+
+    case 'replay': {
+      if (!target) {
+        console.error('replay needs an id or --all');
+        return 1;
+      }
+      const ids = target === '--all' ? outbox.deadLetters().map((entry) => entry.id) : [target];
+      let replayed = 0;
+      for (const id of ids) {
+        if (outbox.replay(id)) {
+          replayed += 1;
+        } else {
+          console.error(`No outbox entry for ${id}`);
+        }
+      }
+      console.log(`Queued ${replayed} entries again, they are posted on the next check.`);
+      return replayed === ids.length ? 0 : 1;
+    }
+
+    case 'drop':
+      if (!target || !outbox.has(target)) {
+        console.error(`No outbox entry for ${target}`);
+        return 1;
+      }
+      outbox.remove(target);
+      console.log(`Dropped ${target}`);
+      return 0;
+
+    default:
+      console.error(`Unknown command: ${command}`);
+      return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
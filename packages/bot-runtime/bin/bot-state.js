@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Inspect and maintain the state files of the bots.
+//
+//   bot-state migrate <file> [--format=map|list]     convert an old file in place
+//   bot-state export <file> [--format=map|list|records] [--out=<file>]
+//   bot-state prune <file> --days=<n>
+//   bot-state stats <file>
+const path = require('path');
+const { createStateStore, writeFileAtomic } = require('../lib/state');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const [command, file, ...rest] = argv;
+  const options = {};
+  for (const arg of rest) {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) {
+      options[match[1]] = match[2];
+    }
+  }
+  return { command, file, options };
+}
+
+function main(argv) {
+  const { command, file, options } = parseArgs(argv);
+  if (!command || !file) {
+    console.error('Usage: bot-state <migrate|export|prune|stats> <file> [--format=map|list|records] [--out=<file>] [--days=<n>]');
+    return 1;
+  }
+
+  const store = createStateStore({ file: path.resolve(file), legacyFormat: options.format || 'map' }).load();
+
+  switch (command) {
+    case 'migrate':
+      if (!store.isLegacy) {
+        console.log(`${file} is already in the state store format.`);
+        return 0;
+      }
+      store.migrate();
+      console.log(`Migrated ${store.size} records, the old file was kept as ${file}.legacy.bak`);
+      return 0;
+
+    case 'export': {
+      const output = JSON.stringify(store.export(options.format || 'map'), null, 2);
+      if (options.out) {
+        writeFileAtomic(path.resolve(options.out), output);
+        console.log(`Exported ${store.size} records to ${options.out}`);
+      } else {
+        console.log(output);
+      }
+      return 0;
+    }
+
+    case 'prune': {
+      const days = Number(options.days);
+      if (!days) {
+        console.error('prune needs --days=<n>');
+        return 1;
+      }
+      console.log(`Removed ${store.prune(days * DAY)} records older than ${days} days.`);
+      return 0;
+    }
+
+    case 'stats': {
+      const dates = store.entries().map(([, record]) => record.updatedAt).sort();
+      console.log(`Records: ${store.size}`);
+      console.log(`Legacy format: ${store.isLegacy}`);
+      const sources = store.sources();
+      console.log(`Sources: ${sources ? Object.keys(sources).length : 'not tracked yet'}`);
+      console.log(`Seeded records: ${store.entries().filter(([, record]) => record.seeded).length}`);
+      if (dates.length > 0) {
+        console.log(`Oldest update: ${dates[0]}`);
+        console.log(`Newest update: ${dates[dates.length - 1]}`);
+      }
+      return 0;
+    }
+
+    default:
+      console.error(`Unknown command: ${command}`);
+      return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
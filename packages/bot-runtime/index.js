@@ -0,0 +1,120 @@
+const { createBot } = require('./lib/bot');
+const { createStateStore, formats, writeFileAtomic } = require('./lib/state');
+const { createRateLimiter, sleep } = require('./lib/rate-limiter');
+const { buildRichText, MAX_GRAPHEMES } = require('./lib/rich-text');
+const { createLogger } = require('./lib/log');
+const {
+  createBlueskyPublisher,
+  createDryRunPublisher,
+  createMemoryPublisher,
+  selectPublisher,
+} = require('./lib/publishers');
+const { getService, getChatProxy, DEFAULT_SERVICE, DEFAULT_CHAT_PROXY } = require('./lib/service');
+const { createMockPds, DEFAULT_ACCOUNT } = require('./lib/mock-pds');
+const { createSessionManager, isSessionError } = require('./lib/session');
+const { getBackoffDelay, getRateLimitReset, getRetryAfter } = require('./lib/backoff');
+const { createOutbox } = require('./lib/outbox');
+const { classifyError, isNetworkError } = require('./lib/errors');
+const { createRegistry } = require('./lib/metrics');
+const { createMonitor, createMonitorServer } = require('./lib/monitor');
+const { createScheduler, parseCron, nextCronTime } = require('./lib/scheduler');
+const {
+  ConfigError,
+  createConfig,
+  loadConfig,
+  parseDuration,
+  botConfigSchema,
+  botSettings,
+} = require('./lib/config');
+const { createHttpClient, HttpError } = require('./lib/http');
+const { parseFeed, stripHtml, decodeEntities } = require('./lib/feed');
+const { mapHashtags, normalizeTag } = require('./lib/hashtags');
+const {
+  createComposer,
+  shortenText,
+  countGraphemes,
+  countBytes,
+  ComposeError,
+  MAX_BYTES,
+} = require('./lib/composer');
+const { createAuthorDirectory } = require('./lib/author-directory');
+const { createLinkCards, createThumbnail, findPreviewImage, MAX_THUMB_BYTES } = require('./lib/link-card');
+const { createItemFilter, filtersSchema } = require('./lib/filters');
+const { splitIntoPosts, linkText, postUrl } = require('./lib/thread');
+const { createAuditLog } = require('./lib/audit');
+const { createReconciler, titleChanged } = require('./lib/reconcile');
+const { createBurstBuffer } = require('./lib/bursts');
+const { createReleaseNotes, parseRepository, changelogSection, summarizeNotes } = require('./lib/release-notes');
+
+module.exports = {
+  createBot,
+  createStateStore,
+  formats,
+  writeFileAtomic,
+  createRateLimiter,
+  sleep,
+  buildRichText,
+  MAX_GRAPHEMES,
+  createLogger,
+  createBlueskyPublisher,
+  createDryRunPublisher,
+  createMemoryPublisher,
+  selectPublisher,
+  getService,
+  getChatProxy,
+  DEFAULT_SERVICE,
+  DEFAULT_CHAT_PROXY,
+  createMockPds,
+  DEFAULT_ACCOUNT,
+  createSessionManager,
+  isSessionError,
+  getBackoffDelay,
+  getRateLimitReset,
+  getRetryAfter,
+  createOutbox,
+  classifyError,
+  isNetworkError,
+  createRegistry,
+  createMonitor,
+  createMonitorServer,
+  createScheduler,
+  parseCron,
+  nextCronTime,
+  ConfigError,
+  createConfig,
+  loadConfig,
+  parseDuration,
+  botConfigSchema,
+  botSettings,
+  createHttpClient,
+  HttpError,
+  parseFeed,
+  stripHtml,
+  decodeEntities,
+  mapHashtags,
+  normalizeTag,
+  createComposer,
+  shortenText,
+  countGraphemes,
+  countBytes,
+  ComposeError,
+  MAX_BYTES,
+  createAuthorDirectory,
+  createLinkCards,
+  createThumbnail,
+  findPreviewImage,
+  MAX_THUMB_BYTES,
+  createItemFilter,
+  filtersSchema,
+  splitIntoPosts,
+  linkText,
+  postUrl,
+  createAuditLog,
+  createReconciler,
+  titleChanged,
+  createBurstBuffer,
+  createReleaseNotes,
+  parseRepository,
+  changelogSection,
+  summarizeNotes,
+};
@@ -0,0 +1,36 @@
+const fs = require('fs');
+
+// Append-only record of what a bot changed on posts it published before,
+// e.g. deletions and corrections (see reconcile.js). One JSON line per action:
+// { time, action, source, id, uri, ... }. Without a file the entries are only
+// kept in memory.
+function createAuditLog({ file = null, now = () => new Date() } = {}) {
+  const recorded = [];
+
+  return {
+    file,
+
+    record(action, fields = {}) {
+      const entry = { time: now().toISOString(), action, ...fields };
+      if (file) {
+        fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+      } else {
+        recorded.push(entry);
+      }
+      return entry;
+    },
+
+    // All entries, oldest first
+    entries() {
+      if (!file) {
+        return [...recorded];
+      }
+      if (!fs.existsSync(file)) {
+        return [];
+      }
+      return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    },
+  };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('./state');
+const { getChatProxy } = require('./service');
+const { classifyError } = require('./errors');
+
+// Maps author names of a source (e.g. SAP Community usernames) to Bluesky
+// accounts, so posts can mention the author. The file is meant to be edited
+// by hand as well:
+//
+//   {
+//     "authors": {
+//       "Jane Doe": { "handle": "jane.bsky.social" }
+//     }
+//   }
+//
+// The bot adds `did`, `status` and `verifiedAt` to every entry it checks:
+// the handle is resolved with resolveHandle at most every `verifyInterval`
+// and has to point at the same DID as before. Entries whose handle does not
+// resolve (status "invalid") or now belongs to another account (status
+// "mismatch") are not mentioned until a later check succeeds.
+//
+// Authors can sign up themselves by sending the bot a direct message with the
+// keyword and their name (e.g. "!scn Jane Doe"), or "!scn stop" to be removed.
+// Sign-ups wait for a maintainer to set "approved": true unless
+// `autoApprove` is set. Entries without `approved` were added by hand and
+// count as approved.
+//
+// A sign-up for a name that belongs to another account never replaces that
+// entry, also not with `autoApprove`. It is kept under "claims" (by DID) for
+// a maintainer to look at.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Names are matched ignoring case and spacing
+const keyOf = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const normalizeHandle = (handle) => String(handle).trim().replace(/^@/, '').toLowerCase();
+
+function createAuthorDirectory({
+  file,
+  agent,
+  log,
+  verifyInterval = 7 * DAY,
+  keyword = '!author',
+  // What the name is called in the answers, e.g. 'SAP Community username'
+  nameLabel = 'name',
+  autoApprove = false,
+  chatProxy = getChatProxy(),
+  now = () => new Date(),
+}) {
+  let data = { authors: {}, signups: {}, claims: {} };
+  let loadedMtime = null;
+
+  const save = () => {
+    writeFileAtomic(file, `${JSON.stringify(data, null, 2)}\n`);
+    loadedMtime = fs.statSync(file).mtimeMs;
+  };
+
+  const findName = (name) => Object.keys(data.authors).find((candidate) => keyOf(candidate) === keyOf(name));
+
+  const isApproved = (entry) => entry.approved !== false;
+
+  // Entries added by hand may not have a DID yet, then the handle decides
+  const belongsTo = (entry, sender) => (entry.did
+    ? entry.did === sender.did
+    : normalizeHandle(entry.handle || '') === normalizeHandle(sender.handle));
+
+  const isDue = (entry) => !entry.verifiedAt || now().getTime() - new Date(entry.verifiedAt).getTime() >= verifyInterval;
+
+  const verify = async (name, entry) => {
+    const handle = normalizeHandle(entry.handle);
+    try {
+      const { data: resolved } = await agent.resolveHandle({ handle });
+      if (entry.did && entry.did !== resolved.did) {
+        Object.assign(entry, { status: 'mismatch', error: `${handle} now belongs to ${resolved.did}`, verifiedAt: now().toISOString() });
+        log.warn(`The handle of ${name} belongs to another account now, not mentioning them`, { handle, did: entry.did });
+      } else {
+        Object.assign(entry, { did: resolved.did, status: 'ok', verifiedAt: now().toISOString() });
+        delete entry.error;
+      }
+    } catch (error) {
+      if (classifyError(error).kind === 'transient') {
+        // Try again next time, until then the name is posted as plain text
+        log.warn(`Could not verify the handle of ${name}: ${error.message}`, { handle });
+        return false;
+      }
+      Object.assign(entry, { status: 'invalid', error: error.message, verifiedAt: now().toISOString() });
+      log.warn(`The handle of ${name} does not resolve, not mentioning them`, { handle, error: error.message });
+    }
+    save();
+    return entry.status === 'ok';
+  };
+
+  // Reply to a sign-up message, failures are only logged
+  const reply = async (convoId, text) => {
+    try {
+      await agent.api.chat.bsky.convo.sendMessage({ convoId, message: { text } }, { headers: { 'atproto-proxy': chatProxy } });
+    } catch (error) {
+      log.warn(`Could not answer the sign-up message: ${error.message}`, { convoId });
+    }
+  };
+
+  const handleSignup = async (convoId, sender, text) => {
+    const argument = text.trim().slice(keyword.length).trim();
+    const existing = Object.entries(data.authors).find(([, entry]) => entry.did === sender.did);
+
+    if (argument.toLowerCase() === 'stop') {
+      if (existing) {
+        delete data.authors[existing[0]];
+        log.info(`Removed ${existing[0]} from the author directory on request`, { did: sender.did });
+      }
+      if (existing || data.claims[sender.did]) {
+        delete data.claims[sender.did];
+        save();
+      }
+      await reply(convoId, 'You have been removed, new posts will show your name without a mention.');
+      return;
+    }
+    if (!argument) {
+      await reply(convoId, `Send "${keyword} <your ${nameLabel}>" to be mentioned in posts, or "${keyword} stop" to be removed.`);
+      return;
+    }
+
+    const name = findName(argument) || argument;
+    const owner = data.authors[name];
+    if (owner && !belongsTo(owner, sender)) {
+      data.claims[sender.did] = { name, handle: sender.handle, addedAt: now().toISOString() };
+      save();
+      log.warn(`${sender.handle} claimed ${name}, which belongs to another account`, { did: sender.did, owner: owner.did || owner.handle });
+      await reply(convoId, `${name} is already linked to another account. A maintainer will look into it.`);
+      return;
+    }
+
+    if (existing) {
+      delete data.authors[existing[0]];
+    }
+    delete data.claims[sender.did];
+    data.authors[name] = {
+      handle: sender.handle,
+      did: sender.did,
+      source: 'dm',
+      // Signing up again keeps an approved entry approved
+      approved: autoApprove || Boolean(owner && isApproved(owner)),
+      addedAt: now().toISOString(),
+    };
+    save();
+    const { approved } = data.authors[name];
+    log.info(`${sender.handle} signed up as ${name}`, { did: sender.did, approved });
+    await reply(convoId, approved
+      ? `Thanks! Posts by ${name} will mention you from now on.`
+      : `Thanks! Posts by ${name} will mention you once a maintainer has confirmed the sign-up.`);
+  };
+
+  return {
+    file,
+
+    // Read the file, again only when it changed since the last read or write
+    load() {
+      if (!fs.existsSync(file)) {
+        return this;
+      }
+      const { mtimeMs } = fs.statSync(file);
+      if (mtimeMs === loadedMtime) {
+        return this;
+      }
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      data = { authors: {}, signups: {}, claims: {}, ...parsed };
+      loadedMtime = mtimeMs;
+      return this;
+    },
+
+    // The verified account of an author ({ handle, did }) or null, in which
+    // case the name is posted as plain text
+    async lookup(name) {
+      const found = name ? findName(name) : undefined;
+      const entry = found && data.authors[found];
+      if (!entry || !entry.handle || !isApproved(entry)) {
+        return null;
+      }
+      if (isDue(entry) && !(await verify(found, entry))) {
+        return null;
+      }
+      return entry.status === 'ok' ? { handle: normalizeHandle(entry.handle), did: entry.did } : null;
+    },
+
+    // Add or replace an entry
+    add(name, fields) {
+      const existing = findName(name);
+      if (existing) {
+        delete data.authors[existing];
+      }
+      data.authors[name] = { ...fields, addedAt: now().toISOString() };
+      save();
+    },
+
+    entries() {
+      return Object.entries(data.authors).map(([name, entry]) => ({ name, ...entry }));
+    },
+
+    // Read the direct messages sent since the last call and handle the
+    // sign-ups in them, returns the number of handled messages
+    async processSignups() {
+      const options = { headers: { 'atproto-proxy': chatProxy } };
+      const own = agent.session && agent.session.did;
+      const { data: { convos } } = await agent.api.chat.bsky.convo.listConvos({ limit: 100 }, options);
+      let handled = 0;
+
+      for (const convo of convos) {
+        const last = data.signups[convo.id];
+        if (!convo.lastMessage || convo.lastMessage.id === last) {
+          continue;
+        }
+        const { data: { messages } } = await agent.api.chat.bsky.convo.getMessages({ convoId: convo.id, limit: 50 }, options);
+        // Newest first, stop at the last message that was handled
+        const unseen = [];
+        for (const message of messages) {
+          if (message.id === last) {
+            break;
+          }
+          unseen.unshift(message);
+        }
+
+        for (const message of unseen) {
+          const text = message.text || '';
+          if (message.sender.did === own || !text.trim().toLowerCase().startsWith(keyword.toLowerCase())) {
+            continue;
+          }
+          const member = convo.members.find((candidate) => candidate.did === message.sender.did);
+          await handleSignup(convo.id, { did: message.sender.did, handle: member ? member.handle : message.sender.did }, text);
+          handled += 1;
+        }
+
+        data.signups[convo.id] = messages.length > 0 ? messages[0].id : last;
+        save();
+        await agent.api.chat.bsky.convo.updateRead({ convoId: convo.id }, options).catch(() => {});
+      }
+      return handled;
+    },
+  };
+}
+
+module.exports = { createAuthorDirectory };
@@ -0,0 +1,28 @@
+// Exponential backoff: baseDelay, 2x, 4x, ... capped at maxDelay
+function getBackoffDelay(attempt, { baseDelay = 5000, maxDelay = 15 * 60 * 1000 } = {}) {
+  return Math.min(baseDelay * 2 ** attempt, maxDelay);
+}
+
+// Milliseconds until the `ratelimit-reset` header (epoch seconds), or null
+function getRateLimitReset(headers, now = Date.now()) {
+  const reset = headers && Number(headers['ratelimit-reset']);
+  if (!reset) {
+    return null;
+  }
+  return Math.max(reset * 1000 - now, 0);
+}
+
+// Milliseconds until the `retry-after` header (seconds or an HTTP date), or null
+function getRetryAfter(headers, now = Date.now()) {
+  const value = headers && headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+module.exports = { getBackoffDelay, getRateLimitReset, getRetryAfter };
@@ -0,0 +1,727 @@
+const { BskyAgent } = require('@atproto/api');
+const { createLogger } = require('./log');
+const { createRateLimiter } = require('./rate-limiter');
+const { buildRichText } = require('./rich-text');
+const { selectPublisher } = require('./publishers');
+const { getService } = require('./service');
+const { createSessionManager } = require('./session');
+const { createOutbox } = require('./outbox');
+const { createMonitor, createMonitorServer } = require('./monitor');
+const { createScheduler } = require('./scheduler');
+const { createHttpClient } = require('./http');
+const { createLinkCards } = require('./link-card');
+const { parseDuration } = require('./config');
+const { createAuditLog } = require('./audit');
+const { createReconciler } = require('./reconcile');
+const { createBurstBuffer } = require('./bursts');
+
+// --since: a date (2024-05-01) or a duration before now (7d)
+function parseSince(value) {
+  const ms = parseDuration(value);
+  const since = Number.isNaN(ms) ? new Date(value) : new Date(Date.now() - ms);
+  if (Number.isNaN(since.getTime())) {
+    throw new Error(`Invalid --since: ${value} (expected a date like 2024-05-01 or a duration like 7d)`);
+  }
+  return since;
+}
+
+// Command line options of a bot: --seed, --since=<value>, --source=<name>
+// (repeatable)
+function parseArgs(argv) {
+  const options = { seed: false, since: null, sources: [] };
+  for (const arg of argv) {
+    const [key, value] = arg.split(/=(.*)/s);
+    if (key === '--seed') {
+      options.seed = true;
+    } else if (key === '--since') {
+      options.since = parseSince(value);
+    } else if (key === '--source') {
+      options.sources.push(value);
+    }
+  }
+  return options;
+}
+
+// A bot is a list of sources that yield items and a formatter that turns an
+// item into a post. The runtime takes care of login, rate limiting, posting
+// and remembering what was already posted.
+//
+// sources:   array of sources, or a function returning them on every check
+//            (e.g. from the config)
+// source:    { name, fetch({ state, log, isPosted, http, persistState }) } ->
+//            array or async iterable of items; isPosted(id) also covers items
+//            previewed in dry-run mode and items waiting in the outbox;
+//            http.get() is the shared fetch layer (see http.js), its requests
+//            are recorded under the source's name; persistState is false in
+//            dry-run mode, sources should not write files of their own then
+// item:      { id, label? } plus whatever the formatter needs; `id` is the key
+//            stored in the state file. Items must be JSON serializable so
+//            they can be queued in the outbox.
+// format:    (item, source, { http, log }) -> { text, facets?, embed?, thumbnail?,
+//            tags?, replies? }, may be async; http and log as for fetch, e.g.
+//            to look up release notes (see release-notes.js);
+//            tags (without #, see hashtags.js) are appended as far as the
+//            post has room for them; with `facets` the text is posted as it
+//            is; replies (the same shape, without tags) are posted as a
+//            thread below the post with reply root/parent refs, see thread.js
+//
+// `filter(item, source)` decides about new items before they are posted, see
+// filters.js: it returns { action: 'post' | 'skip', rule, reason } or null
+// (post). Every decision is logged with its rule, skipped items are recorded
+// in the state as { skipped: true, rule } so they are not evaluated again.
+//
+// Link cards (app.bsky.embed.external) without a thumb get one from the
+// `thumbnail` image URL or the og:image of the linked page (see link-card.js).
+// Pass `linkCards: null` to post them as they are.
+//
+// The publisher decides where posts go (see publishers.js). When it does not
+// persist state, e.g. in dry-run mode, the state file is never written and
+// previewed items are only remembered for the lifetime of the process.
+//
+// Failed posts go into the outbox (see outbox.js) when `outbox` is given and
+// are retried at the start of the following checks instead of being fetched
+// and posted again from their source.
+//
+// With `healthPort` (or BOT_HEALTH_PORT) start() serves /healthz and /metrics
+// on that port (see monitor.js).
+//
+// Checks run on `schedule` (BOT_SCHEDULE), an interval in ms or a cron
+// expression, defaulting to `checkInterval`, plus up to `jitter` ms
+// (BOT_JITTER). A check never overlaps with the previous one (see
+// scheduler.js). With `handleSignals`, SIGUSR2 runs a check right away and
+// SIGTERM/SIGINT stop the bot after the post in progress.
+//
+// Seeding: the first check of a source that is not in the state yet (a new
+// state file, or a feed added to the config) marks all of its current items
+// as seen ({ seeded: true }) instead of posting them. Only items published
+// (item.published) after `seed.since`, a duration before now, are posted.
+// `seed.auto: false` turns this off, `node index.js --seed [--since=<date or
+// duration>] [--source=<name>]` seeds the given or all sources once and
+// exits.
+//
+// Reconciling: after every check the posts published within
+// `reconcile.window` are looked up again at sources with a `lookup()`. Posts
+// of items that are gone are deleted (`reconcile.delete`), a changed title
+// gets a correction reply (`formatCorrection(current, record)`). The actions
+// are appended to `auditFile`, see reconcile.js.
+//
+// Bursts: with `bursts` ({ key(item, source), window, minSize, label(key,
+// items)? }, or a function returning it on every check) new items that key()
+// puts into a group are held back in `burstFile` (see bursts.js) until the
+// window of their group is over. A group of at least minSize items is posted
+// as one item { id: 'burst:<key>:<first id>', label, burst: { key, items } }
+// that `format` turns into a post, e.g. a summary with a thread of the items;
+// smaller groups are posted item by item. The items of a posted burst are
+// recorded as { burst: <id> }.
+//
+// `beforeCheck({ log, agent, publisher })` runs at the start of every check,
+// e.g. to read direct messages; a failure is logged and the check goes on.
+//
+// With a `config` (see config.js) checkInterval, schedule, jitter,
+// rateLimitInterval, seed and reconcile are taken from it, and SIGHUP reloads
+// it.
+function createBot({
+  name,
+  sources,
+  format,
+  state,
+  config = null,
+  checkInterval = config ? config.current.checkInterval : 60 * 60 * 1000,
+  rateLimitInterval = config ? config.current.rateLimitInterval : 1000,
+  service = getService(),
+  identifier = process.env.BLUESKY_USERNAME,
+  password = process.env.BLUESKY_PASSWORD,
+  agent = new BskyAgent({ service }),
+  log = createLogger(name),
+  sessionFile = process.env.BLUESKY_SESSION_FILE || null,
+  session = createSessionManager({ agent, identifier, password, file: sessionFile, log }),
+  publisher = selectPublisher({ agent, identifier, password, session }),
+  outboxFile = null,
+  outbox = outboxFile ? createOutbox({ file: outboxFile }) : null,
+  healthPort = process.env.BOT_HEALTH_PORT || null,
+  monitor = createMonitor({ name, checkInterval }),
+  schedule = (config && config.current.schedule) || process.env.BOT_SCHEDULE || checkInterval,
+  jitter = config ? config.current.jitter : Number(process.env.BOT_JITTER) || 0,
+  handleSignals = true,
+  http = createHttpClient({ log, onResult: (source, result, seconds) => monitor.fetchResult(source, result, seconds) }),
+  beforeCheck = null,
+  filter = null,
+  seed = { auto: false },
+  reconcile = { window: 0, delete: false },
+  formatCorrection,
+  auditFile = null,
+  audit = createAuditLog({ file: auditFile }),
+  bursts = null,
+  burstFile = null,
+  // Bursts of dry-run mode are only kept in memory
+  burstBuffer = createBurstBuffer({ file: publisher.persistState ? burstFile : null }),
+  argv = process.argv.slice(2),
+  linkCards = createLinkCards({ http, log, upload: (data, mimeType) => publisher.uploadBlob(data, mimeType) }),
+}) {
+  const limiter = createRateLimiter(rateLimitInterval, { log, onWait: (ms) => monitor.rateLimitWait(ms) });
+  const previewed = new Set();
+  // Sources seeded in dry-run mode, where the state is not written
+  const seededSources = new Set();
+  let scheduler = null;
+  let monitorServer = null;
+  let stopping = false;
+  const signalHandlers = {};
+
+  const currentSources = () => (typeof sources === 'function' ? sources() : sources);
+
+  // Follow the timing settings of a reloaded config
+  if (config) {
+    config.onReload((current) => {
+      schedule = current.schedule || current.checkInterval;
+      jitter = current.jitter;
+      limiter.setMinInterval(current.rateLimitInterval);
+      monitor.setCheckInterval(current.checkInterval);
+      if (scheduler) {
+        scheduler.reschedule(schedule, jitter);
+        log.info(`Checking ${scheduler.describe()}.`);
+      }
+    });
+  }
+
+  const login = async () => {
+    await publisher.login();
+    if (publisher.name === 'bluesky') {
+      log.info(`Logged into Bluesky successfully (session ${session.status}).`);
+    } else {
+      log.info(`Using the ${publisher.name} publisher, nothing is posted to Bluesky.`);
+    }
+  };
+
+  // Failed posts are only queued when the state is persisted as well
+  const useOutbox = () => outbox && publisher.persistState;
+
+  // Posted, previewed, waiting in the outbox or held back for a burst
+  const isPosted = (id) => state.has(id) || previewed.has(id) || Boolean(useOutbox() && outbox.has(id)) || burstBuffer.has(id);
+
+  const labelOf = (item) => item.label || item.id;
+
+  // Every line about an item carries its source and id
+  const itemLog = (item, source) => log.child({ source: source.name, itemId: item.id });
+
+  // Text and facets of a post: facets returned by the formatter are used as
+  // they are, otherwise they are detected (see rich-text.js)
+  const buildText = (content, ilog) => (content.facets
+    ? { text: content.text, facets: content.facets }
+    : buildRichText(agent, content.text, { log: ilog, tags: content.tags }));
+
+  const refOf = ({ uri, cid }) => ({ uri, cid });
+
+  // Post the replies of an item as a thread below its post, returns the URIs
+  // of the replies. A failed reply is logged and ends the thread, the item
+  // itself counts as posted.
+  const publishReplies = async (replies, root, ilog) => {
+    const uris = [];
+    let parent = root;
+    for (const [index, reply] of replies.entries()) {
+      await limiter.wait();
+      try {
+        const rt = await buildText(reply, ilog);
+        const record = {
+          text: rt.text,
+          facets: rt.facets,
+          createdAt: new Date().toISOString(),
+          reply: { root: refOf(root), parent: refOf(parent) },
+        };
+        if (reply.embed) {
+          record.embed = linkCards ? await linkCards.addThumbnail(reply.embed, { image: reply.thumbnail, log: ilog }) : reply.embed;
+        }
+        parent = await publisher.publish(record);
+        uris.push(parent.uri);
+        ilog.info(`Posted reply ${index + 1} of ${replies.length}`, { uri: parent.uri });
+      } catch (error) {
+        ilog.error(`Failed to post reply ${index + 1} of ${replies.length}, the thread is incomplete: ${error.message}`, error);
+        break;
+      } finally {
+        limiter.touch();
+      }
+    }
+    return uris;
+  };
+
+  // Format and publish a single item, returns the post URI and throws on failure
+  const publishItem = async (item, source) => {
+    const label = labelOf(item);
+    const ilog = itemLog(item, source);
+    await limiter.wait();
+
+    let rt;
+    let embed;
+    let content;
+    let postResponse;
+    const startedAt = Date.now();
+    try {
+      content = await format(item, source, { http: http.forSource(source.name), log: ilog });
+      embed = linkCards ? await linkCards.addThumbnail(content.embed, { image: content.thumbnail, log: ilog }) : content.embed;
+      rt = await buildText(content, ilog);
+
+      const record = {
+        text: rt.text,
+        facets: rt.facets,
+        createdAt: new Date().toISOString(),
+      };
+      if (embed) {
+        record.embed = embed;
+      }
+
+      postResponse = await publisher.publish(record);
+      const durationMs = Date.now() - startedAt;
+      ilog.info(`Posted to ${publisher.name}: ${label}`, { uri: postResponse.uri, durationMs });
+      monitor.itemPosted(source.name, durationMs / 1000);
+
+      const members = item.burst ? item.burst.items.map((member) => member.id) : [];
+      if (publisher.persistState) {
+        // Title and link are kept for digests and to reconcile the post
+        state.set(item.id, {
+          uri: postResponse.uri,
+          cid: postResponse.cid,
+          label,
+          source: source.name,
+          ...(typeof item.title === 'string' ? { title: item.title } : {}),
+          ...(typeof item.link === 'string' ? { link: item.link } : {}),
+        });
+        if (members.length > 0) {
+          state.setMany(members, { burst: item.id });
+        }
+      } else {
+        [item.id, ...members].forEach((id) => previewed.add(id));
+      }
+    } catch (error) {
+      monitor.itemFailed(source.name);
+      ilog.error(`Failed to post ${label}: ${error.message}`, {
+        durationMs: Date.now() - startedAt,
+        text: rt ? rt.text : undefined,
+        embed,
+      }, error);
+      throw error;
+    } finally {
+      // Failed attempts count towards the rate limit as well
+      limiter.touch();
+    }
+
+    if (content.replies && content.replies.length > 0) {
+      const replies = await publishReplies(content.replies, postResponse, ilog);
+      if (publisher.persistState) {
+        state.set(item.id, { replies });
+      }
+    }
+    return postResponse.uri;
+  };
+
+  // Queue a failed item for a retry or move it to the dead letters
+  const handleFailure = (item, source, error) => {
+    if (!useOutbox()) {
+      return;
+    }
+    const entry = outbox.recordFailure(item, source.name, error);
+    const ilog = itemLog(item, source);
+    if (entry.status === 'dead') {
+      ilog.error(`Moved ${labelOf(item)} to the dead letters after ${entry.attempts} attempt(s)`, {
+        errorKind: entry.errorKind,
+        errorReason: entry.errorReason,
+      });
+    } else {
+      ilog.warn(`Queued ${labelOf(item)} for attempt ${entry.attempts + 1}`, {
+        nextAttemptAt: entry.nextAttemptAt,
+        errorReason: entry.errorReason,
+      });
+    }
+  };
+
+  // Apply the filter to a new item, returns true when it is skipped
+  const filterItem = (item, source) => {
+    const decision = filter ? filter(item, source) : null;
+    if (!decision) {
+      return false;
+    }
+    const ilog = itemLog(item, source);
+    const fields = { rule: decision.rule, reason: decision.reason };
+    if (decision.action !== 'skip') {
+      ilog.info(`Filters passed ${labelOf(item)}`, fields);
+      return false;
+    }
+    ilog.info(`Skipping ${labelOf(item)}, filtered out`, fields);
+    monitor.itemFiltered(source.name, decision.rule);
+    if (publisher.persistState) {
+      state.set(item.id, { skipped: true, rule: decision.rule });
+    } else {
+      previewed.add(item.id);
+    }
+    return true;
+  };
+
+  const seedSettings = () => (config ? config.current.seed : seed);
+
+  // Sources of files written before sources were tracked were running
+  // already, they are not seeded
+  const adoptSources = () => {
+    if (!publisher.persistState || state.tracksSources) {
+      return;
+    }
+    const names = currentSources().map((source) => source.name);
+    state.adoptSources(names);
+    log.info(`Recorded ${names.length} existing source(s), sources added from now on are seeded.`);
+  };
+
+  const isNewSource = (source) => !state.hasSource(source.name) && !seededSources.has(source.name);
+
+  const isNewerThan = (item, since) => Boolean(since && item.published && new Date(item.published) > since);
+
+  // Mark the items of a seeded source as seen and remember the source
+  const finishSeeding = (source, ids, sourceLog) => {
+    if (publisher.persistState) {
+      if (ids.length > 0) {
+        state.setMany(ids, { seeded: true });
+      }
+      state.addSource(source.name, { seededAt: new Date().toISOString(), seeded: ids.length });
+    } else {
+      ids.forEach((id) => previewed.add(id));
+      seededSources.add(source.name);
+    }
+    sourceLog.info(`Seeded ${source.name}: marked ${ids.length} item(s) as seen without posting them`, { seeded: ids.length });
+  };
+
+  const reconciler = createReconciler({
+    state,
+    publisher,
+    audit,
+    limiter,
+    log,
+    formatCorrection,
+    reply: async (content, ref, ilog) => (await publishReplies([content], ref, ilog))[0] || null,
+    onAction: (source, action) => monitor.postReconciled(source, action),
+  });
+
+  const reconcileSettings = () => (config ? config.current.reconcile : reconcile);
+
+  // Look up the recent posts of the sources that support it, see reconcile.js
+  const reconcilePosts = async (errors) => {
+    const { window, delete: deleteGone } = reconcileSettings();
+    if (!window) {
+      return;
+    }
+    for (const source of currentSources().filter((candidate) => candidate.lookup)) {
+      if (stopping) {
+        break;
+      }
+      try {
+        await reconciler.reconcileSource(source, {
+          window,
+          deleteGone,
+          http: http.forSource(source.name),
+          stopping: () => stopping,
+        });
+      } catch (error) {
+        log.error(`Error reconciling ${source.name}: ${error.message}`, { source: source.name }, error);
+        errors.push(`${source.name}: ${error.message}`);
+      }
+    }
+  };
+
+  // Publish a new item, returns the post URI or null on failure
+  const postItem = async (item, source) => {
+    itemLog(item, source).info(`Processing new item: ${labelOf(item)}`);
+    try {
+      return await publishItem(item, source);
+    } catch (error) {
+      handleFailure(item, source, error);
+      return null;
+    }
+  };
+
+  const burstSettings = () => (typeof bursts === 'function' ? bursts() : bursts);
+
+  // Hold a new item back for a burst, returns true when it was
+  const bufferItem = (item, source) => {
+    const settings = burstSettings();
+    const key = settings ? settings.key(item, source) : null;
+    if (!key) {
+      return false;
+    }
+    const group = burstBuffer.add(key, item, source.name);
+    itemLog(item, source).info(`Holding ${labelOf(item)} back for a burst of ${key}`, { burst: key, buffered: group.items.length });
+    return true;
+  };
+
+  const burstItem = ({ key, items }, settings) => ({
+    id: `burst:${key}:${items[0].id}`,
+    label: settings.label ? settings.label(key, items) : `${items.length} items of ${key}`,
+    burst: { key, items },
+  });
+
+  // Post the groups whose window is over, see bursts.js. Items that could not
+  // be posted, and are not queued in the outbox, wait for the next check.
+  const postBursts = async () => {
+    const settings = burstSettings();
+    // Turned off: whatever is still held back goes out now
+    for (const group of burstBuffer.due(settings ? settings.window : 0)) {
+      if (stopping) {
+        break;
+      }
+      const source = currentSources().find((candidate) => candidate.name === group.source) || { name: group.source };
+      const items = settings && group.items.length >= settings.minSize ? [burstItem(group, settings)] : group.items;
+      if (items[0].burst) {
+        log.info(`Posting a burst of ${items[0].burst.items.length} items of ${group.key}`, { source: source.name, burst: group.key });
+      }
+      const left = [];
+      for (const item of items) {
+        if (stopping || (!await postItem(item, source) && !useOutbox())) {
+          left.push(...(item.burst ? item.burst.items : [item]));
+        }
+      }
+      burstBuffer.remove(group.key);
+      left.forEach((item) => burstBuffer.add(group.key, item, group.source));
+    }
+  };
+
+  // Retry the outbox entries that are due
+  const retryOutbox = async () => {
+    if (!useOutbox()) {
+      return;
+    }
+    const due = outbox.due();
+    if (due.length === 0) {
+      return;
+    }
+    log.info(`Retrying ${due.length} queued post(s)...`);
+    for (const entry of due) {
+      if (stopping) {
+        break;
+      }
+      const source = currentSources().find((candidate) => candidate.name === entry.source) || { name: entry.source };
+      try {
+        await publishItem(entry.item, source);
+        outbox.remove(entry.id);
+      } catch (error) {
+        handleFailure(entry.item, source, error);
+      }
+    }
+  };
+
+  // Run one pass over all sources. `seeding` forces seeding: { sources, since }
+  // with the names of the sources to seed (all when empty) and a Date.
+  const check = async (seeding = null) => {
+    log.info(`Checking ${name}...`);
+    const startedAt = Date.now();
+    const errors = [];
+    if (beforeCheck) {
+      try {
+        await beforeCheck({ log, agent, publisher });
+      } catch (error) {
+        log.error(`Error before checking ${name}: ${error.message}`, error);
+      }
+    }
+    await retryOutbox();
+    const { auto, since: sinceMs } = seedSettings();
+    if (auto || seeding) {
+      adoptSources();
+    }
+
+    for (const source of currentSources()) {
+      if (stopping) {
+        log.info('Stopping, skipping the remaining sources.');
+        break;
+      }
+      const sourceLog = log.child({ source: source.name });
+      const sourceStartedAt = Date.now();
+      const seedsSource = seeding
+        ? seeding.sources.length === 0 || seeding.sources.includes(source.name)
+        : auto && isNewSource(source);
+      const since = seeding ? seeding.since : sinceMs && new Date(Date.now() - sinceMs);
+      const seen = [];
+      try {
+        sourceLog.info(`Processing source: ${source.name}`);
+        if (seedsSource) {
+          sourceLog.info(`Seeding ${source.name}: marking its items as seen${since ? `, except those published after ${since.toISOString()}` : ''}`);
+        }
+        const items = await source.fetch({
+          state,
+          log: sourceLog,
+          isPosted,
+          http: http.forSource(source.name),
+          persistState: publisher.persistState,
+        });
+        for await (const item of items) {
+          if (stopping) {
+            break;
+          }
+          monitor.itemFetched(source.name);
+          if (isPosted(item.id)) {
+            monitor.itemSkipped(source.name);
+            sourceLog.debug(`Skipping ${labelOf(item)}, already posted`, { itemId: item.id });
+            continue;
+          }
+          sourceLog.debug(`Fetched ${labelOf(item)}`, { itemId: item.id });
+          if (seedsSource && !isNewerThan(item, since)) {
+            seen.push(item.id);
+            continue;
+          }
+          if (!filterItem(item, source) && !bufferItem(item, source)) {
+            await postItem(item, source);
+          }
+        }
+        if (seedsSource && !stopping) {
+          finishSeeding(source, seen, sourceLog);
+        }
+        sourceLog.info(`Finished source: ${source.name}`, { durationMs: Date.now() - sourceStartedAt });
+      } catch (error) {
+        sourceLog.error(`Error checking ${source.name}: ${error.message}`, { durationMs: Date.now() - sourceStartedAt }, error);
+        errors.push(`${source.name}: ${error.message}`);
+      }
+    }
+
+    if (!stopping) {
+      await postBursts();
+    }
+    if (!seeding && !stopping) {
+      await reconcilePosts(errors);
+    }
+
+    const removed = publisher.persistState ? state.prune() : 0;
+    if (removed > 0) {
+      log.info(`Pruned ${removed} records older than the retention period.`);
+    }
+
+    if (useOutbox()) {
+      monitor.outboxSize({ pending: outbox.pending().length, dead: outbox.deadLetters().length });
+    }
+    const durationMs = Date.now() - startedAt;
+    monitor.checkFinished({ seconds: durationMs / 1000, errors });
+    log.info(`Finished checking ${name}.`, { durationMs, failedSources: errors.length });
+    return errors;
+  };
+
+  const startMonitorServer = async () => {
+    monitorServer = createMonitorServer({
+      monitor,
+      port: healthPort,
+      getExtra: () => ({
+        publisher: publisher.name,
+        session: session ? session.status : null,
+        sources: http.status(),
+      }),
+    });
+    const port = await monitorServer.start();
+    log.info(`Serving /healthz and /metrics on port ${port}.`);
+  };
+
+  // Run a check now, unless one is running already
+  const runNow = () => (scheduler ? scheduler.run() : check());
+
+  const installSignalHandlers = () => {
+    signalHandlers.SIGUSR2 = () => {
+      log.info('Received SIGUSR2, checking now.');
+      runNow();
+    };
+    // stop() removes the handlers, a second signal ends the process right away
+    const shutdown = async (signal) => {
+      log.info(`Received ${signal}, stopping after the current post...`);
+      await stop();
+      log.info('Stopped.');
+      process.exit(0);
+    };
+    if (config) {
+      signalHandlers.SIGHUP = () => {
+        log.info('Received SIGHUP, reloading the configuration.');
+        config.reload();
+      };
+    }
+    signalHandlers.SIGTERM = () => shutdown('SIGTERM');
+    signalHandlers.SIGINT = () => shutdown('SIGINT');
+    for (const [signal, handler] of Object.entries(signalHandlers)) {
+      process.on(signal, handler);
+    }
+  };
+
+  // Login, load the state, run a first check and schedule the next ones.
+  // Returns the scheduler, or null when the bot could not be started.
+  const start = async () => {
+    let options;
+    try {
+      options = parseArgs(argv);
+    } catch (error) {
+      log.error(error.message);
+      process.exitCode = 1;
+      return null;
+    }
+    if (options.seed) {
+      try {
+        const succeeded = await seedSources(options);
+        process.exitCode = succeeded ? 0 : 1;
+      } catch (error) {
+        log.error(`Seeding failed: ${error.message}`, error);
+        process.exitCode = 1;
+      }
+      return null;
+    }
+    try {
+      if (healthPort !== null && healthPort !== '') {
+        await startMonitorServer();
+      }
+      await login();
+      state.load();
+      burstBuffer.load();
+      if (outbox) {
+        outbox.load();
+      }
+      stopping = false;
+      scheduler = createScheduler({ job: check, schedule, jitter, log });
+      log.info(`Checking ${scheduler.describe()}.`);
+      if (handleSignals) {
+        installSignalHandlers();
+      }
+      await scheduler.start();
+      return scheduler;
+    } catch (error) {
+      log.error('Error initializing the script:', error);
+      return null;
+    }
+  };
+
+  // Seed once and return (see above), for `--seed`. Returns false when a
+  // source failed.
+  const seedSources = async ({ sources: names = [], since = null } = {}) => {
+    const known = currentSources().map((source) => source.name);
+    const unknown = names.filter((candidate) => !known.includes(candidate));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown source(s): ${unknown.join(', ')} (expected ${known.join(', ')})`);
+    }
+    await login();
+    state.load();
+    burstBuffer.load();
+    if (outbox) {
+      outbox.load();
+    }
+    const errors = await check({ sources: names, since });
+    return errors.length === 0;
+  };
+
+  // Let the running check finish its current post, then stop the scheduled
+  // checks and the monitor server
+  const stop = async () => {
+    stopping = true;
+    for (const [signal, handler] of Object.entries(signalHandlers)) {
+      process.removeListener(signal, handler);
+      delete signalHandlers[signal];
+    }
+    if (scheduler) {
+      await scheduler.stop();
+      scheduler = null;
+    }
+    if (monitorServer) {
+      await monitorServer.close();
+      monitorServer = null;
+    }
+  };
+
+  return {
+    name, agent, state, config, log, session, publisher, outbox, monitor, http, audit, burstBuffer,
+    login, check, runNow, postItem, retryOutbox, seed: seedSources, start, stop,
+  };
+}
+
+module.exports = { createBot, parseArgs };
@@ -0,0 +1,77 @@
+const { createStateStore } = require('./state');
+
+// Buffer of new items that belong together, e.g. the packages of a monorepo
+// released within seconds of each other. Items are kept per group until the
+// group's window is over, then posted as one burst (see bot.js).
+//
+// The window of a group starts with the earliest publish time of its items
+// (item.published), or when the first one was buffered. Without a file the
+// groups are only kept in memory, e.g. in dry-run mode.
+//
+// group: { source, since, items: [item], createdAt, updatedAt }
+function createBurstBuffer({ file = null, now = () => new Date() } = {}) {
+  const store = file ? createStateStore({ file, now }) : null;
+  const memory = new Map();
+
+  const entries = () => (store ? store.entries() : [...memory]);
+  const write = (key, fields) => {
+    if (store) {
+      return store.set(key, fields);
+    }
+    memory.set(key, { ...memory.get(key), ...fields });
+    return memory.get(key);
+  };
+
+  const startOf = (item) => {
+    const published = item.published ? new Date(item.published) : null;
+    return published && !Number.isNaN(published.getTime()) ? published : now();
+  };
+
+  return {
+    file,
+
+    load() {
+      if (store) {
+        store.load();
+      }
+      return this;
+    },
+
+    // True while an item waits in one of the groups
+    has(id) {
+      return entries().some(([, group]) => group.items.some((item) => item.id === id));
+    },
+
+    // Add an item to a group, returns the group
+    add(key, item, source) {
+      const [, group] = entries().find(([candidate]) => candidate === key) || [];
+      const start = startOf(item).toISOString();
+      return write(key, {
+        source: group ? group.source : source,
+        since: group && group.since < start ? group.since : start,
+        items: [...(group ? group.items : []), item],
+      });
+    },
+
+    // Groups whose window is over: [{ key, source, since, items }]
+    due(window) {
+      const current = now().getTime();
+      return this.groups().filter((group) => new Date(group.since).getTime() + window <= current);
+    },
+
+    groups() {
+      return entries().map(([key, group]) => ({ key, ...group }));
+    },
+
+    // Remove a group, e.g. after it was posted
+    remove(key) {
+      if (store) {
+        store.delete(key);
+      } else {
+        memory.delete(key);
+      }
+    },
+  };
+}
+
+module.exports = { createBurstBuffer };
@@ -0,0 +1,134 @@
+// Fills the named post templates of a bot and makes the result fit into a
+// Bluesky post: at most 300 graphemes (what the app counts as characters)
+// and 3000 bytes of UTF-8.
+//
+//   const composer = createComposer({
+//     post: { text: '👤 Post by {author}:\n"{title}"\n🔗 Link: {link}', shorten: ['title'] },
+//     card: { text: '👤 Post by {author}:\n"{title}"', shorten: ['title'] },
+//   });
+//   composer.compose('post', { author, title, link });
+//
+// Only the fields listed in `shorten` are cut, in that order, at a word
+// boundary where possible and never inside an emoji or a surrogate pair.
+// Everything else, URLs in particular, stays intact, so the facets detected
+// on the text later on are intact as well. When the text does not fit even
+// with those fields cut down to nothing, compose() throws a ComposeError and
+// the bot can fall back to another template (e.g. a link card).
+
+const MAX_GRAPHEMES = 300;
+const MAX_BYTES = 3000;
+const ELLIPSIS = '…';
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+class ComposeError extends Error {
+  constructor(template, message) {
+    super(`Cannot compose the "${template}" post: ${message}`);
+    this.name = 'ComposeError';
+    this.template = template;
+  }
+}
+
+const graphemesOf = (text) => [...graphemeSegmenter.segment(text)].map(({ segment }) => segment);
+
+const countGraphemes = (text) => graphemesOf(text).length;
+
+const countBytes = (text) => Buffer.byteLength(text, 'utf8');
+
+// The first `count` graphemes of a text, cut back to the last word boundary
+// unless that would drop more than half of it, with an ellipsis. The text is
+// returned as is when it has at most `count` graphemes.
+function cutText(text, count, { ellipsis = ELLIPSIS } = {}) {
+  const graphemes = graphemesOf(text);
+  if (graphemes.length <= count) {
+    return text;
+  }
+  const room = count - countGraphemes(ellipsis);
+  if (room <= 0) {
+    return '';
+  }
+  const hardCut = graphemes.slice(0, room).join('');
+
+  // Start of the last word (or of the whitespace before it) within the cut
+  let boundary = 0;
+  for (const { index } of wordSegmenter.segment(text)) {
+    if (index > hardCut.length) {
+      break;
+    }
+    boundary = index;
+  }
+  const cut = boundary >= hardCut.length / 2 ? hardCut.slice(0, boundary) : hardCut;
+  return `${cut.replace(/[\s,;:.\-–—]+$/u, '')}${ellipsis}`;
+}
+
+// Shorten a text to at most maxGraphemes, e.g. a link card description
+function shortenText(text, maxGraphemes, options) {
+  return cutText(String(text ?? ''), maxGraphemes, options);
+}
+
+const fits = (text, maxGraphemes, maxBytes) => countBytes(text) <= maxBytes && countGraphemes(text) <= maxGraphemes;
+
+// templates: { name: { text, shorten? } } or { name: 'text' }, placeholders
+// are written as {field}
+function createComposer(templates, { maxGraphemes = MAX_GRAPHEMES, maxBytes = MAX_BYTES, ellipsis = ELLIPSIS } = {}) {
+  const templateOf = (name) => {
+    const template = templates[name];
+    if (template === undefined) {
+      throw new Error(`Unknown template: ${name} (expected ${Object.keys(templates).join(', ')})`);
+    }
+    return typeof template === 'string' ? { text: template, shorten: [] } : { shorten: [], ...template };
+  };
+
+  const render = (text, values) => text.replace(/\{(\w+)\}/g, (match, field) => String(values[field] ?? ''));
+
+  return {
+    // The template filled with the values, without shortening anything
+    render(name, values = {}) {
+      return render(templateOf(name).text, values);
+    },
+
+    // The template filled with the values, shortened to fit into a post
+    compose(name, values = {}) {
+      const template = templateOf(name);
+      const current = Object.fromEntries(Object.entries(values).map(([field, value]) => [field, String(value ?? '')]));
+      if (fits(render(template.text, current), maxGraphemes, maxBytes)) {
+        return render(template.text, current);
+      }
+
+      for (const field of template.shorten) {
+        const original = current[field] || '';
+        // The longest cut of this field that fits, found by bisection
+        let low = 0;
+        let high = countGraphemes(original);
+        while (low < high) {
+          const middle = Math.ceil((low + high) / 2);
+          if (fits(render(template.text, { ...current, [field]: cutText(original, middle, { ellipsis }) }), maxGraphemes, maxBytes)) {
+            low = middle;
+          } else {
+            high = middle - 1;
+          }
+        }
+        current[field] = cutText(original, low, { ellipsis });
+        const text = render(template.text, current);
+        if (fits(text, maxGraphemes, maxBytes)) {
+          return text;
+        }
+      }
+
+      const text = render(template.text, current);
+      throw new ComposeError(name, `${countGraphemes(text)} graphemes and ${countBytes(text)} bytes, `
+        + `the limit is ${maxGraphemes} graphemes and ${maxBytes} bytes`);
+    },
+  };
+}
+
+module.exports = {
+  createComposer,
+  shortenText,
+  countGraphemes,
+  countBytes,
+  ComposeError,
+  MAX_GRAPHEMES,
+  MAX_BYTES,
+};
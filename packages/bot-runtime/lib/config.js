@@ -0,0 +1,397 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseRegExp } = require('./filters');
+const { parseSchedule, nextCronTime } = require('./scheduler');
+
+// Declarative bot configuration: a YAML or JSON file, validated against a
+// schema, with environment variable overrides and reload on SIGHUP.
+//
+// The schema is a small subset of JSON Schema:
+//
+//   { type: 'object', properties: { ... }, required: [...], additionalProperties: false }
+//   { type: 'object', additionalProperties: { ... } }  a map, every value is
+//                                                      checked against the schema
+//   { type: 'array', items: { ... }, minItems }
+//   { type: 'string', format: 'uri' | 'keyword' | 'schedule', pattern, enum }
+//                         keyword: plain text or a /regular expression/flags
+//                         schedule: a cron expression or an interval in ms
+//   { type: 'integer' | 'number', minimum, maximum }
+//   { type: 'boolean' }
+//   { type: 'duration' }  milliseconds, or a string like 500ms, 30s, 5m, 1h, 7d
+//
+// Every schema may have a `default` and an `env` variable that overrides the
+// value from the file. Arrays of strings are read from the environment as a
+// comma separated list, objects and other arrays as JSON.
+
+class ConfigError extends Error {
+  constructor(file, problems) {
+    super(`Invalid configuration${file ? ` in ${file}` : ''}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Milliseconds of a duration (number or string like "5m"), NaN if invalid
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? value : NaN;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/.exec(String(value));
+  if (!match) {
+    return NaN;
+  }
+  return Math.round(Number(match[1]) * DURATION_UNITS[match[2] || 'ms']);
+}
+
+const describe = (value) => JSON.stringify(value);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check `value` against `schema`, returns the value with defaults applied and
+// pushes problems ("path: message") to `problems`
+function validate(schema, value, at, problems) {
+  const where = at || '(root)';
+  if (value === undefined) {
+    value = schema.default !== undefined ? structuredClone(schema.default) : undefined;
+    if (value === undefined) {
+      return undefined;
+    }
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (!isPlainObject(value)) {
+        problems.push(`${where}: must be an object, got ${describe(value)}`);
+        return value;
+      }
+      const properties = schema.properties || {};
+      const result = {};
+      for (const key of Object.keys(value)) {
+        if (!(key in properties) && schema.additionalProperties === false) {
+          problems.push(`${at ? `${at}.` : ''}${key}: unknown setting (expected one of ${Object.keys(properties).join(', ')})`);
+        }
+      }
+      for (const [key, property] of Object.entries(properties)) {
+        const child = validate(property, value[key], at ? `${at}.${key}` : key, problems);
+        if (child !== undefined) {
+          result[key] = child;
+        } else if ((schema.required || []).includes(key)) {
+          problems.push(`${at ? `${at}.` : ''}${key}: is required`);
+        }
+      }
+      if (schema.additionalProperties !== false) {
+        for (const key of Object.keys(value)) {
+          if (!(key in properties)) {
+            result[key] = isPlainObject(schema.additionalProperties)
+              ? validate(schema.additionalProperties, value[key], at ? `${at}.${key}` : key, problems)
+              : value[key];
+          }
+        }
+      }
+      return result;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        problems.push(`${where}: must be a list, got ${describe(value)}`);
+        return value;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        problems.push(`${where}: must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`);
+      }
+      return value.map((entry, index) => validate(schema.items || {}, entry, `${where}[${index}]`, problems));
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        problems.push(`${where}: must be a string, got ${describe(value)}`);
+        return value;
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${where}: must be one of ${schema.enum.join(', ')}, got ${describe(value)}`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        problems.push(`${where}: must match ${schema.pattern}, got ${describe(value)}`);
+      }
+      if (schema.format === 'uri' && !/^https?:\/\/[^\s/]+/.test(value)) {
+        problems.push(`${where}: must be an http(s) URL, got ${describe(value)}`);
+      }
+      if (schema.format === 'keyword') {
+        try {
+          parseRegExp(value);
+        } catch (error) {
+          problems.push(`${where}: ${error.message}`);
+        }
+      }
+      if (schema.format === 'schedule') {
+        try {
+          const { cron } = parseSchedule(value);
+          // e.g. "0 0 31 2 *" parses, but never runs
+          if (cron) {
+            nextCronTime(cron);
+          }
+        } catch (error) {
+          problems.push(`${where}: ${error.message}`);
+        }
+      }
+      return value;
+    }
+
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || Number.isNaN(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+        problems.push(`${where}: must be ${schema.type === 'integer' ? 'an integer' : 'a number'}, got ${describe(value)}`);
+        return value;
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        problems.push(`${where}: must be at least ${schema.minimum}, got ${value}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        problems.push(`${where}: must be at most ${schema.maximum}, got ${value}`);
+      }
+      return value;
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        problems.push(`${where}: must be true or false, got ${describe(value)}`);
+      }
+      return value;
+
+    case 'duration': {
+      const ms = parseDuration(value);
+      if (Number.isNaN(ms)) {
+        problems.push(`${where}: must be a duration like 30s, 5m or 1h (or milliseconds), got ${describe(value)}`);
+        return value;
+      }
+      if (schema.minimum !== undefined && ms < parseDuration(schema.minimum)) {
+        problems.push(`${where}: must be at least ${schema.minimum}, got ${describe(value)}`);
+      }
+      return ms;
+    }
+
+    default:
+      return value;
+  }
+}
+
+// Turn an environment variable into a value of the schema's type
+function fromEnv(schema, raw) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return raw.trim() === '' ? NaN : Number(raw);
+    case 'boolean':
+      return ['true', '1', 'yes'].includes(raw.toLowerCase()) ? true
+        : ['false', '0', 'no'].includes(raw.toLowerCase()) ? false : raw;
+    case 'array':
+      if ((!schema.items || schema.items.type === 'string') && !raw.trim().startsWith('[')) {
+        return raw.split(',').map((entry) => entry.trim()).filter(Boolean);
+      }
+      return JSON.parse(raw);
+    case 'object':
+      return JSON.parse(raw);
+    default:
+      return raw;
+  }
+}
+
+// Apply the `env` overrides of the schema to the parsed file. `used` maps the
+// path of every overridden setting to its variable.
+function applyEnv(schema, data, env, at, problems, used) {
+  if (schema.env && env[schema.env] !== undefined) {
+    used[at] = schema.env;
+    try {
+      return fromEnv(schema, env[schema.env]);
+    } catch (error) {
+      problems.push(`${at} (from ${schema.env}): ${error.message}`);
+      return data;
+    }
+  }
+  if (schema.type === 'object' && schema.properties) {
+    if (data !== undefined && !isPlainObject(data)) {
+      // Reported by validate()
+      return data;
+    }
+    const result = { ...data };
+    for (const [key, property] of Object.entries(schema.properties)) {
+      const value = applyEnv(property, result[key], env, at ? `${at}.${key}` : key, problems, used);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+    return data === undefined && Object.keys(result).length === 0 ? undefined : result;
+  }
+  return data;
+}
+
+function parseFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  try {
+    if (path.extname(file) === '.json') {
+      return JSON.parse(content);
+    }
+    return yaml.load(content, { filename: file }) ?? {};
+  } catch (error) {
+    throw new ConfigError(file, [`cannot be parsed: ${error.message}`]);
+  }
+}
+
+// Read, override and validate a config, throws a ConfigError listing every
+// problem at once
+function loadConfig({ file, schema, env = process.env }) {
+  let data = {};
+  if (file) {
+    if (!fs.existsSync(file)) {
+      throw new ConfigError(file, ['file not found (set BOT_CONFIG to use another file)']);
+    }
+    data = parseFile(file);
+  }
+
+  const problems = [];
+  const used = {};
+  data = applyEnv(schema, data, env, '', problems, used);
+  const config = validate(schema, data, '', problems);
+  if (problems.length > 0) {
+    // Point at the variable when the value came from the environment
+    throw new ConfigError(file, problems.map((problem) => {
+      const separator = problem.indexOf(': ');
+      const where = problem.slice(0, separator);
+      const setting = Object.keys(used).find((at) => where === at || where.startsWith(`${at}[`) || where.startsWith(`${at}.`));
+      return setting ? `${where} (from ${used[setting]})${problem.slice(separator)}` : problem;
+    }));
+  }
+  return config;
+}
+
+// A config that can be reloaded: `current` is replaced on reload() only when
+// the new file is valid and every listener applied it, a broken edit keeps
+// the bot running on the old one
+function createConfig({ file, schema, env = process.env, log }) {
+  let current = loadConfig({ file, schema, env });
+  const listeners = [];
+  let sighup = null;
+
+  const reload = () => {
+    let next;
+    try {
+      next = loadConfig({ file, schema, env });
+    } catch (error) {
+      if (log) {
+        log.error(`Keeping the current configuration. ${error.message}`);
+      }
+      return false;
+    }
+    const previous = current;
+    current = next;
+    try {
+      for (const listener of listeners) {
+        listener(current, previous);
+      }
+    } catch (error) {
+      // Back to the old config, also for the listeners that applied the new one
+      current = previous;
+      for (const listener of listeners) {
+        try {
+          listener(previous, next);
+        } catch (revertError) {
+          if (log) {
+            log.error(`Could not apply the previous configuration again: ${revertError.message}`);
+          }
+        }
+      }
+      if (log) {
+        log.error(`Keeping the current configuration, applying the new one failed: ${error.message}`);
+      }
+      return false;
+    }
+    if (log) {
+      log.info(`Reloaded the configuration from ${file}.`);
+    }
+    return true;
+  };
+
+  return {
+    file,
+
+    get current() {
+      return current;
+    },
+
+    reload,
+
+    // listener(config, previous) is called after every successful reload
+    onReload(listener) {
+      listeners.push(listener);
+    },
+
+    // Reload on SIGHUP (`kill -HUP <pid>`, `pm2 sendSignal SIGHUP <name>`)
+    watch() {
+      if (!sighup) {
+        sighup = () => reload();
+        process.on('SIGHUP', sighup);
+      }
+    },
+
+    unwatch() {
+      if (sighup) {
+        process.removeListener('SIGHUP', sighup);
+        sighup = null;
+      }
+    },
+  };
+}
+
+// Settings every bot understands, see createBot()
+const botSettings = {
+  checkInterval: { type: 'duration', default: '1h', minimum: '1s', env: 'CHECK_INTERVAL' },
+  schedule: { type: 'string', format: 'schedule', env: 'BOT_SCHEDULE' },
+  jitter: { type: 'duration', default: 0, env: 'BOT_JITTER' },
+  rateLimitInterval: { type: 'duration', default: '1s', env: 'RATE_LIMIT_INTERVAL' },
+  // Mark the items of new sources as seen instead of posting them, except
+  // those published within `since`
+  seed: {
+    type: 'object',
+    additionalProperties: false,
+    default: {},
+    properties: {
+      auto: { type: 'boolean', default: true, env: 'BOT_AUTO_SEED' },
+      since: { type: 'duration', env: 'BOT_SEED_SINCE' },
+    },
+  },
+  // Look up the items posted within `window` again (0 turns it off): reply
+  // when a title changed, and with `delete` delete the posts of items that
+  // are gone. Both are off unless a bot turns them on in its config.
+  reconcile: {
+    type: 'object',
+    additionalProperties: false,
+    default: {},
+    properties: {
+      window: { type: 'duration', default: 0, env: 'BOT_RECONCILE_WINDOW' },
+      delete: { type: 'boolean', default: false, env: 'BOT_RECONCILE_DELETE' },
+    },
+  },
+};
+
+// The schema of a bot config: the common settings plus the bot's own
+function botConfigSchema(properties, { required = [] } = {}) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required,
+    properties: { ...botSettings, ...properties },
+  };
+}
+
+module.exports = {
+  ConfigError,
+  createConfig,
+  loadConfig,
+  parseDuration,
+  botConfigSchema,
+  botSettings,
+};
@@ -0,0 +1,53 @@
+const { isSessionError } = require('./session');
+const { getRateLimitReset } = require('./backoff');
+
+// Error codes of failed connections (Node.js and undici)
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+  'UND_ERR_SOCKET',
+]);
+
+// XRPC errors without an HTTP response (network failures) have status 1
+const XRPC_UNKNOWN_STATUS = 1;
+
+function isNetworkError(error) {
+  const cause = error.cause || {};
+  return NETWORK_ERROR_CODES.has(error.code)
+    || NETWORK_ERROR_CODES.has(cause.code)
+    || error.name === 'AbortError'
+    || error.name === 'TimeoutError'
+    || error.message === 'fetch failed';
+}
+
+// Decide whether a failed post is worth retrying.
+//
+// transient: rate limits (429), server errors (5xx), timeouts, network
+//            failures and session problems; retryAfter is set when the server
+//            said when to come back
+// permanent: everything else, e.g. an invalid or too long record
+function classifyError(error) {
+  const status = error.status;
+  if (status === 429) {
+    return { kind: 'transient', reason: 'rate-limited', retryAfter: getRateLimitReset(error.headers) };
+  }
+  if (status >= 500 || status === 408) {
+    return { kind: 'transient', reason: 'server-error', retryAfter: null };
+  }
+  if (status === XRPC_UNKNOWN_STATUS || isNetworkError(error)) {
+    return { kind: 'transient', reason: 'network', retryAfter: null };
+  }
+  if (isSessionError(error)) {
+    return { kind: 'transient', reason: 'session', retryAfter: null };
+  }
+  return { kind: 'permanent', reason: error.error || 'invalid', retryAfter: null };
+}
+
+module.exports = { classifyError, isNetworkError };
@@ -0,0 +1,247 @@
+const { XMLParser } = require('fast-xml-parser');
+
+// Turns RSS 2.0, RSS 1.0 (RDF) and Atom feeds into one item shape:
+//
+//   { id, title, link, author, categories, published, summary, image }
+//
+// - id:         guid / rdf:about / atom:id, falling back to the link
+// - author:     plain text or null; categories: array of strings
+// - published:  ISO date string or null
+// - summary:    plain text without HTML
+// - image:      URL of an enclosure, media:content/thumbnail, itunes:image or
+//               the first <img> of the content, or null
+//
+// Items are returned in feed order (usually newest first).
+
+// Elements that may appear once or several times are always read as arrays
+const ARRAY_ELEMENTS = new Set([
+  'item',
+  'entry',
+  'category',
+  'link',
+  'author',
+  'contributor',
+  'enclosure',
+  'dc:subject',
+  'dc:creator',
+  'media:content',
+  'media:thumbnail',
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  // Keep titles like "1.120" as strings
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => ARRAY_ELEMENTS.has(name),
+});
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Plain text of an HTML snippet, whitespace collapsed
+function stripHtml(html) {
+  if (!html) {
+    return '';
+  }
+  return decodeEntities(String(html)
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/p>/gi, ' ')
+    .replace(/<[^>]*>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Text content of a parsed node: "text", { "#text": "text", ... } or nested
+// markup (Atom type="xhtml")
+function textOf(node) {
+  if (node === undefined || node === null) {
+    return '';
+  }
+  if (typeof node !== 'object') {
+    return String(node);
+  }
+  if (Array.isArray(node)) {
+    return node.map(textOf).filter(Boolean).join(', ');
+  }
+  if ('#text' in node) {
+    return String(node['#text']);
+  }
+  return Object.entries(node)
+    .filter(([key]) => !key.startsWith('@_'))
+    .map(([, value]) => textOf(value))
+    .join(' ');
+}
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+function toIsoDate(value) {
+  const text = textOf(value);
+  if (!text) {
+    return null;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function resolveUrl(url, base) {
+  if (!url) {
+    return null;
+  }
+  try {
+    return new URL(url, base || undefined).toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+function firstImageInHtml(html) {
+  const match = /<img[^>]+src=["']([^"']+)["']/i.exec(html || '');
+  return match ? decodeEntities(match[1]) : null;
+}
+
+const isImage = (node) => {
+  const type = node['@_type'] || '';
+  const medium = node['@_medium'] || '';
+  return type.startsWith('image/') || medium === 'image'
+    || (!type && !medium && /\.(jpe?g|png|gif|webp)(\?|$)/i.test(node['@_url'] || node['@_href'] || ''));
+};
+
+// Image from the media/enclosure elements shared by RSS and Atom, then the
+// first <img> of the HTML content
+function findImage(node, html) {
+  const candidates = [
+    ...asArray(node.enclosure).filter(isImage).map((enclosure) => enclosure['@_url']),
+    ...asArray(node['media:content']).filter(isImage).map((media) => media['@_url']),
+    ...asArray(node['media:thumbnail']).map((thumbnail) => thumbnail['@_url']),
+    ...asArray(node['media:group']).flatMap((group) => [
+      ...asArray(group['media:content']).filter(isImage).map((media) => media['@_url']),
+      ...asArray(group['media:thumbnail']).map((thumbnail) => thumbnail['@_url']),
+    ]),
+    node['itunes:image'] && node['itunes:image']['@_href'],
+    firstImageInHtml(html),
+  ];
+  return candidates.find(Boolean) || null;
+}
+
+const unique = (values) => [...new Set(values.map((value) => value.trim()).filter(Boolean))];
+
+function normalizeRssItem(item, base) {
+  const link = resolveUrl(textOf(asArray(item.link)[0]), base);
+  const guid = textOf(item.guid) || textOf(item['@_rdf:about']);
+  const html = textOf(item['content:encoded']) || textOf(item.description);
+  const author = textOf(asArray(item['dc:creator'])[0]) || textOf(item.author) || textOf(item['itunes:author']);
+
+  return {
+    id: guid || link,
+    title: decodeEntities(textOf(item.title)).trim(),
+    link,
+    author: author ? stripHtml(author) : null,
+    categories: unique([...asArray(item.category), ...asArray(item['dc:subject'])].map(textOf)),
+    published: toIsoDate(item.pubDate) || toIsoDate(item['dc:date']),
+    summary: stripHtml(textOf(item.description) || textOf(item['itunes:summary']) || html),
+    image: resolveUrl(findImage(item, html), base),
+  };
+}
+
+function atomLink(links, rel) {
+  const link = asArray(links).find((candidate) => (candidate['@_rel'] || 'alternate') === rel);
+  return link ? link['@_href'] : null;
+}
+
+function atomText(node) {
+  const text = textOf(node);
+  const type = node && node['@_type'];
+  return type === 'html' || type === 'xhtml' ? stripHtml(text) : decodeEntities(text);
+}
+
+function normalizeAtomEntry(entry, base) {
+  const link = resolveUrl(atomLink(entry.link, 'alternate') || textOf(asArray(entry.link)[0]), base);
+  const html = textOf(entry.content) || textOf(entry.summary);
+  const enclosures = asArray(entry.link)
+    .filter((candidate) => candidate['@_rel'] === 'enclosure' && isImage(candidate))
+    .map((candidate) => candidate['@_href']);
+  const authors = asArray(entry.author).map((author) => textOf(author.name || author)).filter(Boolean);
+
+  return {
+    id: textOf(entry.id) || link,
+    title: atomText(entry.title).trim(),
+    link,
+    author: authors.length > 0 ? authors.join(', ') : null,
+    categories: unique(asArray(entry.category).map((category) => category['@_label'] || category['@_term'] || textOf(category))),
+    published: toIsoDate(entry.published) || toIsoDate(entry.updated),
+    summary: entry.summary ? atomText(entry.summary) : stripHtml(html),
+    image: resolveUrl(enclosures[0] || findImage(entry, html), base),
+  };
+}
+
+// Parse a feed document, throws when it is neither RSS nor Atom.
+// baseUrl (usually the feed URL) resolves relative links.
+function parseFeed(xml, { baseUrl } = {}) {
+  const document = parser.parse(xml);
+
+  if (document.rss && document.rss.channel) {
+    const channel = document.rss.channel;
+    const base = resolveUrl(textOf(asArray(channel.link)[0]), baseUrl) || baseUrl;
+    return {
+      format: 'rss2',
+      title: decodeEntities(textOf(channel.title)),
+      link: base,
+      items: asArray(channel.item).map((item) => normalizeRssItem(item, base)),
+    };
+  }
+
+  const rdf = document['rdf:RDF'];
+  if (rdf) {
+    const channel = asArray(rdf.channel)[0] || {};
+    const base = resolveUrl(textOf(asArray(channel.link)[0]), baseUrl) || baseUrl;
+    // Items are siblings of the channel in RSS 1.0
+    return {
+      format: 'rss1',
+      title: decodeEntities(textOf(channel.title)),
+      link: base,
+      items: asArray(rdf.item).map((item) => normalizeRssItem(item, base)),
+    };
+  }
+
+  if (document.feed) {
+    const feed = document.feed;
+    const base = resolveUrl(feed['@_xml:base'] || atomLink(feed.link, 'alternate'), baseUrl) || baseUrl;
+    return {
+      format: 'atom',
+      title: atomText(feed.title),
+      link: base,
+      items: asArray(feed.entry).map((entry) => normalizeAtomEntry(entry, base)),
+    };
+  }
+
+  const root = Object.keys(document).find((key) => !key.startsWith('?')) || 'nothing';
+  throw new Error(`Not an RSS or Atom feed (root element: ${root})`);
+}
+
+module.exports = { parseFeed, stripHtml, decodeEntities };
@@ -0,0 +1,207 @@
+const { countGraphemes } = require('./composer');
+
+// Include/exclude rules for the items of a bot, per source. In the config:
+//
+//   filters:
+//     '*':                          # every source
+//       minTitleLength: 10
+//     r/SAP:                        # the name of a source
+//       denyAuthors: [AutoModerator]
+//       exclude:
+//         - name: job-offers
+//           title: [hiring, job offer, '/\bfreelanc/i']
+//         - flair: [Jobs]
+//       include:
+//         - text: [ABAP, CAP, '/\bBTP\b/']
+//
+// The rules of '*' apply to every source in addition to its own, the
+// minimums of a source replace those of '*'. The first step that applies
+// decides:
+//
+//   1. denyAuthors                    skip
+//   2. allowAuthors                   post, without checking the rest
+//   3. minTitleLength, minBodyLength  skip when shorter (in graphemes)
+//   4. exclude                        skip on the first rule that matches
+//   5. include                        skip unless a rule matches (if any)
+//   6. post, rule "default"
+//
+// A rule matches when all of the fields it lists match: title, body, text
+// (title or body), author, flair and category. A field matches when one of
+// its patterns does. Plain text matches whole words ignoring case (anywhere
+// in title, body and text, the whole value of the others), "/.../flags" is
+// a regular expression.
+
+const FIELDS = ['title', 'body', 'text', 'author', 'flair', 'category'];
+
+const patternList = { type: 'array', items: { type: 'string', format: 'keyword' } };
+
+const ruleSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // Shown in the logs instead of e.g. "r/SAP.exclude[0]"
+    name: { type: 'string' },
+    ...Object.fromEntries(FIELDS.map((field) => [field, patternList])),
+  },
+};
+
+const sourceFilterSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    include: { type: 'array', items: ruleSchema, default: [] },
+    exclude: { type: 'array', items: ruleSchema, default: [] },
+    allowAuthors: { type: 'array', items: { type: 'string' }, default: [] },
+    denyAuthors: { type: 'array', items: { type: 'string' }, default: [] },
+    minTitleLength: { type: 'integer', minimum: 0 },
+    minBodyLength: { type: 'integer', minimum: 0 },
+  },
+};
+
+// Source name (or '*') -> rules
+const filtersSchema = {
+  type: 'object',
+  additionalProperties: sourceFilterSchema,
+  default: {},
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "/expression/flags" as a RegExp, null for plain text. Throws when the
+// expression is invalid.
+function parseRegExp(pattern) {
+  const match = /^\/(.+)\/([dgimsuvy]*)$/s.exec(pattern);
+  return match ? new RegExp(match[1], match[2].replace('g', '')) : null;
+}
+
+// Plain text as a whole-word match, or the whole value for `exact` fields
+function compilePattern(pattern, { exact }) {
+  const regExp = parseRegExp(pattern);
+  if (regExp) {
+    return regExp;
+  }
+  const words = escapeRegExp(pattern.trim()).replace(/\s+/g, '\\s+');
+  return exact
+    ? new RegExp(`^\\s*${words}\\s*$`, 'iu')
+    : new RegExp(`(?<![\\p{L}\\p{N}_])${words}(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+// Values of a field of the item, see createItemFilter()
+function valuesOf(item, field) {
+  switch (field) {
+    case 'text':
+      return [item.title, item.body];
+    case 'category':
+      return item.categories || [];
+    default:
+      return [item[field]];
+  }
+}
+
+const isExact = (field) => ['author', 'flair', 'category'].includes(field);
+
+function compileRule(rule, fallbackName) {
+  const fields = FIELDS.filter((field) => rule[field] && rule[field].length > 0).map((field) => ({
+    field,
+    patterns: rule[field].map((pattern) => ({ pattern, regExp: compilePattern(pattern, { exact: isExact(field) }) })),
+  }));
+  return { name: rule.name || fallbackName, fields };
+}
+
+// Why a rule matches the item, or null when it does not. A rule without
+// fields never matches.
+function matchRule(rule, item) {
+  if (rule.fields.length === 0) {
+    return null;
+  }
+  const reasons = [];
+  for (const { field, patterns } of rule.fields) {
+    const values = valuesOf(item, field).filter((value) => value !== undefined && value !== null).map(String);
+    const found = patterns.find(({ regExp }) => values.some((value) => regExp.test(value)));
+    if (!found) {
+      return null;
+    }
+    reasons.push(`${field} matches ${JSON.stringify(found.pattern)}`);
+  }
+  return reasons.join(', ');
+}
+
+const sameName = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// The rules of one source (key) of the config, compiled
+function compileSource(key, settings) {
+  return {
+    key,
+    include: (settings.include || []).map((rule, index) => compileRule(rule, `${key}.include[${index}]`)),
+    exclude: (settings.exclude || []).map((rule, index) => compileRule(rule, `${key}.exclude[${index}]`)),
+    allowAuthors: settings.allowAuthors || [],
+    denyAuthors: settings.denyAuthors || [],
+    minTitleLength: settings.minTitleLength,
+    minBodyLength: settings.minBodyLength,
+  };
+}
+
+// settings: the `filters` config (see filtersSchema). evaluate() takes the
+// source name and the item as { title, body, author, flair, categories } and
+// returns { action: 'post' | 'skip', rule, reason }, or null when there are
+// no rules for the source.
+function createItemFilter(settings = {}) {
+  const compiled = Object.fromEntries(Object.entries(settings).map(([key, value]) => [key, compileSource(key, value)]));
+
+  const applicable = (sourceName) => ['*', sourceName].filter((key) => compiled[key]).map((key) => compiled[key]);
+
+  return {
+    evaluate(sourceName, item) {
+      const sets = applicable(sourceName);
+      if (sets.length === 0) {
+        return null;
+      }
+      const skip = (rule, reason) => ({ action: 'skip', rule, reason });
+
+      for (const set of sets) {
+        if (item.author && set.denyAuthors.some((name) => sameName(name, item.author))) {
+          return skip(`${set.key}.denyAuthors`, `author ${item.author} is denied`);
+        }
+      }
+      for (const set of sets) {
+        if (item.author && set.allowAuthors.some((name) => sameName(name, item.author))) {
+          return { action: 'post', rule: `${set.key}.allowAuthors`, reason: `author ${item.author} is allowed` };
+        }
+      }
+
+      // The minimums of the source itself win over those of '*'
+      for (const [setting, field] of [['minTitleLength', 'title'], ['minBodyLength', 'body']]) {
+        const set = [...sets].reverse().find((candidate) => candidate[setting] !== undefined);
+        const length = countGraphemes(String(item[field] || '').trim());
+        if (set && length < set[setting]) {
+          return skip(`${set.key}.${setting}`, `${field} has ${length} characters, at least ${set[setting]} required`);
+        }
+      }
+
+      for (const set of sets) {
+        for (const rule of set.exclude) {
+          const reason = matchRule(rule, item);
+          if (reason) {
+            return skip(rule.name, reason);
+          }
+        }
+      }
+
+      const include = sets.flatMap((set) => set.include);
+      if (include.length > 0) {
+        for (const rule of include) {
+          const reason = matchRule(rule, item);
+          if (reason) {
+            return { action: 'post', rule: rule.name, reason };
+          }
+        }
+        const names = sets.filter((set) => set.include.length > 0).map((set) => `${set.key}.include`);
+        return skip(names.join(', '), 'no include rule matches');
+      }
+
+      return { action: 'post', rule: 'default', reason: 'no rule applies' };
+    },
+  };
+}
+
+module.exports = { createItemFilter, filtersSchema, parseRegExp };
@@ -0,0 +1,56 @@
+// Hashtags from the categories of an item (e.g. "SAP BTP" -> #SAPBTP).
+//
+// The formatter returns them as `tags` next to the text; buildRichText()
+// appends as many as fit into the post and turns them into tag facets.
+
+// Longest tag Bluesky turns into a facet
+const MAX_TAG_LENGTH = 64;
+
+const segmenter = new Intl.Segmenter();
+
+// Key of a category in the mapping: case and spacing do not matter
+const categoryKey = (category) => String(category).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// A tag without the # and without characters a hashtag cannot contain, or
+// null when nothing usable is left (only digits are not a hashtag either)
+function normalizeTag(text) {
+  const tag = String(text).replace(/^[#＃]+/, '').replace(/[^\p{L}\p{M}\p{N}_]/gu, '');
+  if (!tag || /^\d+$/.test(tag) || [...segmenter.segment(tag)].length > MAX_TAG_LENGTH) {
+    return null;
+  }
+  return tag;
+}
+
+// Tags for a list of categories, in the order of the categories, without
+// duplicates (ignoring case) and at most maxTags.
+//
+// mapping:   { category: 'Tag' } or { category: 'Tag OtherTag' }, matched
+//            ignoring case; an empty value drops the category
+// unmapped:  turn categories without a mapping into tags as well
+function mapHashtags(categories, { mapping = {}, maxTags = 3, unmapped = false } = {}) {
+  const lookup = new Map(Object.entries(mapping).map(([category, tags]) => [categoryKey(category), tags]));
+  const tags = [];
+  const seen = new Set();
+
+  for (const category of categories || []) {
+    const key = categoryKey(category);
+    let candidates;
+    if (lookup.has(key)) {
+      candidates = String(lookup.get(key) || '').split(/[\s,]+/);
+    } else if (unmapped) {
+      candidates = [category];
+    } else {
+      continue;
+    }
+    for (const candidate of candidates) {
+      const tag = normalizeTag(candidate);
+      if (tag && !seen.has(tag.toLowerCase())) {
+        seen.add(tag.toLowerCase());
+        tags.push(tag);
+      }
+    }
+  }
+  return tags.slice(0, maxTags);
+}
+
+module.exports = { mapHashtags, normalizeTag, MAX_TAG_LENGTH };
@@ -0,0 +1,186 @@
+const { getBackoffDelay, getRateLimitReset, getRetryAfter } = require('./backoff');
+const { classifyError } = require('./errors');
+const { sleep: defaultSleep } = require('./rate-limiter');
+
+// An HTTP response that was not 2xx or 304, after all retries
+class HttpError extends Error {
+  constructor(url, status, statusText, headers = {}) {
+    super(`GET ${url} failed: ${status} ${statusText}`.trim());
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// Shared fetch layer for the sources (feeds, version.json, registries).
+//
+// - Conditional requests: the ETag and Last-Modified of every URL are kept in
+//   memory and sent as If-None-Match/If-Modified-Since. A 304 comes back with
+//   `notModified: true` and no body, so the caller can skip parsing. The
+//   validators are not written to disk: after a restart everything is fetched
+//   and processed once, nothing that was cut off is skipped.
+//   They are kept per URL and Accept header, e.g. the abbreviated and the full
+//   npm packument of a package are different documents. Requests with
+//   `conditional: false` neither send nor store them.
+//   With `keepBody`, the last body is kept as well and returned on a 304, for
+//   responses that are needed every time (e.g. a list of packages).
+// - Every attempt times out after `timeout` ms. Timeouts, network errors, 408,
+//   429 and 5xx are retried up to `retries` times with exponential backoff, or
+//   after Retry-After / ratelimit-reset when the server sends it.
+// - Other statuses throw an HttpError with the status.
+// - The result of every request is recorded per source, see status().
+function createHttpClient({
+  fetch = globalThis.fetch,
+  timeout = 30 * 1000,
+  retries = 2,
+  baseDelay = 1000,
+  maxDelay = 60 * 1000,
+  headers: defaultHeaders = {},
+  log,
+  sleep = defaultSleep,
+  onResult,
+  now = () => Date.now(),
+}) {
+  // url + Accept -> { etag, lastModified, body }
+  const cache = new Map();
+  const cacheKey = (url, requestHeaders) => {
+    const accept = requestHeaders.Accept || requestHeaders.accept;
+    return accept ? `${url}\n${accept}` : url;
+  };
+  // source -> fetch status
+  const statuses = new Map();
+
+  const record = (source, url, result) => {
+    const status = statuses.get(source) || {
+      source,
+      requests: 0,
+      notModified: 0,
+      failures: 0,
+      lastSuccessAt: null,
+      lastError: null,
+    };
+    status.requests += 1;
+    status.lastUrl = url;
+    status.lastStatus = result.status;
+    status.lastDurationMs = result.durationMs;
+    status.lastFetchAt = new Date(now()).toISOString();
+    if (result.error) {
+      status.failures += 1;
+      status.lastError = result.error.message;
+    } else {
+      if (result.status === 304) {
+        status.notModified += 1;
+      }
+      status.lastSuccessAt = status.lastFetchAt;
+    }
+    statuses.set(source, status);
+    if (onResult) {
+      const outcome = result.error ? 'error' : result.status === 304 ? 'not_modified' : 'ok';
+      onResult(source, outcome, result.durationMs / 1000);
+    }
+  };
+
+  const readBody = async (response, binary) => (binary ? Buffer.from(await response.arrayBuffer()) : response.text());
+
+  const attempt = async (url, requestHeaders, binary) => {
+    const response = await fetch(url, { headers: requestHeaders, signal: AbortSignal.timeout(timeout) });
+    const responseHeaders = Object.fromEntries(response.headers);
+    if (response.status === 304 || response.ok) {
+      return { status: response.status, headers: responseHeaders, body: response.status === 304 ? null : await readBody(response, binary) };
+    }
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    throw new HttpError(url, response.status, response.statusText, responseHeaders);
+  };
+
+  // GET a URL, returns { status, notModified, headers, body, json() }
+  //
+  // options.source:      name the request is recorded under in status()
+  // options.headers:     extra request headers, e.g. Accept
+  // options.conditional: send the stored validators (default true)
+  // options.keepBody:    return the last body on a 304 as well
+  // options.binary:      return the body as a Buffer, e.g. for images
+  const get = async (url, { source = 'default', headers = {}, conditional = true, keepBody = false, binary = false } = {}) => {
+    const requestHeaders = { ...defaultHeaders, ...headers };
+    const key = cacheKey(url, requestHeaders);
+    const cached = conditional ? cache.get(key) : null;
+    if (cached && cached.etag) {
+      requestHeaders['If-None-Match'] = cached.etag;
+    }
+    if (cached && cached.lastModified) {
+      requestHeaders['If-Modified-Since'] = cached.lastModified;
+    }
+
+    const startedAt = now();
+    let lastError;
+    for (let retry = 0; retry <= retries; retry++) {
+      try {
+        const result = await attempt(url, requestHeaders, binary);
+        const notModified = result.status === 304;
+        if (conditional && !notModified && (result.headers.etag || result.headers['last-modified'])) {
+          cache.set(key, {
+            etag: result.headers.etag,
+            lastModified: result.headers['last-modified'],
+            body: keepBody ? result.body : undefined,
+          });
+        }
+        const body = notModified ? (keepBody && cached ? cached.body ?? null : null) : result.body;
+        record(source, url, { status: result.status, durationMs: now() - startedAt });
+        return {
+          url,
+          status: result.status,
+          notModified,
+          headers: result.headers,
+          body,
+          json() {
+            if (body === null) {
+              throw new Error(`No body for ${url} (not modified)`);
+            }
+            return JSON.parse(body);
+          },
+        };
+      } catch (error) {
+        lastError = error;
+        const { kind } = classifyError(error);
+        if (kind !== 'transient' || retry === retries) {
+          break;
+        }
+        const delay = getRetryAfter(error.headers, now())
+          ?? getRateLimitReset(error.headers, now())
+          ?? getBackoffDelay(retry, { baseDelay, maxDelay });
+        if (log) {
+          log.warn(`GET ${url} failed (${error.message}), retrying in ${Math.round(delay / 1000)} seconds`, { url, attempt: retry + 1 });
+        }
+        await sleep(Math.min(delay, maxDelay));
+      }
+    }
+
+    record(source, url, { status: lastError.status ?? null, durationMs: now() - startedAt, error: lastError });
+    throw lastError;
+  };
+
+  return {
+    get,
+
+    // A client that records every request under the given source name
+    forSource(source) {
+      return {
+        get: (url, options = {}) => get(url, { source, ...options }),
+      };
+    },
+
+    // Fetch status per source: request, 304 and failure counts, the last
+    // status, error and duration
+    status() {
+      return Object.fromEntries([...statuses].map(([source, status]) => [source, { ...status }]));
+    },
+
+    // Forget the stored validators, the next requests are unconditional
+    clear() {
+      cache.clear();
+    },
+  };
+}
+
+module.exports = { createHttpClient, HttpError };
@@ -0,0 +1,133 @@
+const sharp = require('sharp');
+const { decodeEntities } = require('./feed');
+
+// Thumbnails for link cards (app.bsky.embed.external).
+//
+// The image is the one given by the formatter (e.g. the Reddit preview) or
+// the og:image / twitter:image of the linked page. It is downscaled and
+// recompressed as JPEG until it fits the blob limit of the PDS, uploaded and
+// set as `external.thumb`. Whatever goes wrong, the card is posted without a
+// thumbnail.
+
+// Maximum size of external.thumb in the app.bsky.embed.external lexicon
+const MAX_THUMB_BYTES = 1000000;
+// Larger images are not even downloaded
+const MAX_SOURCE_BYTES = 20 * 1024 * 1024;
+
+const QUALITIES = [85, 75, 65, 50];
+
+function metaContent(tag) {
+  const match = /\scontent\s*=\s*("([^"]*)"|'([^']*)')/i.exec(tag);
+  return match ? decodeEntities(match[2] ?? match[3]).trim() : null;
+}
+
+// URL of the preview image of an HTML page, resolved against the page URL,
+// or null
+function findPreviewImage(html, pageUrl) {
+  const candidates = {};
+  for (const [tag] of String(html).matchAll(/<meta\b[^>]*>/gi)) {
+    const name = /\s(?:property|name)\s*=\s*["']([^"']+)["']/i.exec(tag);
+    const content = metaContent(tag);
+    if (name && content) {
+      candidates[name[1].toLowerCase()] ??= content;
+    }
+  }
+  const link = /<link\b[^>]*\srel\s*=\s*["']image_src["'][^>]*>/i.exec(html);
+  const linkHref = link && /\shref\s*=\s*["']([^"']+)["']/i.exec(link[0]);
+
+  const image = candidates['og:image:secure_url']
+    || candidates['og:image']
+    || candidates['og:image:url']
+    || candidates['twitter:image']
+    || candidates['twitter:image:src']
+    || (linkHref && decodeEntities(linkHref[1]));
+  if (!image) {
+    return null;
+  }
+  try {
+    return new URL(image, pageUrl).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Downscale and recompress an image until it is at most maxBytes, returns
+// { data, mimeType, width, height }. Throws when the image cannot be read or
+// does not get small enough.
+async function createThumbnail(input, { maxBytes = MAX_THUMB_BYTES, maxWidth = 1000 } = {}) {
+  let width = maxWidth;
+  for (let step = 0; step < 4; step++) {
+    for (const quality of QUALITIES) {
+      const { data, info } = await sharp(input)
+        .rotate()
+        .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+      if (data.length <= maxBytes) {
+        return { data, mimeType: 'image/jpeg', width: info.width, height: info.height };
+      }
+    }
+    width = Math.round(width / 2);
+  }
+  throw new Error(`Image does not fit into ${maxBytes} bytes`);
+}
+
+// http:     client from http.js
+// upload:   async (data, mimeType) -> blob ref, usually publisher.uploadBlob
+function createLinkCards({ http, upload, log, maxBytes = MAX_THUMB_BYTES }) {
+  const fetchImage = async (url) => {
+    const response = await http.get(url, {
+      source: 'link-cards',
+      conditional: false,
+      binary: true,
+      headers: { Accept: 'image/*' },
+    });
+    const type = response.headers['content-type'] || '';
+    if (!type.startsWith('image/')) {
+      throw new Error(`${url} is not an image (${type || 'no content type'})`);
+    }
+    if (Number(response.headers['content-length']) > MAX_SOURCE_BYTES || response.body.length > MAX_SOURCE_BYTES) {
+      throw new Error(`${url} is larger than ${MAX_SOURCE_BYTES} bytes`);
+    }
+    return response.body;
+  };
+
+  const findImage = async (pageUrl) => {
+    const response = await http.get(pageUrl, {
+      source: 'link-cards',
+      conditional: false,
+      headers: { Accept: 'text/html' },
+    });
+    return findPreviewImage(response.body, pageUrl);
+  };
+
+  return {
+    // The embed with a thumbnail added, or unchanged when it is no link card,
+    // already has one or no image could be found. Never throws.
+    //
+    // image: URL of the image to use instead of the page's og:image
+    async addThumbnail(embed, { image, log: itemLog = log } = {}) {
+      if (!embed || embed.$type !== 'app.bsky.embed.external' || !embed.external || embed.external.thumb) {
+        return embed;
+      }
+      const { uri } = embed.external;
+      try {
+        const imageUrl = image || await findImage(uri);
+        if (!imageUrl) {
+          itemLog.debug('No preview image found for the link card', { url: uri });
+          return embed;
+        }
+        const thumbnail = await createThumbnail(await fetchImage(imageUrl), { maxBytes });
+        const thumb = await upload(thumbnail.data, thumbnail.mimeType);
+        itemLog.debug('Added a thumbnail to the link card', { url: uri, image: imageUrl, bytes: thumbnail.data.length });
+        return { ...embed, external: { ...embed.external, thumb } };
+      } catch (error) {
+        itemLog.warn(`Posting the link card without a thumbnail: ${error.message}`, { url: uri });
+        return embed;
+      }
+    },
+  };
+}
+
+module.exports = { createLinkCards, createThumbnail, findPreviewImage, MAX_THUMB_BYTES };
@@ -0,0 +1,106 @@
+// Structured logging shared by all bots.
+//
+// Every line carries the level, the bot name and the message plus optional
+// fields, most notably `source`, `itemId`, `uri` and `durationMs`, so the way
+// of a single item from fetch to post can be followed with grep:
+//
+//   {"time":"...","level":"info","bot":"scn","msg":"Posted","source":"SAP Blogs","itemId":"...","uri":"at://..."}
+//
+// LOG_FORMAT selects `json` or `pretty`. Without it, lines are pretty printed
+// on a terminal outside of production and written as JSON otherwise (pm2,
+// Docker, CI). LOG_LEVEL is one of debug, info, warn, error or silent.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function defaultFormat(env = process.env, stdout = process.stdout) {
+  if (env.LOG_FORMAT) {
+    return env.LOG_FORMAT;
+  }
+  return env.NODE_ENV !== 'production' && stdout.isTTY ? 'pretty' : 'json';
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  const serialized = { name: error.name, message: error.message };
+  for (const key of ['status', 'error', 'code']) {
+    if (error[key] !== undefined) {
+      serialized[key] = error[key];
+    }
+  }
+  serialized.stack = error.stack;
+  return serialized;
+}
+
+function formatPretty({ time, level, bot, msg, error, ...fields }) {
+  const tag = level === 'info' ? '' : ` ${level.toUpperCase()}`;
+  const prefix = bot ? `[${time}] [${bot}]${tag}` : `[${time}]${tag}`;
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  let line = details.length > 0 ? `${prefix} ${msg} (${details.join(' ')})` : `${prefix} ${msg}`;
+  if (error) {
+    line += `\n${error.stack || error.message || JSON.stringify(error)}`;
+  }
+  return line;
+}
+
+// bot:     name written with every line
+// fields:  written with every line as well, see child()
+function createLogger(bot, {
+  level = process.env.LOG_LEVEL || 'info',
+  format = defaultFormat(),
+  stdout = process.stdout,
+  stderr = process.stderr,
+  now = () => new Date(),
+  fields = {},
+} = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level: ${level} (expected ${Object.keys(LEVELS).join(', ')})`);
+  }
+  if (format !== 'json' && format !== 'pretty') {
+    throw new Error(`Unknown log format: ${format} (expected json or pretty)`);
+  }
+  const threshold = LEVELS[level];
+
+  // write(level, message, fields?, error?); an Error may be passed in place
+  // of the fields, like console.error(message, error)
+  const write = (lineLevel, message, extra, error) => {
+    if (LEVELS[lineLevel] < threshold) {
+      return;
+    }
+    if (extra instanceof Error) {
+      error = extra;
+      extra = {};
+    }
+    const entry = {
+      time: now().toISOString(),
+      level: lineLevel,
+      bot: bot || undefined,
+      msg: message,
+      ...fields,
+      ...extra,
+    };
+    if (error !== undefined) {
+      entry.error = serializeError(error);
+    }
+    const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (LEVELS[lineLevel] >= LEVELS.warn ? stderr : stdout).write(`${line}\n`);
+  };
+
+  return {
+    level,
+    debug: (message, extra, error) => write('debug', message, extra, error),
+    info: (message, extra, error) => write('info', message, extra, error),
+    warn: (message, extra, error) => write('warn', message, extra, error),
+    error: (message, extra, error) => write('error', message, extra, error),
+
+    // A logger that adds the given fields to every line, e.g. { source }
+    child(childFields) {
+      return createLogger(bot, { level, format, stdout, stderr, now, fields: { ...fields, ...childFields } });
+    },
+  };
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,106 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format.
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function createRegistry(defaultLabels = {}) {
+  const metrics = [];
+
+  const register = (name, help, type, bounds = null) => {
+    const series = new Map();
+    const metric = { name, help, type, series, bounds };
+    metrics.push(metric);
+
+    const getSeries = (labels, create) => {
+      const allLabels = { ...defaultLabels, ...labels };
+      const key = formatLabels(allLabels);
+      if (!series.has(key)) {
+        series.set(key, { labels: allLabels, ...create() });
+      }
+      return series.get(key);
+    };
+
+    return { metric, getSeries };
+  };
+
+  return {
+    counter(name, help) {
+      const { getSeries } = register(name, help, 'counter');
+      return {
+        inc(labels = {}, value = 1) {
+          getSeries(labels, () => ({ value: 0 })).value += value;
+        },
+        get(labels = {}) {
+          return getSeries(labels, () => ({ value: 0 })).value;
+        },
+      };
+    },
+
+    gauge(name, help) {
+      const { getSeries } = register(name, help, 'gauge');
+      return {
+        set(labels = {}, value) {
+          getSeries(labels, () => ({ value: 0 })).value = value;
+        },
+        get(labels = {}) {
+          return getSeries(labels, () => ({ value: 0 })).value;
+        },
+      };
+    },
+
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+      const { getSeries } = register(name, help, 'histogram', buckets);
+      const create = () => ({ buckets: buckets.map(() => 0), sum: 0, count: 0 });
+      return {
+        observe(labels = {}, value) {
+          const entry = getSeries(labels, create);
+          buckets.forEach((bound, index) => {
+            if (value <= bound) {
+              entry.buckets[index] += 1;
+            }
+          });
+          entry.sum += value;
+          entry.count += 1;
+        },
+        get(labels = {}) {
+          const { sum, count } = getSeries(labels, create);
+          return { sum, count };
+        },
+      };
+    },
+
+    // Text exposition format served on /metrics
+    render() {
+      const lines = [];
+      for (const { name, help, type, series, bounds } of metrics) {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        for (const entry of series.values()) {
+          if (type !== 'histogram') {
+            lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+            continue;
+          }
+          // Bucket counts are cumulative already, see observe()
+          entry.buckets.forEach((count, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bounds[index] })} ${count}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+      }
+      return lines.join('\n') + '\n';
+    },
+  };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,477 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// A small in-process XRPC server that implements the methods the bots use, so
+// they can be exercised end to end without a network. Every request is
+// recorded, rate limits can be configured per method and errors can be
+// injected.
+//
+//   const pds = createMockPds({ rateLimits: { 'com.atproto.repo.createRecord': { limit: 2 } } });
+//   const url = await pds.start();
+//   process.env.BLUESKY_SERVICE = url;
+//   ...
+//   await pds.close();
+
+const DEFAULT_ACCOUNT = {
+  identifier: 'bot.test',
+  password: 'password',
+  did: 'did:plc:mockbot',
+  handle: 'bot.test',
+};
+
+// Methods that can be called without an access token
+const PUBLIC_METHODS = new Set([
+  'com.atproto.server.createSession',
+  'com.atproto.server.refreshSession',
+  'com.atproto.identity.resolveHandle',
+]);
+
+// CIDv1 (sha-256) in base32, the format the client validates. codec 0x55 is
+// raw bytes (blobs), 0x71 is dag-cbor (records).
+function createCid(data, codec = 0x71) {
+  const digest = crypto.createHash('sha256').update(data).digest();
+  const bytes = Buffer.concat([Buffer.from([0x01, codec, 0x12, 0x20]), digest]);
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = 0;
+  let value = 0;
+  let output = 'b';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+class XrpcError extends Error {
+  constructor(status, error, message) {
+    super(message || error);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+function createMockPds({
+  accounts = [DEFAULT_ACCOUNT],
+  followers = [],
+  profiles = [],
+  handles = {},
+  rateLimits = {},
+} = {}) {
+  let server = null;
+  let url = null;
+
+  const requests = [];
+  const records = [];
+  const blobs = [];
+  const convos = new Map();
+  const messages = [];
+  const sessions = { access: new Map(), refresh: new Map() };
+  const counters = new Map();
+  const injectedErrors = [];
+  let recordCount = 0;
+
+  // JWT shaped token, the content is never verified
+  const createToken = (did, scope) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const payload = { sub: did, scope, jti: crypto.randomUUID(), exp: Math.floor(Date.now() / 1000) + 7200 };
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.mock`;
+  };
+
+  const didDoc = (account) => ({
+    '@context': ['https://www.w3.org/ns/did/v1'],
+    id: account.did,
+    alsoKnownAs: [`at://${account.handle}`],
+    verificationMethod: [],
+    service: [{ id: '#atproto_pds', type: 'AtprotoPersonalDataServer', serviceEndpoint: url }],
+  });
+
+  const createSessionFor = (account) => {
+    const accessJwt = createToken(account.did, 'com.atproto.access');
+    const refreshJwt = createToken(account.did, 'com.atproto.refresh');
+    sessions.access.set(accessJwt, account);
+    sessions.refresh.set(refreshJwt, account);
+    return {
+      accessJwt,
+      refreshJwt,
+      did: account.did,
+      handle: account.handle,
+      didDoc: didDoc(account),
+      active: true,
+    };
+  };
+
+  const bearer = (req) => {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+  };
+
+  const authenticate = (req) => {
+    const token = bearer(req);
+    if (!token) {
+      throw new XrpcError(401, 'AuthenticationRequired', 'Authentication Required');
+    }
+    const account = sessions.access.get(token);
+    if (!account) {
+      throw new XrpcError(400, 'ExpiredToken', 'Token has expired');
+    }
+    return account;
+  };
+
+  // Returns the rate limit headers for the method, or throws once exhausted
+  const applyRateLimit = (nsid) => {
+    const policy = rateLimits[nsid];
+    if (!policy) {
+      return {};
+    }
+    const window = policy.window || 3600;
+    const now = Math.floor(Date.now() / 1000);
+    let counter = counters.get(nsid);
+    if (!counter || counter.reset <= now) {
+      counter = { used: 0, reset: now + window };
+      counters.set(nsid, counter);
+    }
+
+    const headers = {
+      'ratelimit-limit': String(policy.limit),
+      'ratelimit-reset': String(counter.reset),
+      'ratelimit-policy': `${policy.limit};w=${window}`,
+    };
+    if (counter.used >= policy.limit) {
+      throw Object.assign(new XrpcError(429, 'RateLimitExceeded', 'Rate Limit Exceeded'), {
+        headers: { ...headers, 'ratelimit-remaining': '0' },
+      });
+    }
+    counter.used += 1;
+    headers['ratelimit-remaining'] = String(policy.limit - counter.used);
+    return headers;
+  };
+
+  const paginate = (list, query, defaultLimit = 50) => {
+    const limit = Number(query.limit) || defaultLimit;
+    const start = Number(query.cursor) || 0;
+    const page = list.slice(start, start + limit);
+    const cursor = start + limit < list.length ? String(start + limit) : undefined;
+    return { page, cursor };
+  };
+
+  const getConvo = (members) => {
+    const key = [...members].sort().join(',');
+    if (!convos.has(key)) {
+      convos.set(key, {
+        id: `convo${convos.size + 1}`,
+        rev: '1',
+        members: members.map((did) => ({ did, handle: handleForDid(did) })),
+        muted: false,
+        unreadCount: 0,
+      });
+    }
+    return convos.get(key);
+  };
+
+  const handleForDid = (did) => {
+    const account = accounts.find((candidate) => candidate.did === did);
+    if (account) {
+      return account.handle;
+    }
+    const profile = profiles.find((candidate) => candidate.did === did);
+    return profile ? profile.handle : 'handle.invalid';
+  };
+
+  const handlers = {
+    'com.atproto.server.createSession': ({ body }) => {
+      const account = accounts.find(
+        (candidate) => candidate.identifier === body.identifier || candidate.handle === body.identifier || candidate.did === body.identifier
+      );
+      if (!account || account.password !== body.password) {
+        throw new XrpcError(401, 'AuthenticationRequired', 'Invalid identifier or password');
+      }
+      return createSessionFor(account);
+    },
+
+    'com.atproto.server.refreshSession': ({ req }) => {
+      const token = bearer(req);
+      const account = token && sessions.refresh.get(token);
+      if (!account) {
+        throw new XrpcError(400, 'ExpiredToken', 'Token has been revoked');
+      }
+      sessions.refresh.delete(token);
+      return createSessionFor(account);
+    },
+
+    'com.atproto.server.getSession': ({ account }) => ({
+      did: account.did,
+      handle: account.handle,
+      didDoc: didDoc(account),
+      active: true,
+    }),
+
+    'com.atproto.identity.resolveHandle': ({ query }) => {
+      const account = accounts.find((candidate) => candidate.handle === query.handle);
+      const did = handles[query.handle] || (account && account.did);
+      if (!did) {
+        throw new XrpcError(400, 'InvalidRequest', 'Unable to resolve handle');
+      }
+      return { did };
+    },
+
+    'com.atproto.repo.createRecord': ({ account, body }) => {
+      if (body.repo !== account.did && body.repo !== account.handle) {
+        throw new XrpcError(400, 'InvalidRequest', 'Invalid repo');
+      }
+      recordCount += 1;
+      const rkey = body.rkey || `mock${recordCount}`;
+      const uri = `at://${account.did}/${body.collection}/${rkey}`;
+      const cid = createCid(JSON.stringify(body.record));
+      records.push({ uri, cid, collection: body.collection, record: body.record });
+      return { uri, cid };
+    },
+
+    'com.atproto.repo.deleteRecord': ({ account, body }) => {
+      const uri = `at://${account.did}/${body.collection}/${body.rkey}`;
+      const index = records.findIndex((record) => record.uri === uri);
+      if (index !== -1) {
+        records.splice(index, 1);
+      }
+      return {};
+    },
+
+    'com.atproto.repo.uploadBlob': ({ req, raw }) => {
+      const cid = createCid(raw, 0x55);
+      const mimeType = req.headers['content-type'] || 'application/octet-stream';
+      blobs.push({ cid, mimeType, size: raw.length, data: raw });
+      return { blob: { $type: 'blob', ref: { $link: cid }, mimeType, size: raw.length } };
+    },
+
+    'app.bsky.feed.getPosts': ({ account, query }) => {
+      const uris = [].concat(query.uris || []);
+      return {
+        posts: records
+          .filter((record) => record.collection === 'app.bsky.feed.post' && uris.includes(record.uri))
+          .map(({ uri, cid, record }) => ({
+            uri,
+            cid,
+            author: { did: account.did, handle: account.handle },
+            record,
+            indexedAt: record.createdAt,
+          })),
+      };
+    },
+
+    'app.bsky.graph.getFollowers': ({ query }) => {
+      const { page, cursor } = paginate(followers, query);
+      const subject = accounts.find((candidate) => candidate.did === query.actor || candidate.handle === query.actor) || DEFAULT_ACCOUNT;
+      return { subject: { did: subject.did, handle: subject.handle }, followers: page, cursor };
+    },
+
+    'app.bsky.actor.getProfiles': ({ query }) => {
+      const actors = [].concat(query.actors || []);
+      return {
+        profiles: profiles.filter((profile) => actors.includes(profile.did) || actors.includes(profile.handle)),
+      };
+    },
+
+    'chat.bsky.convo.getConvoForMembers': ({ query }) => ({
+      convo: getConvo([].concat(query.members || [])),
+    }),
+
+    'chat.bsky.convo.listConvos': ({ query }) => {
+      const { page, cursor } = paginate([...convos.values()], query);
+      return { convos: page, cursor };
+    },
+
+    'chat.bsky.convo.getMessages': ({ query }) => {
+      // Newest first, like the chat service
+      const list = messages
+        .filter((message) => message.convoId === query.convoId)
+        .map(({ convoId, ...message }) => ({ $type: 'chat.bsky.convo.defs#messageView', ...message }))
+        .reverse();
+      const { page, cursor } = paginate(list, query);
+      return { messages: page, cursor };
+    },
+
+    'chat.bsky.convo.updateRead': ({ body }) => {
+      const convo = [...convos.values()].find((candidate) => candidate.id === body.convoId);
+      if (!convo) {
+        throw new XrpcError(400, 'InvalidConvo', 'Convo not found');
+      }
+      convo.unreadCount = 0;
+      return { convo };
+    },
+
+    'chat.bsky.convo.sendMessage': ({ account, body }) => {
+      const convo = [...convos.values()].find((candidate) => candidate.id === body.convoId);
+      if (!convo) {
+        throw new XrpcError(400, 'InvalidConvo', 'Convo not found');
+      }
+      const message = {
+        id: `msg${messages.length + 1}`,
+        rev: String(messages.length + 2),
+        text: body.message.text,
+        sender: { did: account.did },
+        sentAt: new Date().toISOString(),
+      };
+      messages.push({ convoId: convo.id, ...message });
+      return message;
+    },
+  };
+
+  const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+
+  // Collect repeated query parameters (members=a&members=b, members[]=a) into arrays
+  const parseQuery = (searchParams) => {
+    const query = {};
+    for (const [rawKey, value] of searchParams) {
+      const key = rawKey.replace(/\[\]$/, '');
+      if (key in query) {
+        query[key] = [].concat(query[key], value);
+      } else {
+        query[key] = rawKey.endsWith('[]') ? [value] : value;
+      }
+    }
+    return query;
+  };
+
+  const send = (res, status, payload, headers = {}) => {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+  };
+
+  const handle = async (req, res) => {
+    const requestUrl = new URL(req.url, url);
+    const nsid = requestUrl.pathname.replace(/^\/xrpc\//, '');
+    const raw = await readBody(req);
+    const query = parseQuery(requestUrl.searchParams);
+    let body = null;
+    if (raw.length > 0 && (req.headers['content-type'] || '').includes('application/json')) {
+      body = JSON.parse(raw.toString('utf8'));
+    }
+
+    requests.push({ method: req.method, nsid, query, body, headers: req.headers, size: raw.length });
+
+    let rateLimitHeaders = {};
+    try {
+      const handler = handlers[nsid];
+      if (!handler) {
+        throw new XrpcError(501, 'MethodNotImplemented', `Method not implemented: ${nsid}`);
+      }
+
+      const injectedIndex = injectedErrors.findIndex((entry) => entry.nsid === nsid);
+      if (injectedIndex !== -1) {
+        const [injected] = injectedErrors.splice(injectedIndex, 1);
+        throw Object.assign(new XrpcError(injected.status, injected.error, injected.message), {
+          headers: injected.headers,
+        });
+      }
+
+      rateLimitHeaders = applyRateLimit(nsid);
+      const account = PUBLIC_METHODS.has(nsid) ? null : authenticate(req);
+      const result = await handler({ req, query, body, raw, account });
+      send(res, 200, result, rateLimitHeaders);
+    } catch (error) {
+      if (error instanceof XrpcError) {
+        send(res, error.status, { error: error.error, message: error.message }, { ...rateLimitHeaders, ...error.headers });
+      } else {
+        send(res, 500, { error: 'InternalServerError', message: error.message });
+      }
+    }
+  };
+
+  return {
+    requests,
+    records,
+    blobs,
+    messages,
+
+    get url() {
+      return url;
+    },
+
+    // Start listening on a random local port, resolves with the base URL
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = http.createServer((req, res) => {
+          handle(req, res).catch((error) => send(res, 500, { error: 'InternalServerError', message: error.message }));
+        });
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          url = `http://127.0.0.1:${server.address().port}`;
+          resolve(url);
+        });
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => {
+        if (!server) {
+          resolve();
+          return;
+        }
+        server.closeAllConnections();
+        server.close(() => resolve());
+        server = null;
+      });
+    },
+
+    // A direct message from `from` (a DID) to the bot account, as if it was
+    // sent in the Bluesky app
+    receiveMessage(from, text, { to = accounts[0].did } = {}) {
+      const convo = getConvo([to, from]);
+      const message = {
+        id: `msg${messages.length + 1}`,
+        rev: String(messages.length + 2),
+        text,
+        sender: { did: from },
+        sentAt: new Date().toISOString(),
+      };
+      messages.push({ convoId: convo.id, ...message });
+      convo.unreadCount += 1;
+      convo.lastMessage = { $type: 'chat.bsky.convo.defs#messageView', ...message };
+      return message;
+    },
+
+    // Make the next call of a method fail, e.g. failNext('com.atproto.repo.createRecord', { status: 500 })
+    failNext(nsid, { status = 500, error = 'InternalServerError', message, headers } = {}) {
+      injectedErrors.push({ nsid, status, error, message, headers });
+    },
+
+    // Invalidate all access tokens, the next authenticated call gets ExpiredToken
+    expireAccessTokens() {
+      sessions.access.clear();
+    },
+
+    // Invalidate all refresh tokens as well, only a new login helps
+    revokeSessions() {
+      sessions.access.clear();
+      sessions.refresh.clear();
+    },
+
+    // Recorded requests for a single method
+    requestsFor(nsid) {
+      return requests.filter((request) => request.nsid === nsid);
+    },
+
+    reset() {
+      requests.length = 0;
+      records.length = 0;
+      blobs.length = 0;
+      messages.length = 0;
+      injectedErrors.length = 0;
+      counters.clear();
+      convos.clear();
+    },
+  };
+}
+
+module.exports = { createMockPds, createCid, DEFAULT_ACCOUNT };
@@ -0,0 +1,149 @@
+const http = require('http');
+const { createRegistry } = require('./metrics');
+
+// Tracks what a bot is doing for /healthz and /metrics.
+//
+// The bot is unhealthy when no check succeeded within `maxMissedChecks`
+// check intervals (counted from the start when there was none yet).
+function createMonitor({ name, checkInterval, maxMissedChecks = 3, now = () => Date.now() }) {
+  const registry = createRegistry({ bot: name });
+  const startedAt = now();
+
+  const metrics = {
+    fetched: registry.counter('bot_items_fetched_total', 'Items returned by a source'),
+    posted: registry.counter('bot_items_posted_total', 'Items posted'),
+    skipped: registry.counter('bot_items_skipped_total', 'Items skipped because they were already posted or queued'),
+    filtered: registry.counter('bot_items_filtered_total', 'New items skipped by a filter rule'),
+    failed: registry.counter('bot_items_failed_total', 'Items that could not be posted'),
+    reconciled: registry.counter('bot_posts_reconciled_total', 'Published posts deleted or corrected because their item changed'),
+    postDuration: registry.histogram('bot_post_duration_seconds', 'Time to format and publish a post'),
+    rateLimitWaits: registry.counter('bot_rate_limit_waits_total', 'Number of times a post waited for the rate limit'),
+    rateLimitWaitSeconds: registry.counter('bot_rate_limit_wait_seconds_total', 'Time spent waiting for the rate limit'),
+    checks: registry.counter('bot_checks_total', 'Finished checks by result'),
+    checkDuration: registry.histogram('bot_check_duration_seconds', 'Duration of a check', [1, 5, 15, 60, 300, 900, 1800, 3600]),
+    lastCheck: registry.gauge('bot_last_successful_check_timestamp_seconds', 'Time of the last successful check'),
+    lastPost: registry.gauge('bot_last_successful_post_timestamp_seconds', 'Time of the last successful post'),
+    outbox: registry.gauge('bot_outbox_entries', 'Entries in the outbox by status'),
+    healthy: registry.gauge('bot_healthy', '1 if the bot is healthy'),
+    fetches: registry.counter('bot_fetch_requests_total', 'Source HTTP requests by result (ok, not_modified, error)'),
+    fetchDuration: registry.histogram('bot_fetch_duration_seconds', 'Duration of source HTTP requests, including retries'),
+  };
+
+  const status = {
+    lastCheckAt: null,
+    lastSuccessfulCheckAt: null,
+    lastSuccessfulPostAt: null,
+    lastError: null,
+  };
+
+  const iso = (time) => (time ? new Date(time).toISOString() : null);
+
+  return {
+    registry,
+
+    itemFetched: (source) => metrics.fetched.inc({ source }),
+    itemSkipped: (source) => metrics.skipped.inc({ source }),
+    itemFiltered: (source, rule) => metrics.filtered.inc({ source, rule }),
+    itemFailed: (source) => metrics.failed.inc({ source }),
+    postReconciled: (source, action) => metrics.reconciled.inc({ source, action }),
+
+    itemPosted(source, seconds) {
+      metrics.posted.inc({ source });
+      metrics.postDuration.observe({ source }, seconds);
+      status.lastSuccessfulPostAt = now();
+      metrics.lastPost.set({}, Math.floor(status.lastSuccessfulPostAt / 1000));
+    },
+
+    fetchResult(source, result, seconds) {
+      metrics.fetches.inc({ source, result });
+      metrics.fetchDuration.observe({ source }, seconds);
+    },
+
+    rateLimitWait(ms) {
+      metrics.rateLimitWaits.inc();
+      metrics.rateLimitWaitSeconds.inc({}, ms / 1000);
+    },
+
+    // errors: messages of the sources that failed during the check
+    checkFinished({ seconds, errors = [] }) {
+      status.lastCheckAt = now();
+      metrics.checkDuration.observe({}, seconds);
+      if (errors.length === 0) {
+        status.lastSuccessfulCheckAt = status.lastCheckAt;
+        metrics.lastCheck.set({}, Math.floor(status.lastSuccessfulCheckAt / 1000));
+        metrics.checks.inc({ result: 'success' });
+      } else {
+        status.lastError = errors.join('; ');
+        metrics.checks.inc({ result: 'failure' });
+      }
+    },
+
+    outboxSize({ pending, dead }) {
+      metrics.outbox.set({ status: 'pending' }, pending);
+      metrics.outbox.set({ status: 'dead' }, dead);
+    },
+
+    setCheckInterval(ms) {
+      checkInterval = ms;
+    },
+
+    isHealthy() {
+      const reference = status.lastSuccessfulCheckAt || startedAt;
+      return now() - reference <= maxMissedChecks * checkInterval;
+    },
+
+    health(extra = {}) {
+      const healthy = this.isHealthy();
+      return {
+        status: healthy ? 'ok' : 'unhealthy',
+        bot: name,
+        startedAt: iso(startedAt),
+        lastCheckAt: iso(status.lastCheckAt),
+        lastSuccessfulCheckAt: iso(status.lastSuccessfulCheckAt),
+        lastSuccessfulPostAt: iso(status.lastSuccessfulPostAt),
+        lastError: status.lastError,
+        checkInterval,
+        maxMissedChecks,
+        ...extra,
+      };
+    },
+
+    metrics() {
+      metrics.healthy.set({}, this.isHealthy() ? 1 : 0);
+      return registry.render();
+    },
+  };
+}
+
+// Serves /healthz (JSON, 503 when unhealthy) and /metrics (Prometheus)
+function createMonitorServer({ monitor, getExtra = () => ({}), port, host = '0.0.0.0' }) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/healthz') {
+      const health = monitor.health(getExtra());
+      res.writeHead(health.status === 'ok' ? 200 : 503, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(health, null, 2));
+    } else if (pathname === '/metrics') {
+      res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4' });
+      res.end(monitor.metrics());
+    } else {
+      res.writeHead(404, { 'content-type': 'text/plain' });
+      res.end('Not found\n');
+    }
+  });
+
+  return {
+    // Resolves with the port, useful when listening on port 0
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(Number(port), host, () => resolve(server.address().port));
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createMonitor, createMonitorServer };
@@ -0,0 +1,96 @@
+const { createStateStore } = require('./state');
+const { classifyError } = require('./errors');
+const { getBackoffDelay } = require('./backoff');
+
+// Persistent queue of items whose post failed.
+//
+// Transient failures are retried with exponential backoff until maxAttempts
+// is reached. Permanent failures, and items that ran out of attempts, move to
+// the dead-letter list where they stay until they are replayed or dropped.
+//
+// entry: { item, source, status: 'pending' | 'dead', attempts, nextAttemptAt,
+//          lastError, errorKind, errorReason, createdAt, updatedAt }
+function createOutbox({
+  file,
+  maxAttempts = 5,
+  baseDelay = 60 * 1000,
+  maxDelay = 6 * 60 * 60 * 1000,
+  now = () => new Date(),
+}) {
+  const store = createStateStore({ file, now });
+
+  const byStatus = (status) => store.entries()
+    .filter(([, entry]) => entry.status === status)
+    .map(([id, entry]) => ({ id, ...entry }));
+
+  return {
+    file,
+
+    load() {
+      store.load();
+      return this;
+    },
+
+    has(id) {
+      return store.has(id);
+    },
+
+    get(id) {
+      return store.get(id);
+    },
+
+    // Record a failed attempt and schedule the next one, returns the entry
+    recordFailure(item, source, error) {
+      const previous = store.get(item.id);
+      const attempts = (previous ? previous.attempts : 0) + 1;
+      const { kind, reason, retryAfter } = classifyError(error);
+      const dead = kind === 'permanent' || attempts >= maxAttempts;
+      const delay = retryAfter ?? getBackoffDelay(attempts - 1, { baseDelay, maxDelay });
+
+      return store.set(item.id, {
+        item,
+        source,
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        nextAttemptAt: dead ? null : new Date(now().getTime() + delay).toISOString(),
+        lastError: error.message,
+        errorKind: kind,
+        errorReason: reason,
+      });
+    },
+
+    // Pending entries whose next attempt is due
+    due() {
+      const current = now().getTime();
+      return byStatus('pending').filter((entry) => new Date(entry.nextAttemptAt).getTime() <= current);
+    },
+
+    pending() {
+      return byStatus('pending');
+    },
+
+    deadLetters() {
+      return byStatus('dead');
+    },
+
+    // Remove an entry, e.g. after it was posted
+    remove(id) {
+      store.delete(id);
+    },
+
+    // Move a dead-lettered entry back into the queue with fresh attempts
+    replay(id) {
+      const entry = store.get(id);
+      if (!entry) {
+        return null;
+      }
+      return store.set(id, {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now().toISOString(),
+      });
+    },
+  };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const { createSessionManager } = require('./session');
+
+// Publishers take a finished post record and send it somewhere. Only the
+// Bluesky publisher talks to the network; the others exist to preview posts
+// and to test the bots.
+//
+// publisher: { name, persistState, login(), publish(record) -> { uri, cid },
+//              uploadBlob(data, mimeType) -> blob ref,
+//              getPost(uri) -> { uri, cid } or null when it does not exist,
+//              deletePost(uri) }
+// persistState tells the bot whether published items may be recorded in the
+// state file.
+
+// Posts to the logged in Bluesky account. The session manager keeps the
+// session alive (see session.js).
+function createBlueskyPublisher({
+  agent,
+  identifier,
+  password,
+  session = createSessionManager({ agent, identifier, password }),
+}) {
+  return {
+    name: 'bluesky',
+    persistState: true,
+    session,
+    async login() {
+      await session.start();
+    },
+    async publish(record) {
+      return session.run(() => agent.post(record));
+    },
+    async uploadBlob(data, mimeType) {
+      const response = await session.run(() => agent.uploadBlob(data, { encoding: mimeType }));
+      return response.data.blob;
+    },
+    async getPost(uri) {
+      const response = await session.run(() => agent.getPosts({ uris: [uri] }));
+      const [post] = response.data.posts;
+      return post ? { uri: post.uri, cid: post.cid } : null;
+    },
+    async deletePost(uri) {
+      await session.run(() => agent.deletePost(uri));
+    },
+  };
+}
+
+// Writes every record as a JSON line instead of posting it, either to stdout
+// or appended to a file. Nothing is recorded in the state file.
+function createDryRunPublisher({ file, stream = process.stdout } = {}) {
+  let count = 0;
+  const write = (data) => {
+    const line = JSON.stringify({ dryRun: true, ...data }) + '\n';
+    if (file) {
+      fs.appendFileSync(file, line);
+    } else {
+      stream.write(line);
+    }
+  };
+  return {
+    name: 'dry-run',
+    persistState: false,
+    async login() {},
+    async publish(record) {
+      count += 1;
+      write(record);
+      return { uri: `at://dry-run/app.bsky.feed.post/${count}`, cid: null };
+    },
+    // Nothing is uploaded, the preview shows the size of the blob
+    async uploadBlob(data, mimeType) {
+      return { $type: 'blob', ref: { $link: 'dry-run' }, mimeType, size: data.length };
+    },
+    // Every post is assumed to exist, nothing is deleted
+    async getPost(uri) {
+      return { uri, cid: null };
+    },
+    async deletePost(uri) {
+      write({ delete: uri });
+    },
+  };
+}
+
+// Keeps the records in memory, for tests
+function createMemoryPublisher() {
+  const posts = [];
+  const blobs = [];
+  const deleted = [];
+  const uriOf = (index) => `at://did:plc:memory/app.bsky.feed.post/${index}`;
+  return {
+    name: 'memory',
+    persistState: true,
+    posts,
+    blobs,
+    deleted,
+    async login() {},
+    async publish(record) {
+      posts.push(record);
+      return { uri: uriOf(posts.length), cid: `cid${posts.length}` };
+    },
+    async uploadBlob(data, mimeType) {
+      blobs.push({ data, mimeType });
+      return { $type: 'blob', ref: { $link: `blob${blobs.length}` }, mimeType, size: data.length };
+    },
+    async getPost(uri) {
+      const index = Number(uri.split('/').pop());
+      const exists = uri === uriOf(index) && index <= posts.length && !deleted.includes(uri);
+      return exists ? { uri, cid: `cid${index}` } : null;
+    },
+    async deletePost(uri) {
+      deleted.push(uri);
+    },
+  };
+}
+
+// Pick the publisher from the command line (--dry-run, --publisher=<name>)
+// or the BOT_PUBLISHER environment variable. Defaults to Bluesky.
+function selectPublisher({ agent, identifier, password, session, argv = process.argv, env = process.env }) {
+  let name = env.BOT_PUBLISHER || 'bluesky';
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      name = 'dry-run';
+    } else if (arg.startsWith('--publisher=')) {
+      name = arg.slice('--publisher='.length);
+    }
+  }
+
+  switch (name) {
+    case 'bluesky':
+      return createBlueskyPublisher({ agent, identifier, password, session });
+    case 'dry-run':
+      return createDryRunPublisher({ file: env.BOT_DRY_RUN_FILE });
+    case 'memory':
+      return createMemoryPublisher();
+    default:
+      throw new Error(`Unknown publisher: ${name} (expected bluesky, dry-run or memory)`);
+  }
+}
+
+module.exports = {
+  createBlueskyPublisher,
+  createDryRunPublisher,
+  createMemoryPublisher,
+  selectPublisher,
+};
@@ -0,0 +1,38 @@
+// Enforces a minimum interval between two posts. onWait(ms) is called before
+// every wait, e.g. to count the waits in the metrics.
+function createRateLimiter(interval, { log, sleep = defaultSleep, onWait } = {}) {
+  let lastPostTime = 0;
+
+  return {
+    // Wait until the interval since the last post has passed
+    async wait() {
+      const timeSinceLastPost = Date.now() - lastPostTime;
+      if (timeSinceLastPost < interval) {
+        const waitTime = interval - timeSinceLastPost;
+        if (log) {
+          log.info(`Rate limit in effect. Waiting ${waitTime / 1000} seconds...`);
+        }
+        if (onWait) {
+          onWait(waitTime);
+        }
+        await sleep(waitTime);
+      }
+    },
+
+    // Record that a post was attempted, successful or not
+    touch() {
+      lastPostTime = Date.now();
+    },
+
+    // Change the interval, e.g. after the config was reloaded
+    setMinInterval(ms) {
+      interval = ms;
+    },
+  };
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { createRateLimiter, sleep: defaultSleep };
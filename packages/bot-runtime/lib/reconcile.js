@@ -0,0 +1,158 @@
+const { createComposer } = require('./composer');
+
+// Sync edits and deletions of source items to the posts that were published
+// for them. A source that can look its items up again implements
+//
+//   lookup({ records, log, http, persistState }) -> Map of id -> { title }
+//   for the items that still exist and id -> null for the items that are
+//   gone; persistState is false in dry-run mode, as for fetch()
+//
+// records are the state records ({ id, uri, cid, title, link, ... }) of the
+// posts published within the window. Ids missing from the map are left
+// alone, e.g. when the source could not tell.
+//
+// - Gone: the post and its replies are deleted, the record is kept with
+//   `deleted: true` so the item is never posted again. With `deleteGone`
+//   off the post stays and the record is only marked `gone: true`.
+// - Title changed (more than case, spacing or punctuation): a correction is
+//   posted as a reply and the record gets the new title.
+//
+// Every action is written to the audit log (see audit.js). Publishers that do
+// not persist state (dry-run) only preview the actions.
+
+const composer = createComposer({
+  correction: { text: '✏️ Update: the title of this post changed to "{title}"', shorten: ['title'] },
+});
+
+const defaultCorrection = (current) => ({ text: composer.compose('correction', { title: current.title }) });
+
+// Titles that differ only in case, spacing or punctuation are the same
+const normalizeTitle = (title) => String(title).normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const titleChanged = (before, after) => Boolean(before && after) && normalizeTitle(before) !== normalizeTitle(after);
+
+// reply(content, ref, log) posts a reply below ref ({ uri, cid }) and returns
+// its URI, or null when it failed
+function createReconciler({
+  state,
+  publisher,
+  audit,
+  limiter,
+  log,
+  reply,
+  formatCorrection = defaultCorrection,
+  onAction = () => {},
+  now = () => Date.now(),
+}) {
+  // Records handled in dry-run mode, where the state is not written
+  const previewed = new Set();
+
+  // Records of a source posted within the window
+  const recentRecords = (source, window) => {
+    const since = now() - window;
+    return state.entries()
+      .filter(([id, record]) => record.source === source.name && record.uri && !record.deleted && !record.gone && !previewed.has(id))
+      .filter(([, record]) => new Date(record.createdAt).getTime() >= since)
+      .map(([id, record]) => ({ id, ...record }));
+  };
+
+  // Write the record and the audit entry, or only remember the preview
+  const settle = (record, fields, action, details) => {
+    onAction(record.source, action);
+    if (!publisher.persistState) {
+      previewed.add(record.id);
+      return;
+    }
+    state.set(record.id, fields);
+    audit.record(action, { source: record.source, id: record.id, uri: record.uri, ...details });
+  };
+
+  const deletePost = async (uri) => {
+    await limiter.wait();
+    try {
+      await publisher.deletePost(uri);
+    } finally {
+      limiter.touch();
+    }
+  };
+
+  const removePost = async (record, { deleteGone, rlog }) => {
+    const label = record.title || record.label || record.id;
+    if (!deleteGone) {
+      rlog.warn(`${label} is gone from its source, keeping the post (reconcile.delete is off)`, { uri: record.uri });
+      settle(record, { gone: true }, 'gone', { title: record.title });
+      return false;
+    }
+    // Replies first, the thread should not be left without its root
+    const uris = [...(record.corrections || []), ...(record.replies || []), record.uri];
+    for (const uri of uris) {
+      await deletePost(uri);
+    }
+    rlog.info(`Deleted the post of ${label}, it is gone from its source`, { uri: record.uri, deleted: uris.length });
+    settle(record, { deleted: true, deletedAt: new Date(now()).toISOString() }, 'delete', {
+      title: record.title,
+      deleted: uris,
+    });
+    return true;
+  };
+
+  const correctPost = async (record, current, { rlog }) => {
+    // Records written before the CID was stored need a lookup for the reply ref
+    const ref = record.cid ? { uri: record.uri, cid: record.cid } : await publisher.getPost(record.uri);
+    if (!ref) {
+      rlog.warn(`The post of ${record.title} does not exist anymore`, { uri: record.uri });
+      settle(record, { deleted: true, deletedAt: new Date(now()).toISOString() }, 'missing', { title: record.title });
+      return false;
+    }
+    const uri = await reply(formatCorrection(current, record), ref, rlog);
+    if (!uri) {
+      // Logged by reply(), tried again on the next check
+      return false;
+    }
+    rlog.info(`Posted a correction: "${record.title}" is now "${current.title}"`, { uri: record.uri, reply: uri });
+    settle(record, { title: current.title, corrections: [...(record.corrections || []), uri] }, 'correct', {
+      before: record.title,
+      after: current.title,
+      reply: uri,
+    });
+    return true;
+  };
+
+  // Look up the recent posts of a source and act on the changes. Returns the
+  // number of records checked, and of posts deleted and corrected.
+  const reconcileSource = async (source, { window, deleteGone = true, http, stopping = () => false }) => {
+    const result = { checked: 0, deleted: 0, corrected: 0 };
+    const records = recentRecords(source, window);
+    if (records.length === 0) {
+      return result;
+    }
+    const sourceLog = log.child({ source: source.name });
+    const found = await source.lookup({ records, log: sourceLog, http, persistState: publisher.persistState });
+    for (const record of records) {
+      if (stopping()) {
+        break;
+      }
+      if (!found.has(record.id)) {
+        continue;
+      }
+      result.checked += 1;
+      const current = found.get(record.id);
+      const rlog = sourceLog.child({ itemId: record.id });
+      try {
+        if (current === null) {
+          result.deleted += await removePost(record, { deleteGone, rlog }) ? 1 : 0;
+        } else if (titleChanged(record.title, current.title)) {
+          result.corrected += await correctPost(record, current, { rlog }) ? 1 : 0;
+        }
+      } catch (error) {
+        rlog.error(`Failed to reconcile the post of ${record.title || record.id}: ${error.message}`, { uri: record.uri }, error);
+      }
+    }
+    sourceLog.info(`Reconciled ${result.checked} recent post(s) of ${source.name}`, result);
+    return result;
+  };
+
+  return { reconcileSource };
+}
+
+module.exports = { createReconciler, titleChanged, normalizeTitle };
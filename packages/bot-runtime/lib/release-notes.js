@@ -0,0 +1,164 @@
+const { HttpError } = require('./http');
+const { decodeEntities } = require('./feed');
+const { shortenText } = require('./composer');
+
+// Release notes of a package version, as a short plain-text summary: the
+// GitHub release of the version, or else its section in the CHANGELOG.md of
+// the package directory or of the repository.
+//
+//   const notes = createReleaseNotes({ http, log });
+//   await notes.find({ repository: packument.repository, name, version })
+//   -> { text, url, source: 'release' | 'changelog' } or null
+//
+// Only GitHub repositories are looked up. The base URLs can point to a
+// stand-in server, GITHUB_TOKEN raises the API rate limit. find() never
+// throws, a failed lookup is logged and returns null.
+
+const GIT_HOSTS = { github: 'github.com', gitlab: 'gitlab.com', bitbucket: 'bitbucket.org' };
+
+// { host, owner, repo, directory, location } of a package's `repository`: a
+// shorthand like "github:SAP/open-ux-tools" or a git URL, also as { url,
+// directory }. `location` is e.g. "github.com/SAP/open-ux-tools".
+function parseRepository(repository) {
+  const url = typeof repository === 'string' ? repository : repository && repository.url;
+  if (typeof url !== 'string') {
+    return null;
+  }
+  const shorthand = /^(?:(github|gitlab|bitbucket):)?([\w.-]+\/[\w.-]+)$/.exec(url);
+  const location = shorthand
+    ? `${GIT_HOSTS[shorthand[1] || 'github']}/${shorthand[2]}`
+    : url.replace(/^git\+/, '').replace(/^[a-z+]+:\/\//, '').replace(/^[^@/]+@/, '').replace(/^([^/:]+):/, '$1/');
+  const parts = location.replace(/\.git$/, '').split('/').filter(Boolean);
+  if (parts.length < 3) {
+    return null;
+  }
+  const [host, owner, repo] = parts;
+  const directory = repository.directory ? String(repository.directory).replace(/^\.?\/+|\/+$/g, '') : '';
+  return { host: host.toLowerCase(), owner, repo, directory, location: parts.slice(0, 3).join('/') };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The section of a version in a changelog, without its heading: everything
+// up to the next heading of the same or a higher level. Headings like
+// "## 1.2.0", "## [1.2.0](compare link) (2024-05-01)" or "# v1.2.0" match.
+function changelogSection(markdown, version) {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const versionPattern = new RegExp(`(?:^|[\\s[v@])${escapeRegExp(version)}(?=$|[\\s\\]),:])`);
+  const headingOf = (line) => /^(#{1,6})\s+(.*)$/.exec(line);
+
+  const start = lines.findIndex((line) => {
+    const heading = headingOf(line);
+    return heading && versionPattern.test(heading[2].replace(/\]\([^)]*\)/g, ']'));
+  });
+  if (start === -1) {
+    return null;
+  }
+  const level = headingOf(lines[start])[1].length;
+  const end = lines.findIndex((line, index) => {
+    const heading = index > start && headingOf(line);
+    return heading && heading[1].length <= level;
+  });
+  return lines.slice(start + 1, end === -1 ? undefined : end).join('\n').trim() || null;
+}
+
+// Plain text of release notes in Markdown: without headings, links, images,
+// markup and commit hashes, list items as "• ", shortened to maxLength
+// graphemes. Null when nothing is left.
+function summarizeNotes(markdown, maxLength = 240) {
+  const lines = String(markdown || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !/^#{1,6}\s/.test(line) && !/^([-*_])\1{2,}$/.test(line))
+    .map((line) => decodeEntities(line
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]*>/g, '')
+      .replace(/\*\*|__|~~|`/g, '')
+      .replace(/^[-*+]\s+/, '• ')
+      // Changesets: "- 4e0e4d1: Fixed ...", conventional changelog: "Fixed ... (4e0e4d1)"
+      .replace(/^• [0-9a-f]{7,40}:\s*/, '• ')
+      .replace(/\s*[([](?:[0-9a-f]{7,40}(?:,\s*)?)+[)\]]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()))
+    .filter((line) => line && line !== '•');
+  return lines.length > 0 ? shortenText(lines.join('\n'), maxLength) : null;
+}
+
+function createReleaseNotes({
+  http,
+  log,
+  githubApiUrl = 'https://api.github.com',
+  githubRawUrl = 'https://raw.githubusercontent.com',
+  githubUrl = 'https://github.com',
+  token = process.env.GITHUB_TOKEN,
+  maxLength = 240,
+}) {
+  // The response, or null for a 404
+  const fetchOptional = async (url, headers) => {
+    try {
+      return await http.get(url, { source: 'release-notes', conditional: false, headers });
+    } catch (error) {
+      if (error instanceof HttpError && error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // The GitHub release of a version, tagged "<name>@<version>", or
+  // "v<version>" and "<version>" unless the package lives in a directory of
+  // a monorepo, where those belong to another package
+  const findRelease = async ({ owner, repo, directory }, { name, version }) => {
+    const headers = { Accept: 'application/vnd.github+json', ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    const tags = [name && `${name}@${version}`, ...(directory ? [] : [`v${version}`, version])].filter(Boolean);
+    for (const tag of tags) {
+      const url = `${githubApiUrl}/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`;
+      const response = await fetchOptional(url, headers);
+      const text = response && summarizeNotes(response.json().body, maxLength);
+      if (text) {
+        return { text, url: response.json().html_url, source: 'release' };
+      }
+    }
+    return null;
+  };
+
+  // The version's section in CHANGELOG.md of the package directory, or of
+  // the repository
+  const findChangelogSection = async ({ owner, repo, directory }, { version }) => {
+    const paths = [...new Set([directory && `${directory}/CHANGELOG.md`, 'CHANGELOG.md'].filter(Boolean))];
+    for (const file of paths) {
+      const response = await fetchOptional(`${githubRawUrl}/${owner}/${repo}/HEAD/${file}`);
+      const section = response && changelogSection(response.body, version);
+      const text = section && summarizeNotes(section, maxLength);
+      if (text) {
+        return { text, url: `${githubUrl}/${owner}/${repo}/blob/HEAD/${file}`, source: 'changelog' };
+      }
+    }
+    return null;
+  };
+
+  return {
+    async find({ repository, name = null, version }, { log: itemLog = log } = {}) {
+      const parsed = parseRepository(repository);
+      if (!parsed || parsed.host !== 'github.com') {
+        itemLog.debug('No GitHub repository to find release notes in', { repository: parsed ? parsed.location : null });
+        return null;
+      }
+      try {
+        const notes = await findRelease(parsed, { name, version }) || await findChangelogSection(parsed, { version });
+        if (!notes) {
+          itemLog.debug(`No release notes found for ${version} in ${parsed.location}`);
+        }
+        return notes;
+      } catch (error) {
+        itemLog.warn(`Could not look up the release notes of ${version}: ${error.message}`, { repository: parsed.location });
+        return null;
+      }
+    },
+  };
+}
+
+module.exports = { createReleaseNotes, parseRepository, changelogSection, summarizeNotes };
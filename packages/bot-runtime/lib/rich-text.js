@@ -0,0 +1,43 @@
+const { RichText } = require('@atproto/api');
+const { createComposer, countGraphemes, countBytes, MAX_GRAPHEMES, MAX_BYTES } = require('./composer');
+
+const fits = (text) => countGraphemes(text) <= MAX_GRAPHEMES && countBytes(text) <= MAX_BYTES;
+
+// Last resort for texts that were not composed to fit (see composer.js)
+const fallback = createComposer({ text: { text: '{text}', shorten: ['text'] } });
+
+// The text with as many of the hashtags appended as fit into the limit, in
+// their order
+function appendHashtags(text, tags) {
+  let result = text;
+  let separator = '\n\n';
+  for (const tag of tags) {
+    const candidate = `${result}${separator}#${tag}`;
+    if (!fits(candidate)) {
+      break;
+    }
+    result = candidate;
+    separator = ' ';
+  }
+  return result;
+}
+
+// Build the text and facets of a post, truncating it to Bluesky's limit.
+// `tags` (without #) are appended when there is room left and become tag
+// facets like every other hashtag in the text. Facets are detected on the
+// final text, so they never point into a cut.
+async function buildRichText(agent, text, { log, tags = [] } = {}) {
+  let content = text;
+  if (!fits(content)) {
+    content = fallback.compose('text', { text });
+    if (log) {
+      log.warn('Post content was too long and has been truncated.');
+    }
+  }
+
+  const rt = new RichText({ text: appendHashtags(content, tags) });
+  await rt.detectFacets(agent);
+  return rt;
+}
+
+module.exports = { buildRichText, MAX_GRAPHEMES };
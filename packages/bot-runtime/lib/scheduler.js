@@ -0,0 +1,226 @@
+// Runs a job on an interval or a cron schedule, never twice at the same time.
+//
+// The next run is only planned once the previous one has finished, so a slow
+// check delays the next one instead of overlapping with it.
+
+const MINUTE = 60 * 1000;
+
+// Fields of a cron expression: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+function parseCronField(value, { name, min, max }) {
+  const allowed = new Set();
+  for (const part of value.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} in cron expression: ${part}`);
+    }
+    const [, range, step = '1'] = match;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (to === undefined) {
+      to = match[2] ? max : from;
+    }
+    if (from < min || to > max || from > to || Number(step) < 1) {
+      throw new Error(`Invalid ${name} in cron expression: ${part}`);
+    }
+    for (let n = from; n <= to; n += Number(step)) {
+      allowed.add(n);
+    }
+  }
+  return allowed;
+}
+
+// Parse a standard 5-field cron expression (or @hourly, @daily, ...)
+function parseCron(expression) {
+  const fields = (CRON_ALIASES[expression.trim()] || expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields: ${expression}`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  // 7 is Sunday as well
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like cron: when both days are restricted, either of them matches
+    anyDay: fields[2] === '*' || fields[4] === '*',
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayMatches = cron.days.has(date.getDate());
+  const weekdayMatches = cron.weekdays.has(date.getDay());
+  return cron.anyDay ? dayMatches && weekdayMatches : dayMatches || weekdayMatches;
+}
+
+// The first time after `from` that matches the cron expression (local time)
+function nextCronTime(cron, from = new Date()) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Give up after 5 years, e.g. for "0 0 31 2 *"
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * MINUTE;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error(`Cron expression never matches: ${cron.expression}`);
+}
+
+// schedule: interval in ms, or a cron expression. A string of digits is read
+// as an interval, so the schedule can come from an environment variable.
+function parseSchedule(schedule) {
+  if (typeof schedule === 'number' || /^\d+$/.test(String(schedule).trim())) {
+    const interval = Number(schedule);
+    if (!(interval > 0)) {
+      throw new Error(`Invalid interval: ${schedule}`);
+    }
+    return { interval, describe: () => `every ${interval / 1000} seconds` };
+  }
+  return { cron: parseCron(String(schedule)), describe: () => `on "${schedule}"` };
+}
+
+// job:    async function, the run to schedule
+// jitter: up to this many ms are added at random to every delay, so several
+//         bots (or replicas) do not hit the same APIs at the same moment
+function createScheduler({
+  job,
+  schedule,
+  jitter = 0,
+  log,
+  random = Math.random,
+  now = () => new Date(),
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+}) {
+  let parsed = parseSchedule(schedule);
+  let timer = null;
+  let running = null;
+  let stopped = true;
+
+  // Delay until the next scheduled run
+  const nextDelay = () => {
+    const base = parsed.cron
+      ? nextCronTime(parsed.cron, now()).getTime() - now().getTime()
+      : parsed.interval;
+    return base + Math.floor(random() * jitter);
+  };
+
+  const plan = () => {
+    if (stopped) {
+      return;
+    }
+    const delay = nextDelay();
+    timer = setTimer(() => {
+      timer = null;
+      run();
+    }, delay);
+    if (log) {
+      log.info(`Next run at ${new Date(now().getTime() + delay).toISOString()}.`);
+    }
+  };
+
+  // Run the job unless it is running already, then plan the next run.
+  // Returns the promise of the (running) job.
+  const run = () => {
+    if (running) {
+      if (log) {
+        log.info('A run is still in progress, not starting another one.');
+      }
+      return running;
+    }
+    if (timer) {
+      clearTimer(timer);
+      timer = null;
+    }
+    running = (async () => {
+      try {
+        await job();
+      } catch (error) {
+        if (log) {
+          log.error('Scheduled run failed:', error);
+        }
+      } finally {
+        running = null;
+        plan();
+      }
+    })();
+    return running;
+  };
+
+  return {
+    describe: () => parsed.describe(),
+
+    get running() {
+      return Boolean(running);
+    },
+
+    // Start planning runs; with `immediate` the first run starts right away
+    start({ immediate = true } = {}) {
+      stopped = false;
+      if (immediate) {
+        return run();
+      }
+      plan();
+      return Promise.resolve();
+    },
+
+    run,
+
+    // Change the schedule; a planned run is planned again with the new one
+    reschedule(nextSchedule, nextJitter = jitter) {
+      parsed = parseSchedule(nextSchedule);
+      jitter = nextJitter;
+      if (timer) {
+        clearTimer(timer);
+        timer = null;
+        plan();
+      }
+    },
+
+    // Stop planning runs and wait for a running job to finish
+    async stop() {
+      stopped = true;
+      if (timer) {
+        clearTimer(timer);
+        timer = null;
+      }
+      if (running) {
+        await running;
+      }
+    },
+  };
+}
+
+module.exports = { createScheduler, parseCron, nextCronTime, parseSchedule };
@@ -0,0 +1,16 @@
+// Where the bots talk to. Both can be overridden to point the bots at another
+// PDS or at the bundled mock server (see mock-pds.js).
+const DEFAULT_SERVICE = 'https://bsky.social';
+const DEFAULT_CHAT_PROXY = 'did:web:api.bsky.chat#bsky_chat';
+
+// PDS / entryway URL, from BLUESKY_SERVICE
+function getService(env = process.env) {
+  return (env.BLUESKY_SERVICE || DEFAULT_SERVICE).replace(/\/+$/, '');
+}
+
+// Value of the Atproto-Proxy header for chat.bsky.* calls, from BLUESKY_CHAT_PROXY
+function getChatProxy(env = process.env) {
+  return env.BLUESKY_CHAT_PROXY || DEFAULT_CHAT_PROXY;
+}
+
+module.exports = { getService, getChatProxy, DEFAULT_SERVICE, DEFAULT_CHAT_PROXY };
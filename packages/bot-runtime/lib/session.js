@@ -0,0 +1,153 @@
+const fs = require('fs');
+const { getBackoffDelay, getRateLimitReset } = require('./backoff');
+const { sleep: defaultSleep } = require('./rate-limiter');
+
+// Errors that mean the session is no longer usable
+const SESSION_ERRORS = ['ExpiredToken', 'InvalidToken', 'AuthenticationRequired'];
+
+function isSessionError(error) {
+  return error.status === 401 || SESSION_ERRORS.includes(error.error) || error.message === 'Not logged in';
+}
+
+// Keeps the agent logged in for the lifetime of the process.
+//
+// - The session is saved to `file` and restored with resumeSession on the next
+//   start, so a pm2 restart does not call createSession again.
+// - Expired access tokens are refreshed by the agent itself. When a call still
+//   fails with a session error, the session is resumed (which refreshes it) and
+//   if the refresh token is dead as well, a full login is done with backoff.
+function createSessionManager({
+  agent,
+  identifier,
+  password,
+  file = null,
+  log = null,
+  sleep = defaultSleep,
+  attempts = 5,
+  baseDelay = 5000,
+  maxDelay = 15 * 60 * 1000,
+}) {
+  let status = 'logged-out';
+  let savedAccessJwt = null;
+
+  const info = (message) => log && log.info(message);
+
+  const read = () => {
+    if (!file || !fs.existsSync(file)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      info(`Ignoring unreadable session file: ${error.message}`);
+      return null;
+    }
+  };
+
+  // Write the session when the agent got new tokens
+  const save = () => {
+    const session = agent.session;
+    if (!file || !session || session.accessJwt === savedAccessJwt) {
+      return;
+    }
+    fs.writeFileSync(file, JSON.stringify(session, null, 2), { mode: 0o600 });
+    savedAccessJwt = session.accessJwt;
+  };
+
+  const clear = () => {
+    savedAccessJwt = null;
+    if (file && fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  };
+
+  // Full login, retried with exponential backoff. A 429 waits for the rate
+  // limit window to reset instead.
+  const login = async () => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await agent.login({ identifier, password });
+        status = 'active';
+        save();
+        return;
+      } catch (error) {
+        if (attempt + 1 >= attempts) {
+          status = 'failed';
+          throw error;
+        }
+        const delay = error.status === 429
+          ? Math.min(getRateLimitReset(error.headers) ?? maxDelay, maxDelay)
+          : getBackoffDelay(attempt, { baseDelay, maxDelay });
+        info(`Login failed (${error.message}). Retrying in ${Math.ceil(delay / 1000)} seconds...`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  // Resume the saved session, fall back to a full login
+  const start = async () => {
+    const saved = read();
+    if (saved) {
+      try {
+        await agent.resumeSession(saved);
+        status = 'resumed';
+        save();
+        info('Resumed saved Bluesky session.');
+        return;
+      } catch (error) {
+        info(`Could not resume saved session (${error.message}), logging in again.`);
+        clear();
+      }
+    }
+    await login();
+  };
+
+  // Try to get a working session again after a session error
+  const recover = async () => {
+    if (agent.session && agent.session.refreshJwt) {
+      try {
+        await agent.resumeSession({ ...agent.session });
+        status = 'active';
+        save();
+        info('Refreshed Bluesky session.');
+        return;
+      } catch (error) {
+        info(`Session refresh failed (${error.message}).`);
+      }
+    }
+    status = 'relogin';
+    info('Logging in again...');
+    clear();
+    await login();
+  };
+
+  // Run a call that needs the session, recovering it once if necessary
+  const run = async (fn) => {
+    try {
+      const result = await fn();
+      save();
+      return result;
+    } catch (error) {
+      if (!isSessionError(error)) {
+        throw error;
+      }
+      info(`Session error: ${error.message}`);
+      await recover();
+      const result = await fn();
+      save();
+      return result;
+    }
+  };
+
+  return {
+    start,
+    login,
+    run,
+    clear,
+    get status() {
+      return status;
+    },
+  };
+}
+
+module.exports = { createSessionManager, isSessionError };
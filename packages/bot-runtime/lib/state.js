@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+
+// Marker of the state file layout written by the store
+const STATE_FORMAT = 'bluesky-bot-state';
+const STATE_VERSION = 2;
+
+// Layouts the bots used before the state store. Each format turns the parsed
+// JSON file into a Map of item id -> record fields and back, so old files can
+// be migrated and the store can still be exported in the old layout.
+const formats = {
+  // { "<id>": "<uri>" } or { "<id>": { ...fields } }, also accepts the legacy
+  // array of ids
+  map: {
+    decode(data) {
+      if (Array.isArray(data)) {
+        return new Map(data.map((id) => [id, { uri: null }]));
+      }
+      return new Map(Object.entries(data).map(([id, value]) => [
+        id,
+        value !== null && typeof value === 'object' ? { ...value } : { uri: value },
+      ]));
+    },
+    encode(entries) {
+      return Object.fromEntries([...entries].map(([id, record]) => [id, record.uri ?? null]));
+    },
+  },
+
+  // [ "<id>", ... ], the post URI is not kept
+  list: {
+    decode(data) {
+      return new Map(data.map((id) => [id, { uri: null }]));
+    },
+    encode(entries) {
+      return [...entries.keys()];
+    },
+  },
+};
+
+function isStateFile(data) {
+  return data !== null && typeof data === 'object' && data.format === STATE_FORMAT;
+}
+
+// Upgrades older versions of the state file, one step per version:
+// migrations[n] turns a version n file into a version n + 1 file
+const migrations = {
+  // Version 2 remembers the sources a bot has seen. Older files did not, the
+  // bot adopts its current sources on the next check (see createBot()).
+  1: (data) => ({ ...data, version: 2, sources: null }),
+};
+
+// Write to a temporary file and rename it, so a crash never leaves a
+// half-written file behind
+function writeFileAtomic(file, content) {
+  const tmpFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  const fd = fs.openSync(tmpFile, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpFile, file);
+}
+
+// Keeps track of what a bot has already seen or posted.
+//
+// Next to the records it lists the sources of the bot by name, so a source
+// added later can be told apart from one that has no new items (see
+// seeding in bot.js). `sources` is null for files written before that.
+//
+// Every record carries createdAt/updatedAt timestamps next to its fields
+// (usually the Bluesky post `uri`). Records older than `retention` (ms) are
+// dropped by prune(). Files in one of the old layouts are migrated on the first
+// write, the original is kept next to it as `<file>.legacy.bak`.
+//
+// Every change rewrites the whole file right away. With `writeDelay` (ms)
+// changes are collected and written at most once per delay, on flush() and
+// when the process exits. A crash in between loses them, so only for records
+// that can be rebuilt, e.g. an index of thousands of packages.
+function createStateStore({ file, legacyFormat = 'map', retention = null, now = () => new Date(), writeDelay = 0 }) {
+  const codec = typeof legacyFormat === 'string' ? formats[legacyFormat] : legacyFormat;
+  if (!codec) {
+    throw new Error(`Unknown state format: ${legacyFormat}`);
+  }
+
+  let records = new Map();
+  let sources = {};
+  let legacy = false;
+
+  const save = () => {
+    // Keep the file in the old layout around once, before replacing it
+    if (legacy) {
+      fs.copyFileSync(file, `${file}.legacy.bak`);
+      legacy = false;
+    }
+    const data = {
+      format: STATE_FORMAT,
+      version: STATE_VERSION,
+      records: Object.fromEntries(records),
+      sources,
+    };
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+  };
+
+  // Pending write with `writeDelay`
+  let timer = null;
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+      process.removeListener('exit', flush);
+      save();
+    }
+  };
+  const changed = () => {
+    if (!writeDelay) {
+      save();
+      return;
+    }
+    if (!timer) {
+      timer = setTimeout(flush, writeDelay);
+      timer.unref();
+      process.on('exit', flush);
+    }
+  };
+
+  const migrateLegacy = (data) => {
+    const timestamp = now().toISOString();
+    const entries = codec.decode(data);
+    return new Map([...entries].map(([id, fields]) => [
+      id,
+      { createdAt: timestamp, updatedAt: timestamp, migrated: true, ...fields },
+    ]));
+  };
+
+  return {
+    file,
+
+    // Load the file if it exists. Nothing is written until the first change,
+    // files in an old layout are converted in memory until then.
+    load() {
+      flush();
+      if (!fs.existsSync(file)) {
+        records = new Map();
+        sources = {};
+        return this;
+      }
+
+      let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!isStateFile(data)) {
+        records = migrateLegacy(data);
+        sources = null;
+        legacy = true;
+        return this;
+      }
+
+      if (data.version > STATE_VERSION) {
+        throw new Error(`${file} was written by a newer version (${data.version}) of the state store`);
+      }
+      for (let version = data.version; version < STATE_VERSION; version++) {
+        data = migrations[version](data);
+      }
+      records = new Map(Object.entries(data.records));
+      sources = data.sources === null ? null : { ...data.sources };
+      return this;
+    },
+
+    // Write the file now, e.g. to finish the migration of an old layout
+    migrate() {
+      flush();
+      save();
+      return this;
+    },
+
+    // Write pending changes now (see writeDelay)
+    flush() {
+      flush();
+      return this;
+    },
+
+    get isLegacy() {
+      return legacy;
+    },
+
+    has(id) {
+      return records.has(id);
+    },
+
+    // The record of an id: { createdAt, updatedAt, uri?, ... }
+    get(id) {
+      return records.get(id);
+    },
+
+    // Create or update a record, the given fields are merged into it
+    set(id, fields = {}) {
+      const timestamp = now().toISOString();
+      const existing = records.get(id);
+      records.set(id, {
+        createdAt: timestamp,
+        ...existing,
+        ...fields,
+        updatedAt: timestamp,
+      });
+      changed();
+      return records.get(id);
+    },
+
+    // Create or update many records at once with the same fields, written
+    // in one go
+    setMany(ids, fields = {}) {
+      const timestamp = now().toISOString();
+      for (const id of ids) {
+        records.set(id, { createdAt: timestamp, ...records.get(id), ...fields, updatedAt: timestamp });
+      }
+      changed();
+    },
+
+    delete(id) {
+      if (records.delete(id)) {
+        changed();
+      }
+    },
+
+    // Drop records that were not updated within the retention period,
+    // returns the number of removed records
+    prune(maxAge = retention) {
+      if (!maxAge) {
+        return 0;
+      }
+      const cutoff = now().getTime() - maxAge;
+      let removed = 0;
+      for (const [id, record] of records) {
+        if (new Date(record.updatedAt).getTime() < cutoff) {
+          records.delete(id);
+          removed += 1;
+        }
+      }
+      if (removed > 0) {
+        changed();
+      }
+      return removed;
+    },
+
+    // False for files written before sources were tracked
+    get tracksSources() {
+      return sources !== null;
+    },
+
+    hasSource(name) {
+      return sources !== null && name in sources;
+    },
+
+    // Remember a source: { addedAt, ...fields }
+    addSource(name, fields = {}) {
+      sources = { ...sources, [name]: { addedAt: now().toISOString(), ...fields } };
+      changed();
+    },
+
+    // Start tracking sources with these as the known ones, for files written
+    // before sources were tracked
+    adoptSources(names) {
+      const addedAt = now().toISOString();
+      sources = { ...sources, ...Object.fromEntries(names.map((name) => [name, { addedAt, adopted: true }])) };
+      changed();
+    },
+
+    // Source name -> { addedAt, ... }, null for files written before sources
+    // were tracked
+    sources() {
+      return sources === null ? null : { ...sources };
+    },
+
+    get size() {
+      return records.size;
+    },
+
+    keys() {
+      return [...records.keys()];
+    },
+
+    entries() {
+      return [...records.entries()];
+    },
+
+    // The state in one of the old layouts (or the full records with 'records')
+    export(format = legacyFormat) {
+      if (format === 'records') {
+        return Object.fromEntries(records);
+      }
+      const exportCodec = typeof format === 'string' ? formats[format] : format;
+      if (!exportCodec) {
+        throw new Error(`Unknown state format: ${format}`);
+      }
+      return exportCodec.encode(records);
+    },
+  };
+}
+
+module.exports = { createStateStore, formats, writeFileAtomic, STATE_FORMAT, STATE_VERSION };
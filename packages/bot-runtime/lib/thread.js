@@ -0,0 +1,107 @@
+const { countGraphemes, countBytes, shortenText, MAX_GRAPHEMES, MAX_BYTES } = require('./composer');
+
+// Helpers for threads: texts with links on words instead of bare URLs, split
+// over as many posts as needed. The formatter returns the first post as
+// { text, facets } and the others as `replies`, createBot() posts them as a
+// thread (see bot.js).
+//
+//   const [first, ...rest] = splitIntoPosts(
+//     items.map((item) => ['• ', { text: item.title, link: item.url }]),
+//     { header: ['New this week:'], continued: ['New this week (continued):'] },
+//   );
+//   return { ...first, replies: rest };
+
+// The https://bsky.app URL of a post, null for anything but an at:// post URI
+function postUrl(uri) {
+  const match = /^at:\/\/([^/]+)\/app\.bsky\.feed\.post\/([^/]+)$/.exec(uri || '');
+  return match ? `https://bsky.app/profile/${match[1]}/post/${match[2]}` : null;
+}
+
+const segmentOf = (segment) => (typeof segment === 'string' ? { text: segment } : segment);
+
+// { text, facets } of a list of segments, strings or { text, link }. The text
+// of a segment with a link becomes a link facet.
+function linkText(segments) {
+  let text = '';
+  const facets = [];
+  for (const { text: part, link } of segments.map(segmentOf)) {
+    if (link && part) {
+      const byteStart = countBytes(text);
+      facets.push({
+        index: { byteStart, byteEnd: byteStart + countBytes(part) },
+        features: [{ $type: 'app.bsky.richtext.facet#link', uri: link }],
+      });
+    }
+    text += part;
+  }
+  return { text, facets };
+}
+
+// Split lines (lists of segments) into posts, one line after the other,
+// separated by newlines. Every post starts with `header` (the first one) or
+// `continued` (all others). A line that does not even fit into a post of its
+// own has its longest segment shortened. Returns [{ text, facets }].
+function splitIntoPosts(lines, {
+  header = [],
+  continued = header,
+  maxGraphemes = MAX_GRAPHEMES,
+  maxBytes = MAX_BYTES,
+} = {}) {
+  const fits = (segments) => {
+    const { text } = linkText(segments);
+    return countGraphemes(text) <= maxGraphemes && countBytes(text) <= maxBytes;
+  };
+
+  // The line, shortened to fit after the prefix where needed
+  const fitLine = (prefix, line) => {
+    const segments = line.map(segmentOf);
+    if (fits([...prefix, ...segments])) {
+      return segments;
+    }
+    const longest = segments.reduce((best, segment, index) => (
+      countGraphemes(segment.text) > countGraphemes(segments[best].text) ? index : best
+    ), 0);
+    const withText = (count) => segments.map((segment, index) => (
+      index === longest ? { ...segment, text: shortenText(segment.text, count) } : segment
+    ));
+    let low = 0;
+    let high = countGraphemes(segments[longest].text);
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (fits([...prefix, ...withText(middle)])) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return withText(low);
+  };
+
+  const posts = [];
+  let current = null;
+  const open = () => {
+    const start = [...(posts.length === 0 ? header : continued)];
+    return start.length > 0 ? [...start, '\n'] : start;
+  };
+
+  for (const line of lines) {
+    if (current) {
+      const candidate = [...current, '\n', ...line];
+      if (fits(candidate)) {
+        current = candidate;
+        continue;
+      }
+      posts.push(current);
+    }
+    const start = open();
+    current = [...start, ...fitLine(start, line)];
+  }
+  if (current) {
+    posts.push(current);
+  } else if (header.length > 0) {
+    posts.push(header);
+  }
+  return posts.map(linkText);
+}
+
+module.exports = { splitIntoPosts, linkText, postUrl };
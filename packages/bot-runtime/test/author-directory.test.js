@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BskyAgent } = require('@atproto/api');
+const { createAuthorDirectory } = require('../lib/author-directory');
+const { buildRichText } = require('../lib/rich-text');
+const { createMockPds, DEFAULT_ACCOUNT } = require('../lib/mock-pds');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Author directory', () => {
+  let dir;
+  let file;
+  let pds;
+  let handles;
+  let agent;
+  let time;
+
+  const write = (authors) => fs.writeFileSync(file, JSON.stringify({ authors }));
+  const read = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+  const create = (options = {}) => createAuthorDirectory({
+    file,
+    agent,
+    log: silentLog,
+    now: () => new Date(time),
+    keyword: '!scn',
+    nameLabel: 'SAP Community username',
+    ...options,
+  }).load();
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-authors-'));
+    file = path.join(dir, 'authors.json');
+    time = Date.parse('2024-05-01T10:00:00Z');
+    handles = { 'jane.test': 'did:plc:jane', 'max.test': 'did:plc:max' };
+    pds = createMockPds({
+      handles,
+      profiles: [{ did: 'did:plc:jane', handle: 'jane.test' }, { did: 'did:plc:max', handle: 'max.test' }],
+    });
+    const url = await pds.start();
+    agent = new BskyAgent({ service: url });
+    await agent.login({ identifier: DEFAULT_ACCOUNT.identifier, password: DEFAULT_ACCOUNT.password });
+  });
+
+  afterEach(async () => {
+    await pds.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Verifies handles and remembers the DID', async () => {
+    write({ 'Jane Doe': { handle: '@Jane.test' } });
+    const directory = create();
+
+    expect(await directory.lookup('jane  doe')).toEqual({ handle: 'jane.test', did: 'did:plc:jane' });
+    expect(read().authors['Jane Doe']).toMatchObject({ did: 'did:plc:jane', status: 'ok', verifiedAt: '2024-05-01T10:00:00.000Z' });
+    expect(await directory.lookup('Unknown Author')).toBeNull();
+    expect(await directory.lookup(undefined)).toBeNull();
+
+    // Checked again only after the verify interval
+    await directory.lookup('Jane Doe');
+    expect(pds.requestsFor('com.atproto.identity.resolveHandle')).toHaveLength(1);
+    time += 8 * DAY;
+    await directory.lookup('Jane Doe');
+    expect(pds.requestsFor('com.atproto.identity.resolveHandle')).toHaveLength(2);
+  });
+
+  test('Falls back to plain text for invalid and moved handles', async () => {
+    write({
+      Gone: { handle: 'gone.test' },
+      Moved: { handle: 'max.test', did: 'did:plc:someone-else' },
+      Pending: { handle: 'jane.test', approved: false },
+    });
+    const directory = create();
+
+    expect(await directory.lookup('Gone')).toBeNull();
+    expect(await directory.lookup('Moved')).toBeNull();
+    expect(await directory.lookup('Pending')).toBeNull();
+    expect(read().authors.Gone).toMatchObject({ status: 'invalid', error: 'Unable to resolve handle' });
+    expect(read().authors.Moved).toMatchObject({ status: 'mismatch', did: 'did:plc:someone-else' });
+
+    // A handle that resolves again is mentioned after the next check
+    handles['gone.test'] = 'did:plc:gone';
+    time += 8 * DAY;
+    expect(await directory.lookup('Gone')).toEqual({ handle: 'gone.test', did: 'did:plc:gone' });
+  });
+
+  test('Does not give up on a handle when the PDS is unavailable', async () => {
+    write({ 'Jane Doe': { handle: 'jane.test' } });
+    const directory = create();
+    pds.failNext('com.atproto.identity.resolveHandle', { status: 502, error: 'UpstreamFailure' });
+
+    expect(await directory.lookup('Jane Doe')).toBeNull();
+    expect(read().authors['Jane Doe'].status).toBeUndefined();
+    expect(await directory.lookup('Jane Doe')).toEqual({ handle: 'jane.test', did: 'did:plc:jane' });
+  });
+
+  test('Picks up changes to the file', async () => {
+    write({});
+    const directory = create();
+    expect(await directory.lookup('Jane Doe')).toBeNull();
+
+    write({ 'Jane Doe': { handle: 'jane.test' } });
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+    directory.load();
+    expect(await directory.lookup('Jane Doe')).toEqual({ handle: 'jane.test', did: 'did:plc:jane' });
+  });
+
+  test('Mentions become mention facets', async () => {
+    const rt = await buildRichText(agent, '👤 Post by Jane Doe (@jane.test):');
+    expect(rt.facets[0].features[0]).toEqual({ $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:jane' });
+  });
+
+  describe('Sign-ups by direct message', () => {
+    test('Adds authors that still need approval', async () => {
+      const directory = create();
+      pds.receiveMessage('did:plc:jane', 'Hi there');
+      pds.receiveMessage('did:plc:jane', '!SCN Jane Doe');
+
+      expect(await directory.processSignups()).toBe(1);
+      expect(read().authors['Jane Doe']).toEqual({
+        handle: 'jane.test',
+        did: 'did:plc:jane',
+        source: 'dm',
+        approved: false,
+        addedAt: '2024-05-01T10:00:00.000Z',
+      });
+      expect(await directory.lookup('Jane Doe')).toBeNull();
+      expect(pds.messages.at(-1)).toMatchObject({
+        sender: { did: DEFAULT_ACCOUNT.did },
+        text: 'Thanks! Posts by Jane Doe will mention you once a maintainer has confirmed the sign-up.',
+      });
+      expect(pds.requestsFor('chat.bsky.convo.listConvos')[0].headers['atproto-proxy']).toBe('did:web:api.bsky.chat#bsky_chat');
+
+      // Messages are handled once
+      expect(await directory.processSignups()).toBe(0);
+      expect(pds.messages).toHaveLength(3);
+    });
+
+    test('Approves sign-ups right away with autoApprove and handles stop', async () => {
+      write({ 'Max Mustermann': { handle: 'max.test' } });
+      const directory = create({ autoApprove: true });
+      pds.receiveMessage('did:plc:max', '!scn max mustermann');
+      await directory.processSignups();
+
+      expect(Object.keys(read().authors)).toEqual(['Max Mustermann']);
+      expect(await directory.lookup('Max Mustermann')).toEqual({ handle: 'max.test', did: 'did:plc:max' });
+
+      pds.receiveMessage('did:plc:max', '!scn stop');
+      await directory.processSignups();
+      expect(read().authors).toEqual({});
+      expect(pds.messages.at(-1).text).toContain('You have been removed');
+    });
+
+    test('Keeps a name that belongs to another account and records the claim', async () => {
+      write({ 'Max Mustermann': { handle: 'max.test' } });
+      const directory = create({ autoApprove: true });
+      pds.receiveMessage('did:plc:jane', '!scn Max Mustermann');
+      await directory.processSignups();
+
+      expect(read().authors).toEqual({ 'Max Mustermann': { handle: 'max.test' } });
+      expect(read().claims).toEqual({
+        'did:plc:jane': { name: 'Max Mustermann', handle: 'jane.test', addedAt: '2024-05-01T10:00:00.000Z' },
+      });
+      expect(pds.messages.at(-1).text).toBe('Max Mustermann is already linked to another account. A maintainer will look into it.');
+      expect(await directory.lookup('Max Mustermann')).toEqual({ handle: 'max.test', did: 'did:plc:max' });
+
+      // Verified entries are matched by DID, the claim goes away with stop
+      pds.receiveMessage('did:plc:jane', '!scn max mustermann');
+      await directory.processSignups();
+      expect(read().authors['Max Mustermann'].did).toBe('did:plc:max');
+      pds.receiveMessage('did:plc:jane', '!scn stop');
+      await directory.processSignups();
+      expect(read().claims).toEqual({});
+    });
+
+    test('Keeps an approved entry approved when its author signs up again', async () => {
+      write({ 'Max Mustermann': { handle: 'max.test', did: 'did:plc:max' } });
+      const directory = create();
+      pds.receiveMessage('did:plc:max', '!scn Max Mustermann');
+      await directory.processSignups();
+
+      expect(read().authors['Max Mustermann']).toMatchObject({ did: 'did:plc:max', source: 'dm', approved: true });
+      expect(pds.messages.at(-1).text).toBe('Thanks! Posts by Max Mustermann will mention you from now on.');
+    });
+
+    test('Explains the keyword', async () => {
+      const directory = create();
+      pds.receiveMessage('did:plc:jane', '!scn');
+      await directory.processSignups();
+      expect(pds.messages.at(-1).text).toBe('Send "!scn <your SAP Community username>" to be mentioned in posts, or "!scn stop" to be removed.');
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('../lib/bot');
+const { createStateStore } = require('../lib/state');
+const { createLogger } = require('../lib/log');
+const { createMemoryPublisher } = require('../lib/publishers');
+const { parseArgs } = require('../lib/bot');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+function createFakeAgent() {
+  const posts = [];
+  return {
+    posts,
+    login: jest.fn(async () => ({})),
+    post: jest.fn(async (record) => {
+      posts.push(record);
+      return { uri: `at://did:plc:test/app.bsky.feed.post/${posts.length}` };
+    }),
+  };
+}
+
+describe('Bot runtime', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-runtime-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const setup = (sources, format, agent = createFakeAgent()) => {
+    const state = createStateStore({ file: path.join(dir, 'posted.json') }).load();
+    const bot = createBot({
+      name: 'test',
+      sources,
+      format,
+      state,
+      agent,
+      rateLimitInterval: 0,
+      log: silentLog,
+    });
+    return { bot, agent, state };
+  };
+
+  test('Posts new items once and stores their URI', async () => {
+    const source = { name: 'static', fetch: async () => [{ id: 'a', title: 'First' }, { id: 'b', title: 'Second' }] };
+    const { bot, agent, state } = setup([source], (item) => ({ text: item.title }));
+
+    await bot.check();
+    await bot.check();
+
+    expect(agent.posts.map((post) => post.text)).toEqual(['First', 'Second']);
+    expect(state.get('b').uri).toBe('at://did:plc:test/app.bsky.feed.post/2');
+  });
+
+  test('Accepts async iterables as source results', async () => {
+    const source = {
+      name: 'generator',
+      fetch: async function* () {
+        yield { id: 'x' };
+      },
+    };
+    const { bot, agent } = setup([source], () => ({ text: 'hello', embed: { $type: 'app.bsky.embed.external' } }));
+
+    await bot.check();
+
+    expect(agent.posts).toHaveLength(1);
+    expect(agent.posts[0].embed).toEqual({ $type: 'app.bsky.embed.external' });
+  });
+
+  test('Continues with the next item when a post fails', async () => {
+    const agent = createFakeAgent();
+    agent.post.mockRejectedValueOnce(new Error('boom'));
+    const source = { name: 'static', fetch: async () => [{ id: 'a' }, { id: 'b' }] };
+    const { bot, state } = setup([source], (item) => ({ text: item.id }), agent);
+
+    await bot.check();
+
+    expect(state.has('a')).toBe(false);
+    expect(state.has('b')).toBe(true);
+  });
+
+  test('A failing source does not stop the other sources', async () => {
+    const broken = { name: 'broken', fetch: async () => { throw new Error('offline'); } };
+    const working = { name: 'working', fetch: async () => [{ id: 'a' }] };
+    const { bot, agent } = setup([broken, working], () => ({ text: 'ok' }));
+
+    await bot.check();
+
+    expect(agent.posts).toHaveLength(1);
+  });
+
+  test('Truncates posts longer than 300 graphemes', async () => {
+    const source = { name: 'static', fetch: async () => [{ id: 'a' }] };
+    const { bot, agent } = setup([source], () => ({ text: '👍🏽'.repeat(400) }));
+
+    await bot.check();
+
+    const segments = [...new Intl.Segmenter().segment(agent.posts[0].text)];
+    expect(segments).toHaveLength(300);
+    expect(agent.posts[0].text.endsWith('…')).toBe(true);
+  });
+
+  describe('Seeding', () => {
+    const file = () => path.join(dir, 'posted.json');
+
+    const setupSeeding = (sources, { seed = { auto: true }, argv = [] } = {}) => {
+      const state = createStateStore({ file: file() }).load();
+      const publisher = createMemoryPublisher();
+      const bot = createBot({
+        name: 'test',
+        sources: () => sources,
+        format: (item) => ({ text: item.id }),
+        state,
+        publisher,
+        seed,
+        argv,
+        rateLimitInterval: 0,
+        linkCards: null,
+        handleSignals: false,
+        log: silentLog,
+      });
+      return { bot, state, publisher };
+    };
+
+    const source = (name, items) => ({ name, fetch: async () => items });
+
+    test('Marks the backlog of new sources as seen instead of posting it', async () => {
+      const first = [{ id: 'a' }, { id: 'b' }];
+      const sources = [source('one', first)];
+      const { bot, state, publisher } = setupSeeding(sources);
+
+      await bot.check();
+      expect(publisher.posts).toHaveLength(0);
+      expect(state.get('a')).toMatchObject({ seeded: true });
+      expect(state.sources()).toEqual({ one: expect.objectContaining({ seeded: 2 }) });
+
+      first.push({ id: 'c' });
+      sources.push(source('two', [{ id: 'd' }]));
+      await bot.check();
+      expect(publisher.posts.map((post) => post.text)).toEqual(['c']);
+      expect(state.get('d')).toMatchObject({ seeded: true });
+      expect(Object.keys(state.sources())).toEqual(['one', 'two']);
+    });
+
+    test('Posts items published after the cutoff', async () => {
+      const items = [
+        { id: 'old', published: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString() },
+        { id: 'undated' },
+        { id: 'recent', published: new Date(Date.now() - 60 * 60 * 1000).toISOString() },
+      ];
+      const { bot, state, publisher } = setupSeeding([source('one', items)], { seed: { auto: true, since: 24 * 60 * 60 * 1000 } });
+
+      await bot.check();
+      expect(publisher.posts.map((post) => post.text)).toEqual(['recent']);
+      expect(state.get('old')).toMatchObject({ seeded: true });
+      expect(state.get('undated')).toMatchObject({ seeded: true });
+    });
+
+    test('Keeps the sources of state files written before sources were tracked', async () => {
+      fs.writeFileSync(file(), JSON.stringify({ a: 'at://a' }));
+      const { bot, state, publisher } = setupSeeding([source('one', [{ id: 'a' }, { id: 'b' }])]);
+
+      await bot.check();
+      expect(publisher.posts.map((post) => post.text)).toEqual(['b']);
+      expect(state.sources()).toEqual({ one: expect.objectContaining({ adopted: true }) });
+    });
+
+    test('Does not seed when turned off', async () => {
+      const { bot, publisher } = setupSeeding([source('one', [{ id: 'a' }])], { seed: { auto: false } });
+
+      await bot.check();
+      expect(publisher.posts).toHaveLength(1);
+    });
+
+    test('Seeds the given sources with --seed and exits', async () => {
+      const items = [{ id: 'a', published: '2024-04-01T00:00:00Z' }, { id: 'b', published: '2024-06-01T00:00:00Z' }];
+      fs.writeFileSync(file(), JSON.stringify({}));
+      const { bot, state, publisher } = setupSeeding([source('one', items), source('two', [{ id: 'c' }])], {
+        seed: { auto: false },
+        argv: ['--seed', '--since=2024-05-01', '--source=one'],
+      });
+
+      try {
+        expect(await bot.start()).toBeNull();
+        expect(process.exitCode).toBe(0);
+      } finally {
+        process.exitCode = undefined;
+      }
+      expect(publisher.posts.map((post) => post.text)).toEqual(['b', 'c']);
+      expect(state.get('a')).toMatchObject({ seeded: true });
+      expect(state.sources()).toEqual({
+        one: expect.objectContaining({ seeded: 1 }),
+        two: expect.objectContaining({ adopted: true }),
+      });
+    });
+
+    test('Parses the command line', () => {
+      expect(parseArgs([])).toEqual({ seed: false, since: null, sources: [] });
+      const options = parseArgs(['--seed', '--since=2024-05-01', '--source=r/SAP', '--source=https://a/?b=c']);
+      expect(options).toEqual({ seed: true, since: new Date('2024-05-01'), sources: ['r/SAP', 'https://a/?b=c'] });
+      jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00.000Z') });
+      try {
+        expect(parseArgs(['--since=7d']).since).toEqual(new Date('2026-10-12T12:00:00.000Z'));
+      } finally {
+        jest.useRealTimers();
+      }
+      expect(() => parseArgs(['--since=someday'])).toThrow('Invalid --since: someday');
+    });
+  });
+});
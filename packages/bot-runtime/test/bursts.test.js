@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('../lib/bot');
+const { createBurstBuffer } = require('../lib/bursts');
+const { createStateStore } = require('../lib/state');
+const { createMemoryPublisher, createDryRunPublisher } = require('../lib/publishers');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+const MINUTE = 60 * 1000;
+
+describe('Bursts', () => {
+  let dir;
+  let clock;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-bursts-'));
+    clock = new Date('2025-01-01T10:00:00.000Z');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const release = (name, minutesAgo = 0) => ({
+    id: `${name}@1.0.0`,
+    name,
+    published: new Date(clock.getTime() - minutesAgo * MINUTE).toISOString(),
+  });
+
+  // Items are grouped by their scope, unscoped ones are posted right away
+  const createTestBot = ({ items, publisher = createMemoryPublisher(), failing = [], ...options }) => {
+    const feed = { items };
+    const publish = publisher.publish;
+    publisher.publish = async (record) => {
+      if (failing.some((text) => record.text.startsWith(text))) {
+        throw new Error('rate limited');
+      }
+      return publish(record);
+    };
+    const bot = createBot({
+      name: 'test',
+      sources: [{ name: 'npm', fetch: async () => feed.items }],
+      format: (item) => (item.burst
+        ? { text: `Burst ${item.burst.key}: ${item.burst.items.map((member) => member.name).join(', ')}` }
+        : { text: `Single ${item.name}` }),
+      state: createStateStore({ file: path.join(dir, 'posted.json') }).load(),
+      publisher,
+      linkCards: null,
+      rateLimitInterval: 0,
+      handleSignals: false,
+      bursts: {
+        key: (item) => (item.name.startsWith('@') ? item.name.split('/')[0] : null),
+        window: 10 * MINUTE,
+        minSize: 3,
+        label: (key, members) => `${members.length} releases of ${key}`,
+      },
+      burstBuffer: createBurstBuffer({ file: publisher.persistState ? path.join(dir, 'bursts.json') : null, now: () => clock }).load(),
+      log: silentLog,
+      ...options,
+    });
+    return { bot, feed, publisher };
+  };
+
+  test('Groups items and starts the window with the earliest publish time', () => {
+    const buffer = createBurstBuffer({ file: path.join(dir, 'bursts.json'), now: () => clock }).load();
+    buffer.add('@sap-ux', release('@sap-ux/a', 2), 'npm');
+    buffer.add('@sap-ux', release('@sap-ux/b', 5), 'npm');
+    buffer.add('@cap-js', { id: 'no-date' }, 'npm');
+
+    expect(buffer.has('@sap-ux/b@1.0.0')).toBe(true);
+    expect(buffer.due(10 * MINUTE)).toEqual([]);
+    clock = new Date(clock.getTime() + 5 * MINUTE);
+    expect(buffer.due(10 * MINUTE).map((group) => group.key)).toEqual(['@sap-ux']);
+
+    const reloaded = createBurstBuffer({ file: path.join(dir, 'bursts.json'), now: () => clock }).load();
+    expect(reloaded.groups()).toEqual([
+      expect.objectContaining({ key: '@sap-ux', source: 'npm', since: '2025-01-01T09:55:00.000Z' }),
+      expect.objectContaining({ key: '@cap-js', since: '2025-01-01T10:00:00.000Z' }),
+    ]);
+    reloaded.remove('@sap-ux');
+    expect(reloaded.has('@sap-ux/b@1.0.0')).toBe(false);
+  });
+
+  test('Posts a burst as one post once its window is over', async () => {
+    const { bot, feed, publisher } = createTestBot({
+      items: [release('@sap-ux/a'), release('@sap-ux/b'), release('lodash')],
+    });
+    await bot.check();
+    expect(publisher.posts.map((post) => post.text)).toEqual(['Single lodash']);
+
+    // Found again on the next check, but held back already
+    feed.items.push(release('@sap-ux/c'));
+    clock = new Date(clock.getTime() + 5 * MINUTE);
+    await bot.check();
+    expect(publisher.posts).toHaveLength(1);
+
+    clock = new Date(clock.getTime() + 5 * MINUTE);
+    await bot.check();
+    expect(publisher.posts.map((post) => post.text)).toEqual(['Single lodash', 'Burst @sap-ux: @sap-ux/a, @sap-ux/b, @sap-ux/c']);
+    const burstId = 'burst:@sap-ux:@sap-ux/a@1.0.0';
+    expect(bot.state.get(burstId)).toMatchObject({ label: '3 releases of @sap-ux', source: 'npm' });
+    expect(bot.state.get('@sap-ux/c@1.0.0')).toMatchObject({ burst: burstId });
+    expect(bot.state.get('@sap-ux/c@1.0.0').uri).toBeUndefined();
+    expect(bot.burstBuffer.groups()).toEqual([]);
+
+    await bot.check();
+    expect(publisher.posts).toHaveLength(2);
+  });
+
+  test('Posts the items of a small group on their own', async () => {
+    const { bot, publisher } = createTestBot({ items: [release('@cap-js/a', 20), release('@cap-js/b', 15)] });
+    await bot.check();
+
+    expect(publisher.posts.map((post) => post.text)).toEqual(['Single @cap-js/a', 'Single @cap-js/b']);
+  });
+
+  test('Keeps a burst that could not be posted for the next check', async () => {
+    const { bot, publisher } = createTestBot({
+      items: [release('@sap-ux/a', 20), release('@sap-ux/b', 20), release('@sap-ux/c', 20)],
+      failing: ['Burst'],
+    });
+    await bot.check();
+    expect(publisher.posts).toEqual([]);
+    expect(bot.burstBuffer.groups()[0].items).toHaveLength(3);
+  });
+
+  test('Dry-run holds the burst back in memory only', async () => {
+    const outFile = path.join(dir, 'preview.jsonl');
+    const { bot } = createTestBot({
+      items: [release('@sap-ux/a'), release('@sap-ux/b'), release('@sap-ux/c')],
+      publisher: createDryRunPublisher({ file: outFile }),
+    });
+    await bot.check();
+    expect(fs.existsSync(outFile)).toBe(false);
+
+    clock = new Date(clock.getTime() + 10 * MINUTE);
+    await bot.check();
+    await bot.check();
+    const lines = fs.readFileSync(outFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines.map((line) => line.text)).toEqual(['Burst @sap-ux: @sap-ux/a, @sap-ux/b, @sap-ux/c']);
+    expect(fs.existsSync(path.join(dir, 'bursts.json'))).toBe(false);
+    expect(fs.existsSync(path.join(dir, 'posted.json'))).toBe(false);
+  });
+});
@@ -0,0 +1,105 @@
+const { createComposer, shortenText, countGraphemes, countBytes, ComposeError } = require('../lib/composer');
+const { buildRichText } = require('../lib/rich-text');
+
+const LINK = 'https://community.sap.com/t5/technology-blogs-by-sap/a-very-long-blog-post-slug/ba-p/13563181';
+
+const composer = createComposer({
+  post: { text: '👤 Post by {author}:\n"{title}"\n🔗 Link: {link}', shorten: ['title'] },
+  card: { text: '📝 {title}\n{description}', shorten: ['description', 'title'] },
+  fixed: '📦 {name} {version}',
+});
+
+describe('Composer', () => {
+  test('Counts graphemes and bytes', () => {
+    expect(countGraphemes('👨‍👩‍👧‍👦🇩🇪é')).toBe(3);
+    expect(countBytes('👨‍👩‍👧‍👦')).toBe(25);
+    expect(countGraphemes('日本語')).toBe(3);
+    expect(countBytes('日本語')).toBe(9);
+  });
+
+  test('Leaves posts that fit alone', () => {
+    expect(composer.compose('post', { author: 'Jane', title: 'Short title', link: LINK }))
+      .toBe(`👤 Post by Jane:\n"Short title"\n🔗 Link: ${LINK}`);
+    expect(composer.compose('fixed', { name: 'ui5', version: 1 })).toBe('📦 ui5 1');
+    expect(composer.render('fixed', { name: 'ui5' })).toBe('📦 ui5 ');
+  });
+
+  test('Shortens long titles at a word boundary and keeps the link', () => {
+    const title = 'How to build a full stack CAP application with SAP Fiori elements and deploy it to SAP BTP '.repeat(5);
+    const text = composer.compose('post', { author: 'Jane', title, link: LINK });
+
+    expect(countGraphemes(text)).toBeLessThanOrEqual(300);
+    expect(countGraphemes(text)).toBeGreaterThan(290);
+    expect(text.endsWith(`…"\n🔗 Link: ${LINK}`)).toBe(true);
+    const cutTitle = text.split('\n')[1].slice(1, -2);
+    expect(title.startsWith(cutTitle)).toBe(true);
+    expect(title[cutTitle.length]).toBe(' ');
+  });
+
+  test('Never splits emoji', () => {
+    const title = '🧑🏽‍💻👩‍👩‍👧'.repeat(200);
+    const text = composer.compose('post', { author: 'Jane', title, link: LINK });
+
+    expect(countGraphemes(text)).toBeLessThanOrEqual(300);
+    expect(countBytes(text)).toBeLessThanOrEqual(3000);
+    const cutTitle = text.split('\n')[1].slice(1, -2);
+    expect(cutTitle.length % '🧑🏽‍💻👩‍👩‍👧'.length).toBe(0);
+    expect(text).not.toMatch(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])/);
+  });
+
+  test('Stays under the byte limit with multi-byte text', () => {
+    // Family emoji are 25 bytes each: 300 of them would be 7500 bytes
+    const title = '👨‍👩‍👧‍👦'.repeat(300);
+    const text = composer.compose('post', { author: 'Jane', title, link: LINK });
+
+    expect(countBytes(text)).toBeLessThanOrEqual(3000);
+    expect(countBytes(text)).toBeGreaterThan(2900);
+    expect(text.endsWith(LINK)).toBe(true);
+  });
+
+  test('Shortens CJK text at a word boundary', () => {
+    const title = '私はSAPのブログを書きました。'.repeat(30);
+    const text = composer.compose('post', { author: '山田', title, link: LINK });
+
+    expect(countGraphemes(text)).toBeLessThanOrEqual(300);
+    const cutTitle = text.split('\n')[1].slice(1, -2);
+    expect(title.startsWith(cutTitle)).toBe(true);
+    expect(cutTitle.length).toBeGreaterThan(150);
+  });
+
+  test('Shortens the fields in the given order', () => {
+    const description = 'word '.repeat(100);
+    const short = composer.compose('card', { title: 'Title', description });
+    expect(short.startsWith('📝 Title\nword word')).toBe(true);
+    expect(short.endsWith('word…')).toBe(true);
+    expect(countGraphemes(short)).toBeLessThanOrEqual(300);
+
+    const long = composer.compose('card', { title: 'title '.repeat(100), description });
+    expect(long.startsWith('📝 title title')).toBe(true);
+    expect(long.endsWith('\n')).toBe(true);
+    expect(countGraphemes(long)).toBeLessThanOrEqual(300);
+  });
+
+  test('Throws when the fixed parts do not fit', () => {
+    const link = `https://example.com/${'a'.repeat(300)}`;
+    expect(() => composer.compose('post', { author: 'Jane', title: 'Title', link })).toThrow(ComposeError);
+    expect(() => composer.compose('fixed', { name: 'x'.repeat(400) })).toThrow('Cannot compose the "fixed" post');
+    expect(() => composer.compose('missing')).toThrow('Unknown template: missing');
+  });
+
+  test('Shortens single texts', () => {
+    expect(shortenText('A short text', 300)).toBe('A short text');
+    expect(shortenText('The quick brown fox jumps over the lazy dog', 20)).toBe('The quick brown fox…');
+    expect(shortenText('Supercalifragilisticexpialidocious', 10)).toBe('Supercali…');
+    expect(shortenText(undefined, 10)).toBe('');
+  });
+
+  test('Link facets of composed posts stay intact', async () => {
+    const title = 'Ünïcödé 🚀 title '.repeat(40);
+    const rt = await buildRichText({}, composer.compose('post', { author: 'Jane', title, link: LINK }));
+
+    const [facet] = rt.facets;
+    expect(facet.features[0].uri).toBe(LINK);
+    expect(Buffer.from(rt.text).subarray(facet.index.byteStart, facet.index.byteEnd).toString()).toBe(LINK);
+  });
+});
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('../lib/bot');
+const { createConfig, loadConfig, botConfigSchema, parseDuration, ConfigError } = require('../lib/config');
+const { createLogger } = require('../lib/log');
+const { createMemoryPublisher } = require('../lib/publishers');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+const schema = botConfigSchema({
+  feeds: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', format: 'uri' },
+    env: 'RSS_FEED_URLS',
+  },
+  versions: {
+    type: 'array',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type', 'rssUrl'],
+      properties: {
+        type: { type: 'string', enum: ['SAPUI5', 'OpenUI5'] },
+        rssUrl: { type: 'string', format: 'uri' },
+      },
+    },
+    default: [],
+    env: 'UI5_VERSIONS',
+  },
+  maxPosts: { type: 'integer', minimum: 1, default: 10, env: 'MAX_POSTS' },
+}, { required: ['feeds'] });
+
+describe('Config', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  test('Parses durations', () => {
+    expect(parseDuration('30s')).toBe(30000);
+    expect(parseDuration('1.5h')).toBe(5400000);
+    expect(parseDuration(250)).toBe(250);
+    expect(parseDuration('soon')).toBeNaN();
+  });
+
+  test('Reads YAML and applies defaults', () => {
+    const file = write('config.yaml', [
+      'checkInterval: 5m',
+      'feeds:',
+      '  - https://example.com/rss',
+    ].join('\n'));
+
+    expect(loadConfig({ file, schema, env: {} })).toEqual({
+      checkInterval: 300000,
+      jitter: 0,
+      rateLimitInterval: 1000,
+      seed: { auto: true },
+      reconcile: { window: 0, delete: false },
+      feeds: ['https://example.com/rss'],
+      versions: [],
+      maxPosts: 10,
+    });
+  });
+
+  test('Reads JSON', () => {
+    const file = write('config.json', JSON.stringify({ feeds: ['https://example.com/rss'], maxPosts: 3 }));
+    expect(loadConfig({ file, schema, env: {} }).maxPosts).toBe(3);
+  });
+
+  test('Lists every problem with its path', () => {
+    const file = write('config.yaml', [
+      'checkInterval: often',
+      'feedz: []',
+      'versions:',
+      '  - type: SAPUI6',
+      '    rssUrl: not a url',
+      '  - {}',
+    ].join('\n'));
+
+    let error;
+    try {
+      loadConfig({ file, schema, env: {} });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      'feedz: unknown setting (expected one of checkInterval, schedule, jitter, rateLimitInterval, seed, reconcile, feeds, versions, maxPosts)',
+      'checkInterval: must be a duration like 30s, 5m or 1h (or milliseconds), got "often"',
+      'feeds: is required',
+      'versions[0].type: must be one of SAPUI5, OpenUI5, got "SAPUI6"',
+      'versions[0].rssUrl: must be an http(s) URL, got "not a url"',
+      'versions[1].type: is required',
+      'versions[1].rssUrl: is required',
+    ]);
+    expect(error.message).toContain(`Invalid configuration in ${file}:\n  - feedz: unknown setting`);
+  });
+
+  test('Checks every value of a map', () => {
+    const mapSchema = botConfigSchema({
+      tags: { type: 'object', additionalProperties: { type: 'string' }, default: {} },
+    });
+    const file = write('config.yaml', [
+      'tags:',
+      '  SAP BTP: SAPBTP',
+      '  ABAP: [ABAP]',
+    ].join('\n'));
+
+    expect(() => loadConfig({ file, schema: mapSchema, env: {} })).toThrow('tags.ABAP: must be a string, got ["ABAP"]');
+    expect(loadConfig({ file: write('ok.yaml', 'tags:\n  SAP BTP: SAPBTP'), schema: mapSchema, env: {} }).tags)
+      .toEqual({ 'SAP BTP': 'SAPBTP' });
+    expect(loadConfig({ schema: mapSchema, env: {} }).tags).toEqual({});
+  });
+
+  test('Reports files that cannot be parsed or found', () => {
+    const file = write('config.yaml', 'feeds: [unclosed');
+    expect(() => loadConfig({ file, schema, env: {} })).toThrow('cannot be parsed');
+    expect(() => loadConfig({ file: path.join(dir, 'missing.yaml'), schema, env: {} })).toThrow('file not found');
+  });
+
+  test('Overrides settings from the environment', () => {
+    const file = write('config.yaml', 'feeds: [https://example.com/rss]\n');
+    const config = loadConfig({
+      file,
+      schema,
+      env: {
+        RSS_FEED_URLS: 'https://a.example/rss, https://b.example/rss',
+        UI5_VERSIONS: '[{"type":"OpenUI5","rssUrl":"https://c.example/rss"}]',
+        CHECK_INTERVAL: '15m',
+        MAX_POSTS: '2',
+      },
+    });
+
+    expect(config.feeds).toEqual(['https://a.example/rss', 'https://b.example/rss']);
+    expect(config.versions).toEqual([{ type: 'OpenUI5', rssUrl: 'https://c.example/rss' }]);
+    expect(config.checkInterval).toBe(900000);
+    expect(config.maxPosts).toBe(2);
+  });
+
+  test('Names the variable when an override is invalid', () => {
+    const file = write('config.yaml', 'feeds: [https://example.com/rss]\n');
+    expect(() => loadConfig({ file, schema, env: { MAX_POSTS: 'many', UI5_VERSIONS: '[' } })).toThrow(
+      /versions \(from UI5_VERSIONS\): .*JSON[\s\S]*maxPosts \(from MAX_POSTS\): must be an integer/
+    );
+  });
+
+  test('Keeps the current config when a reload fails', () => {
+    const file = write('config.yaml', 'feeds: [https://example.com/rss]\n');
+    const config = createConfig({ file, schema, env: {}, log: silentLog });
+    const listener = jest.fn();
+    config.onReload(listener);
+
+    fs.writeFileSync(file, 'feeds: []\n');
+    expect(config.reload()).toBe(false);
+    expect(config.current.feeds).toEqual(['https://example.com/rss']);
+    expect(listener).not.toHaveBeenCalled();
+
+    fs.writeFileSync(file, 'feeds: [https://example.com/other]\n');
+    expect(config.reload()).toBe(true);
+    expect(config.current.feeds).toEqual(['https://example.com/other']);
+    expect(listener).toHaveBeenCalledWith(config.current, expect.objectContaining({ feeds: ['https://example.com/rss'] }));
+  });
+
+  test('Rejects schedules that do not parse or never run', () => {
+    const file = write('config.yaml', 'feeds: [https://example.com/rss]\nschedule: "61 * * * *"\n');
+    expect(() => loadConfig({ file, schema, env: {} })).toThrow(/schedule: Invalid minute in cron expression: 61/);
+    expect(() => loadConfig({ file, schema, env: { BOT_SCHEDULE: '0 0 31 2 *' } })).toThrow(
+      /schedule \(from BOT_SCHEDULE\): Cron expression never matches/
+    );
+    expect(loadConfig({ file, schema, env: { BOT_SCHEDULE: '600000' } }).schedule).toBe('600000');
+  });
+
+  test('Goes back to the current config when a listener fails to apply the new one', () => {
+    const file = write('config.yaml', 'feeds: [https://example.com/rss]\nmaxPosts: 1\n');
+    const config = createConfig({ file, schema, env: {}, log: silentLog });
+    const applied = [];
+    config.onReload((current) => applied.push(current.maxPosts));
+    config.onReload((current) => {
+      if (current.maxPosts > 2) {
+        throw new Error('too many');
+      }
+    });
+
+    fs.writeFileSync(file, 'feeds: [https://example.com/rss]\nmaxPosts: 3\n');
+    expect(config.reload()).toBe(false);
+    expect(config.current.maxPosts).toBe(1);
+    expect(applied).toEqual([3, 1]);
+  });
+
+  test('A bot follows its config after SIGHUP', async () => {
+    const file = write('config.yaml', 'checkInterval: 1h\nfeeds: [https://example.com/a]\n');
+    const config = createConfig({ file, schema, env: {}, log: silentLog });
+    const fetched = [];
+    const bot = createBot({
+      name: 'test',
+      config,
+      sources: () => config.current.feeds.map((feed) => ({
+        name: feed,
+        fetch: async () => {
+          fetched.push(feed);
+          return [];
+        },
+      })),
+      format: () => ({ text: '' }),
+      state: { load() { return this; }, has: () => false, prune: () => 0, tracksSources: true, hasSource: () => true },
+      publisher: createMemoryPublisher(),
+      log: silentLog,
+    });
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+    try {
+      const scheduler = await bot.start();
+      expect(scheduler.describe()).toBe('every 3600 seconds');
+
+      fs.writeFileSync(file, 'checkInterval: 30m\nfeeds: [https://example.com/b]\n');
+      process.emit('SIGHUP');
+      expect(scheduler.describe()).toBe('every 1800 seconds');
+
+      // A broken schedule keeps the bot on the current one
+      fs.writeFileSync(file, 'schedule: "0 25 * * *"\nfeeds: [https://example.com/c]\n');
+      process.emit('SIGHUP');
+      expect(scheduler.describe()).toBe('every 1800 seconds');
+      expect(config.current.feeds).toEqual(['https://example.com/b']);
+
+      await bot.runNow();
+      expect(fetched).toEqual(['https://example.com/a', 'https://example.com/b']);
+    } finally {
+      exit.mockRestore();
+      await bot.stop();
+    }
+  });
+});
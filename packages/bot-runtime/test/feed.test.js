@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFeed, stripHtml } = require('../lib/feed');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+
+describe('Feed normalizer', () => {
+  test('Reads RSS 2.0', () => {
+    const feed = parseFeed(fixture('rss2.xml'));
+
+    expect(feed).toMatchObject({ format: 'rss2', title: 'Technology Blogs by SAP' });
+    expect(feed.items).toEqual([
+      {
+        id: '1001',
+        title: 'What\'s new in SAP BTP & ABAP Cloud',
+        link: 'https://community.sap.com/t5/technology-blogs-by-sap/whats-new/ba-p/1001',
+        author: 'Jane Doe',
+        categories: ['SAP BTP', 'ABAP Cloud'],
+        published: '2024-01-02T10:30:00.000Z',
+        summary: 'Hello world',
+        image: 'https://community.sap.com/images/cover.png',
+      },
+      {
+        id: 'https://community.sap.com/t5/technology-blogs-by-sap/second/ba-p/1002',
+        title: '1.120',
+        link: 'https://community.sap.com/t5/technology-blogs-by-sap/second/ba-p/1002',
+        author: 'john@example.com (John Smith)',
+        categories: [],
+        published: null,
+        summary: 'Plain text',
+        image: 'https://cdn.example.com/thumb.jpg',
+      },
+    ]);
+  });
+
+  test('Reads RSS 1.0 (RDF)', () => {
+    const feed = parseFeed(fixture('rss1.xml'));
+
+    expect(feed).toMatchObject({ format: 'rss1', title: 'An RDF Blog' });
+    expect(feed.items).toEqual([
+      {
+        id: 'https://blogs.example.com/posts/1',
+        title: 'CAP & Fiori elements',
+        link: 'https://blogs.example.com/posts/1',
+        author: 'Max Mustermann',
+        categories: ['CAP'],
+        published: '2024-02-01T07:00:00.000Z',
+        summary: 'A post about CAP.',
+        image: null,
+      },
+    ]);
+  });
+
+  test('Reads Atom', () => {
+    const feed = parseFeed(fixture('atom.xml'));
+
+    expect(feed).toMatchObject({ format: 'atom', title: 'UI5 Podcast', link: 'https://podcast.example.com/' });
+    expect(feed.items).toEqual([
+      {
+        id: 'tag:podcast.example.com,2024:12',
+        title: 'Episode 12: UI5 2.0',
+        link: 'https://podcast.example.com/episodes/12',
+        author: 'Alice, Bob',
+        categories: ['UI5', 'podcast'],
+        published: '2024-03-01T12:00:00.000Z',
+        summary: 'We talk about UI5 2.0.',
+        image: 'https://podcast.example.com/12.jpg',
+      },
+      {
+        id: 'tag:podcast.example.com,2024:11',
+        title: 'No summary',
+        link: 'https://podcast.example.com/episodes/11',
+        author: null,
+        categories: [],
+        published: '2024-02-01T12:00:00.000Z',
+        summary: 'Show notes',
+        image: 'https://podcast.example.com/11.png',
+      },
+    ]);
+  });
+
+  test('Reads a feed with a single entry', () => {
+    const feed = parseFeed(fixture('atom-single.xml'));
+    expect(feed.items.map((item) => item.title)).toEqual(['Only entry']);
+  });
+
+  test('Reads a channel without items', () => {
+    expect(parseFeed('<rss version="2.0"><channel><title>Empty</title></channel></rss>').items).toEqual([]);
+  });
+
+  test('Rejects documents that are not feeds', () => {
+    expect(() => parseFeed('<html><body>Maintenance</body></html>')).toThrow('Not an RSS or Atom feed (root element: html)');
+  });
+
+  test('Strips HTML and decodes entities', () => {
+    expect(stripHtml('<p>A&nbsp;&amp;&#160;B&#x2019;s</p>\n<script>x()</script><br>C')).toBe('A & B’s C');
+  });
+});
@@ -0,0 +1,144 @@
+const { createBot } = require('../lib/bot');
+const { createItemFilter, filtersSchema } = require('../lib/filters');
+const { loadConfig, botConfigSchema } = require('../lib/config');
+const { createMemoryPublisher } = require('../lib/publishers');
+const { createLogger } = require('../lib/log');
+
+const createMemoryState = () => {
+  const records = new Map();
+  return {
+    records,
+    load() { return this; },
+    has: (id) => records.has(id),
+    get: (id) => records.get(id),
+    set: (id, fields) => records.set(id, fields),
+    prune: () => 0,
+  };
+};
+
+describe('Item filters', () => {
+  const filter = createItemFilter({
+    '*': {
+      denyAuthors: ['AutoModerator'],
+      minTitleLength: 5,
+    },
+    'r/SAP': {
+      allowAuthors: ['trusted'],
+      minTitleLength: 3,
+      exclude: [
+        { name: 'job-offers', title: ['hiring', 'job offer', '/\\bfreelanc/i'] },
+        { flair: ['Jobs'] },
+        { title: ['help'], body: ['urgent'] },
+      ],
+    },
+    'r/abap': {
+      include: [{ text: ['RAP', '/\\bCDS\\b/'] }, { category: ['ABAP Cloud'] }],
+      minBodyLength: 20,
+    },
+  });
+
+  const item = (fields) => ({ title: 'A title', body: 'Some text that is long enough', author: 'someone', ...fields });
+
+  test('Posts items of sources without rules', () => {
+    expect(createItemFilter({}).evaluate('r/SAP', item({}))).toBeNull();
+    expect(filter.evaluate('r/SAP', item({}))).toEqual({ action: 'post', rule: 'default', reason: 'no rule applies' });
+  });
+
+  test('Skips denied authors on every source', () => {
+    expect(filter.evaluate('r/other', item({ author: 'automoderator' })))
+      .toMatchObject({ action: 'skip', rule: '*.denyAuthors' });
+  });
+
+  test('Allowed authors bypass the other rules', () => {
+    expect(filter.evaluate('r/SAP', item({ author: 'Trusted', title: 'We are hiring' })))
+      .toMatchObject({ action: 'post', rule: 'r/SAP.allowAuthors' });
+  });
+
+  test('Matches keywords as whole words ignoring case', () => {
+    expect(filter.evaluate('r/SAP', item({ title: 'HIRING: ABAP developer' })))
+      .toEqual({ action: 'skip', rule: 'job-offers', reason: 'title matches "hiring"' });
+    expect(filter.evaluate('r/SAP', item({ title: 'New job  offer in Berlin' }))).toMatchObject({ rule: 'job-offers' });
+    expect(filter.evaluate('r/SAP', item({ title: 'Freelancers wanted' }))).toMatchObject({ rule: 'job-offers' });
+    expect(filter.evaluate('r/SAP', item({ title: 'Rehiring after the migration' }))).toMatchObject({ action: 'post' });
+  });
+
+  test('Matches flairs and categories as a whole', () => {
+    expect(filter.evaluate('r/SAP', item({ flair: 'jobs' })))
+      .toEqual({ action: 'skip', rule: 'r/SAP.exclude[1]', reason: 'flair matches "Jobs"' });
+    expect(filter.evaluate('r/SAP', item({ flair: 'Jobs and Careers' }))).toMatchObject({ action: 'post' });
+    expect(filter.evaluate('r/abap', item({ categories: ['SAP BTP', 'abap cloud'] })))
+      .toMatchObject({ action: 'post', rule: 'r/abap.include[1]' });
+  });
+
+  test('Requires every field of a rule to match', () => {
+    expect(filter.evaluate('r/SAP', item({ title: 'Help needed' }))).toMatchObject({ action: 'post' });
+    expect(filter.evaluate('r/SAP', item({ title: 'Help needed', body: 'Urgent, prod is down' })))
+      .toEqual({ action: 'skip', rule: 'r/SAP.exclude[2]', reason: 'title matches "help", body matches "urgent"' });
+  });
+
+  test('Skips items that match no include rule', () => {
+    expect(filter.evaluate('r/abap', item({ title: 'Modeling with CDS views' })))
+      .toMatchObject({ action: 'post', rule: 'r/abap.include[0]', reason: 'text matches "/\\\\bCDS\\\\b/"' });
+    expect(filter.evaluate('r/abap', item({ body: 'A question about RAP and draft handling' })))
+      .toMatchObject({ action: 'post', rule: 'r/abap.include[0]' });
+    expect(filter.evaluate('r/abap', item({ title: 'ABAP in Eclipse' })))
+      .toEqual({ action: 'skip', rule: 'r/abap.include', reason: 'no include rule matches' });
+  });
+
+  test('Checks the minimum content, the source wins over *', () => {
+    expect(filter.evaluate('r/other', item({ title: 'Hi!' })))
+      .toEqual({ action: 'skip', rule: '*.minTitleLength', reason: 'title has 3 characters, at least 5 required' });
+    expect(filter.evaluate('r/SAP', item({ title: 'Hi!' }))).toMatchObject({ action: 'post' });
+    expect(filter.evaluate('r/abap', item({ title: 'About CDS', body: '  ' })))
+      .toMatchObject({ action: 'skip', rule: 'r/abap.minBodyLength' });
+  });
+
+  test('Rejects invalid regular expressions in the config', () => {
+    const schema = botConfigSchema({ filters: filtersSchema });
+    const config = loadConfig({ schema, env: {} });
+    expect(config.filters).toEqual({});
+
+    const load = (filters) => () => loadConfig({ schema, env: { TEST_FILTERS: JSON.stringify(filters) } });
+    schema.properties.filters = { ...filtersSchema, env: 'TEST_FILTERS' };
+    expect(load({ 'r/SAP': { exclude: [{ title: ['/(unclosed/'] }] } }))
+      .toThrow('filters.r/SAP.exclude[0].title[0] (from TEST_FILTERS): Invalid regular expression');
+    expect(load({ 'r/SAP': { exclude: [{ subject: ['x'] }] } })).toThrow('subject (from TEST_FILTERS): unknown setting');
+  });
+
+  test('The bot records filtered items as skipped and logs the rule', async () => {
+    const state = createMemoryState();
+    const publisher = createMemoryPublisher();
+    const lines = [];
+    const stream = { write: (line) => lines.push(JSON.parse(line)) };
+    const log = createLogger('test', { format: 'json', stdout: stream, stderr: stream });
+    const items = [
+      { id: 'a', title: 'We are hiring' },
+      { id: 'b', title: 'Release notes' },
+    ];
+    const source = { name: 'r/SAP', fetch: jest.fn(async () => items) };
+    const bot = createBot({
+      name: 'test',
+      sources: [source],
+      format: (entry) => ({ text: entry.title }),
+      filter: (entry, { name }) => filter.evaluate(name, { title: entry.title, author: 'someone' }),
+      state,
+      publisher,
+      log,
+      linkCards: null,
+      rateLimitInterval: 0,
+      handleSignals: false,
+    });
+
+    await bot.check();
+    await bot.check();
+
+    expect(publisher.posts.map((post) => post.text)).toEqual(['Release notes']);
+    expect(state.get('a')).toEqual({ skipped: true, rule: 'job-offers' });
+    const decisions = lines.filter((line) => line.rule);
+    expect(decisions.map(({ msg, rule, reason }) => ({ msg, rule, reason }))).toEqual([
+      { msg: 'Skipping a, filtered out', rule: 'job-offers', reason: 'title matches "hiring"' },
+      { msg: 'Filters passed b', rule: 'default', reason: 'no rule applies' },
+    ]);
+    expect(bot.monitor.registry.render()).toContain('bot_items_filtered_total{bot="test",source="r/SAP",rule="job-offers"} 1');
+  });
+});
@@ -0,0 +1,66 @@
+const { mapHashtags, normalizeTag } = require('../lib/hashtags');
+const { buildRichText, MAX_GRAPHEMES } = require('../lib/rich-text');
+
+const graphemes = (text) => [...new Intl.Segmenter().segment(text)].length;
+
+describe('Hashtags', () => {
+  const mapping = {
+    'SAP BTP': 'SAPBTP',
+    'ABAP Development': 'ABAP',
+    'abap cloud': '#ABAP ABAPCloud',
+    'SAP Cloud Application Programming Model': 'CAP',
+    'Technology Updates': '',
+  };
+
+  test('Normalizes tags', () => {
+    expect(normalizeTag('#SAP BTP')).toBe('SAPBTP');
+    expect(normalizeTag('S/4HANA')).toBe('S4HANA');
+    expect(normalizeTag('Künstliche-Intelligenz')).toBe('KünstlicheIntelligenz');
+    expect(normalizeTag('2024')).toBeNull();
+    expect(normalizeTag('#')).toBeNull();
+    expect(normalizeTag('x'.repeat(65))).toBeNull();
+  });
+
+  test('Maps categories to tags without duplicates', () => {
+    expect(mapHashtags(['ABAP Development', 'ABAP  Cloud', 'sap btp', 'Other'], { mapping, maxTags: 5 }))
+      .toEqual(['ABAP', 'ABAPCloud', 'SAPBTP']);
+    expect(mapHashtags(['Technology Updates', 'SAP BTP'], { mapping })).toEqual(['SAPBTP']);
+    expect(mapHashtags([], { mapping })).toEqual([]);
+    expect(mapHashtags(undefined, { mapping })).toEqual([]);
+  });
+
+  test('Caps the number of tags', () => {
+    const categories = ['SAP BTP', 'ABAP Development', 'ABAP Cloud', 'SAP Cloud Application Programming Model'];
+    expect(mapHashtags(categories, { mapping, maxTags: 2 })).toEqual(['SAPBTP', 'ABAP']);
+    expect(mapHashtags(categories, { mapping, maxTags: 0 })).toEqual([]);
+  });
+
+  test('Turns unmapped categories into tags on request', () => {
+    expect(mapHashtags(['SAP BTP', 'SAP Fiori', 'sapfiori'], { mapping, unmapped: true }))
+      .toEqual(['SAPBTP', 'SAPFiori']);
+  });
+
+  test('Appends the tags as tag facets', async () => {
+    const rt = await buildRichText({}, 'New post: "CAP & ABAP"', { tags: ['SAPBTP', 'ABAP'] });
+
+    expect(rt.text).toBe('New post: "CAP & ABAP"\n\n#SAPBTP #ABAP');
+    expect(rt.facets.map((facet) => facet.features[0])).toEqual([
+      { $type: 'app.bsky.richtext.facet#tag', tag: 'SAPBTP' },
+      { $type: 'app.bsky.richtext.facet#tag', tag: 'ABAP' },
+    ]);
+    const bytes = Buffer.from(rt.text);
+    expect(bytes.subarray(rt.facets[0].index.byteStart, rt.facets[0].index.byteEnd).toString()).toBe('#SAPBTP');
+  });
+
+  test('Drops the tags that do not fit into the post', async () => {
+    const text = '🚀'.repeat(MAX_GRAPHEMES - 15);
+
+    const rt = await buildRichText({}, text, { tags: ['SAPBTP', 'ABAP', 'CAP'] });
+    expect(rt.text).toBe(`${text}\n\n#SAPBTP #ABAP`);
+    expect(graphemes(rt.text)).toBeLessThanOrEqual(MAX_GRAPHEMES);
+
+    const full = await buildRichText({}, 'x'.repeat(MAX_GRAPHEMES + 10), { tags: ['SAPBTP'] });
+    expect(graphemes(full.text)).toBe(MAX_GRAPHEMES);
+    expect(full.text).not.toContain('#');
+  });
+});
@@ -0,0 +1,130 @@
+const http = require('http');
+const { createHttpClient, HttpError } = require('../lib/http');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+// Serves /feed with an ETag and answers other paths from `responses`
+function createServer() {
+  const requests = [];
+  const responses = {};
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    if (req.url === '/feed') {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { etag: '"v1"', 'content-type': 'application/json' });
+      res.end('{"items":[1,2]}');
+      return;
+    }
+    const queue = responses[req.url] || [];
+    const { status = 200, headers = {}, body = '', delay = 0 } = queue.shift() || { status: 404 };
+    setTimeout(() => {
+      res.writeHead(status, headers);
+      res.end(body);
+    }, delay);
+  });
+
+  return {
+    requests,
+    responses,
+    start: () => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+describe('HTTP client', () => {
+  let server;
+  let url;
+  let sleeps;
+  let client;
+
+  beforeEach(async () => {
+    server = createServer();
+    url = await server.start();
+    sleeps = [];
+    client = createHttpClient({
+      log: silentLog,
+      timeout: 200,
+      sleep: async (ms) => sleeps.push(ms),
+    });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('Sends the ETag back and reports 304 as not modified', async () => {
+    const first = await client.get(`${url}/feed`, { source: 'feed' });
+    expect(first.notModified).toBe(false);
+    expect(first.json()).toEqual({ items: [1, 2] });
+
+    const second = await client.get(`${url}/feed`, { source: 'feed' });
+    expect(server.requests[1].headers['if-none-match']).toBe('"v1"');
+    expect(second).toMatchObject({ status: 304, notModified: true, body: null });
+    expect(() => second.json()).toThrow('not modified');
+
+    expect(client.status().feed).toMatchObject({ requests: 2, notModified: 1, failures: 0, lastStatus: 304 });
+  });
+
+  test('Returns the last body on 304 with keepBody', async () => {
+    await client.get(`${url}/feed`, { keepBody: true });
+    const second = await client.get(`${url}/feed`, { keepBody: true });
+    expect(second.notModified).toBe(true);
+    expect(second.json()).toEqual({ items: [1, 2] });
+  });
+
+  test('Keeps the validators per Accept header and not for unconditional requests', async () => {
+    await client.get(`${url}/feed`, { conditional: false });
+    await client.get(`${url}/feed`);
+    expect(server.requests[1].headers['if-none-match']).toBeUndefined();
+
+    const full = await client.get(`${url}/feed`, { headers: { Accept: 'application/json' } });
+    expect(server.requests[2].headers['if-none-match']).toBeUndefined();
+    expect(full.notModified).toBe(false);
+    await client.get(`${url}/feed`, { headers: { Accept: 'application/json' } });
+    expect(server.requests[3].headers['if-none-match']).toBe('"v1"');
+  });
+
+  test('Retries server errors and honours Retry-After', async () => {
+    server.responses['/flaky'] = [
+      { status: 503 },
+      { status: 429, headers: { 'retry-after': '7' } },
+      { status: 200, body: 'ok' },
+    ];
+
+    const response = await client.get(`${url}/flaky`);
+    expect(response.body).toBe('ok');
+    expect(sleeps).toEqual([1000, 7000]);
+  });
+
+  test('Retries timeouts', async () => {
+    server.responses['/slow'] = [{ delay: 1000, body: 'late' }, { body: 'fast' }];
+
+    const response = await client.get(`${url}/slow`);
+    expect(response.body).toBe('fast');
+    expect(sleeps).toHaveLength(1);
+  });
+
+  test('Throws an HttpError without retrying client errors', async () => {
+    const error = await client.get(`${url}/missing`, { source: 'npm' }).catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(404);
+    expect(sleeps).toHaveLength(0);
+    expect(client.status().npm).toMatchObject({ requests: 1, failures: 1, lastStatus: 404 });
+  });
+
+  test('Gives up after the configured retries', async () => {
+    server.responses['/down'] = [{ status: 500 }, { status: 502 }, { status: 503 }];
+
+    await expect(client.get(`${url}/down`)).rejects.toMatchObject({ status: 503 });
+    expect(server.requests).toHaveLength(3);
+  });
+});
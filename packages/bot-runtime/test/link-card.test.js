@@ -0,0 +1,173 @@
+const http = require('http');
+const sharp = require('sharp');
+const { createBot } = require('../lib/bot');
+const { createHttpClient } = require('../lib/http');
+const { createMemoryPublisher } = require('../lib/publishers');
+const { createLinkCards, createThumbnail, findPreviewImage } = require('../lib/link-card');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+const createMemoryState = () => {
+  const records = new Map();
+  return {
+    load() { return this; },
+    has: (id) => records.has(id),
+    get: (id) => records.get(id),
+    set: (id, fields) => records.set(id, fields),
+    prune: () => 0,
+  };
+};
+
+// A large image that does not compress well
+const createNoise = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#808080', noise: { type: 'gaussian', mean: 128, sigma: 60 } },
+}).png().toBuffer();
+
+// Serves `pages` by path, everything else is a 404
+function createServer(pages) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const page = pages[req.url];
+    if (!page) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': page.type });
+    res.end(page.body);
+  });
+
+  return {
+    requests,
+    start: () => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+describe('Link card thumbnails', () => {
+  let image;
+
+  beforeAll(async () => {
+    image = await createNoise(2400, 1600);
+  });
+
+  test('Finds the preview image of a page', () => {
+    const page = 'https://example.com/blog/post';
+    expect(findPreviewImage('<meta property="og:image" content="/img/cover.png?a=1&amp;b=2">', page))
+      .toBe('https://example.com/img/cover.png?a=1&b=2');
+    expect(findPreviewImage('<meta content=\'https://cdn.example.com/t.jpg\' name="twitter:image" />', page))
+      .toBe('https://cdn.example.com/t.jpg');
+    expect(findPreviewImage([
+      '<meta name="twitter:image" content="https://example.com/twitter.jpg">',
+      '<meta property="og:image" content="https://example.com/og.jpg">',
+    ].join('\n'), page)).toBe('https://example.com/og.jpg');
+    expect(findPreviewImage('<link rel="image_src" href="thumb.gif">', page)).toBe('https://example.com/blog/thumb.gif');
+    expect(findPreviewImage('<html><head><title>No image</title></head></html>', page)).toBeNull();
+  });
+
+  test('Downscales and recompresses images under the size limit', async () => {
+    const thumbnail = await createThumbnail(image);
+    expect(thumbnail.mimeType).toBe('image/jpeg');
+    expect(thumbnail.width).toBe(1000);
+    expect(thumbnail.data.length).toBeLessThanOrEqual(1000000);
+
+    const small = await createThumbnail(image, { maxBytes: 30000 });
+    expect(small.data.length).toBeLessThanOrEqual(30000);
+    expect(small.width).toBeLessThan(1000);
+
+    await expect(createThumbnail(Buffer.from('not an image'))).rejects.toThrow();
+  });
+
+  describe('Posting', () => {
+    let server;
+    let url;
+
+    beforeEach(async () => {
+      server = createServer({
+        '/article': { type: 'text/html', body: '<html><head><meta property="og:image" content="/cover.png"></head></html>' },
+        '/plain': { type: 'text/html', body: '<html><head></head></html>' },
+        '/cover.png': { type: 'image/png', body: image },
+        '/preview.png': { type: 'image/png', body: image },
+        '/not-an-image': { type: 'text/html', body: '<html></html>' },
+      });
+      url = await server.start();
+    });
+
+    afterEach(async () => {
+      await server.close();
+    });
+
+    const post = async (content) => {
+      const publisher = createMemoryPublisher();
+      const bot = createBot({
+        name: 'test',
+        sources: [{ name: 'static', fetch: async () => [{ id: 'a' }] }],
+        format: () => content,
+        state: createMemoryState(),
+        publisher,
+        http: createHttpClient({ log: silentLog, retries: 0 }),
+        rateLimitInterval: 0,
+        log: silentLog,
+      });
+      await bot.check();
+      expect(publisher.posts).toHaveLength(1);
+      return publisher;
+    };
+
+    const card = (uri) => ({ $type: 'app.bsky.embed.external', external: { uri, title: 'Title', description: '' } });
+
+    test('Uploads the og:image of the linked page as the thumbnail', async () => {
+      const publisher = await post({ text: 'New post', embed: card(`${url}/article`) });
+
+      expect(publisher.blobs).toHaveLength(1);
+      expect(publisher.blobs[0].mimeType).toBe('image/jpeg');
+      expect(publisher.blobs[0].data.length).toBeLessThanOrEqual(1000000);
+      expect(publisher.posts[0].embed.external).toEqual({
+        uri: `${url}/article`,
+        title: 'Title',
+        description: '',
+        thumb: { $type: 'blob', ref: { $link: 'blob1' }, mimeType: 'image/jpeg', size: publisher.blobs[0].data.length },
+      });
+      expect(server.requests).toEqual(['/article', '/cover.png']);
+    });
+
+    test('Prefers the image given by the formatter', async () => {
+      const publisher = await post({ text: 'New post', embed: card(`${url}/article`), thumbnail: `${url}/preview.png` });
+
+      expect(publisher.posts[0].embed.external.thumb).toBeDefined();
+      expect(server.requests).toEqual(['/preview.png']);
+    });
+
+    test('Posts without a thumbnail when there is no usable image', async () => {
+      for (const content of [
+        { text: 'No image', embed: card(`${url}/plain`) },
+        { text: 'Missing page', embed: card(`${url}/gone`) },
+        { text: 'Missing image', embed: card(`${url}/article`), thumbnail: `${url}/gone.png` },
+        { text: 'Not an image', embed: card(`${url}/article`), thumbnail: `${url}/not-an-image` },
+      ]) {
+        const publisher = await post(content);
+        expect(publisher.blobs).toHaveLength(0);
+        expect(publisher.posts[0].embed).toEqual(content.embed);
+      }
+    });
+
+    test('Leaves other embeds alone', async () => {
+      const upload = jest.fn();
+      const linkCards = createLinkCards({ http: createHttpClient({ log: silentLog }), upload, log: silentLog });
+      const thumb = { $type: 'blob' };
+      const withThumb = { $type: 'app.bsky.embed.external', external: { uri: `${url}/article`, title: '', description: '', thumb } };
+      const images = { $type: 'app.bsky.embed.images', images: [] };
+
+      expect(await linkCards.addThumbnail(undefined)).toBeUndefined();
+      expect(await linkCards.addThumbnail(withThumb)).toBe(withThumb);
+      expect(await linkCards.addThumbnail(images)).toBe(images);
+      expect(upload).not.toHaveBeenCalled();
+      expect(server.requests).toEqual([]);
+    });
+  });
+});
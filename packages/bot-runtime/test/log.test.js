@@ -0,0 +1,71 @@
+const { createLogger } = require('../lib/log');
+
+function createStream() {
+  const lines = [];
+  return { lines, write: (chunk) => lines.push(...chunk.trimEnd().split('\n')) };
+}
+
+describe('Logger', () => {
+  const setup = (options = {}) => {
+    const stdout = createStream();
+    const stderr = createStream();
+    const log = createLogger('scn', {
+      format: 'json',
+      stdout,
+      stderr,
+      now: () => new Date('2024-01-01T00:00:00Z'),
+      ...options,
+    });
+    return { log, stdout, stderr };
+  };
+
+  test('Writes JSON lines with the bot name and fields', () => {
+    const { log, stdout } = setup();
+    log.child({ source: 'SAP Blogs' }).info('Posted', { itemId: 'a', uri: 'at://x', durationMs: 12 });
+
+    expect(JSON.parse(stdout.lines[0])).toEqual({
+      time: '2024-01-01T00:00:00.000Z',
+      level: 'info',
+      bot: 'scn',
+      msg: 'Posted',
+      source: 'SAP Blogs',
+      itemId: 'a',
+      uri: 'at://x',
+      durationMs: 12,
+    });
+  });
+
+  test('Writes warnings and errors to stderr and serializes errors', () => {
+    const { log, stdout, stderr } = setup();
+    const error = Object.assign(new Error('Rate limit'), { status: 429 });
+    log.error('Failed', error);
+    log.warn('Careful', { itemId: 'b' }, error);
+
+    expect(stdout.lines).toHaveLength(0);
+    const [first, second] = stderr.lines.map((line) => JSON.parse(line));
+    expect(first.error).toMatchObject({ name: 'Error', message: 'Rate limit', status: 429 });
+    expect(first.error.stack).toContain('Rate limit');
+    expect(second).toMatchObject({ level: 'warn', itemId: 'b', error: { message: 'Rate limit' } });
+  });
+
+  test('Filters by level', () => {
+    const { log, stdout, stderr } = setup({ level: 'warn' });
+    log.debug('debug');
+    log.info('info');
+    log.warn('warn');
+
+    expect(stdout.lines).toHaveLength(0);
+    expect(stderr.lines).toHaveLength(1);
+    expect(() => createLogger('scn', { level: 'verbose' })).toThrow('Unknown log level');
+  });
+
+  test('Pretty prints for humans', () => {
+    const { log, stdout, stderr } = setup({ format: 'pretty' });
+    log.info('Posted', { itemId: 'a', durationMs: 12 });
+    log.error('Failed', new Error('boom'));
+
+    expect(stdout.lines[0]).toBe('[2024-01-01T00:00:00.000Z] [scn] Posted (itemId=a durationMs=12)');
+    expect(stderr.lines[0]).toBe('[2024-01-01T00:00:00.000Z] [scn] ERROR Failed');
+    expect(stderr.lines[1]).toBe('Error: boom');
+  });
+});
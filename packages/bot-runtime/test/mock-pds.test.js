@@ -0,0 +1,159 @@
+const { BskyAgent } = require('@atproto/api');
+const { createBot } = require('../lib/bot');
+const { createBlueskyPublisher } = require('../lib/publishers');
+const { createMockPds, DEFAULT_ACCOUNT } = require('../lib/mock-pds');
+const { getService, getChatProxy, DEFAULT_SERVICE, DEFAULT_CHAT_PROXY } = require('../lib/service');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+// In-memory stand-in for the state store
+function createMemoryState() {
+  const entries = new Map();
+  return {
+    load() { return this; },
+    has: (id) => entries.has(id),
+    get: (id) => entries.get(id),
+    set: (id, fields) => entries.set(id, fields),
+    prune: () => 0,
+  };
+}
+
+describe('Service configuration', () => {
+  test('Defaults to bsky.social and the Bluesky chat service', () => {
+    expect(getService({})).toBe(DEFAULT_SERVICE);
+    expect(getChatProxy({})).toBe(DEFAULT_CHAT_PROXY);
+  });
+
+  test('Reads overrides from the environment', () => {
+    expect(getService({ BLUESKY_SERVICE: 'http://localhost:2583/' })).toBe('http://localhost:2583');
+    expect(getChatProxy({ BLUESKY_CHAT_PROXY: 'did:web:chat.example#bsky_chat' })).toBe('did:web:chat.example#bsky_chat');
+  });
+});
+
+describe('Mock PDS end to end', () => {
+  let pds;
+  let url;
+
+  beforeEach(async () => {
+    pds = createMockPds({
+      rateLimits: { 'com.atproto.repo.createRecord': { limit: 2, window: 60 } },
+      followers: [
+        { did: 'did:plc:follower1', handle: 'one.test' },
+        { did: 'did:plc:follower2', handle: 'two.test' },
+      ],
+      profiles: [{ did: 'did:plc:follower1', handle: 'one.test', displayName: 'One' }],
+      handles: { 'alice.test': 'did:plc:alice' },
+    });
+    url = await pds.start();
+  });
+
+  afterEach(async () => {
+    await pds.close();
+  });
+
+  const createTestBot = (items) => {
+    const agent = new BskyAgent({ service: url });
+    return createBot({
+      name: 'e2e',
+      sources: [{ name: 'static', fetch: async () => items }],
+      format: (item) => ({ text: item.text }),
+      state: createMemoryState(),
+      agent,
+      publisher: createBlueskyPublisher({
+        agent,
+        identifier: DEFAULT_ACCOUNT.identifier,
+        password: DEFAULT_ACCOUNT.password,
+      }),
+      rateLimitInterval: 0,
+      log: silentLog,
+    });
+  };
+
+  test('Logs in and creates post records with resolved facets', async () => {
+    const bot = createTestBot([{ id: 'a', text: 'Hello @alice.test https://example.com' }]);
+    await bot.login();
+    await bot.check();
+
+    expect(pds.requestsFor('com.atproto.server.createSession')).toHaveLength(1);
+    expect(pds.records).toHaveLength(1);
+
+    const { record } = pds.records[0];
+    expect(record.$type).toBe('app.bsky.feed.post');
+    expect(record.text).toBe('Hello @alice.test https://example.com');
+    const features = record.facets.map((facet) => facet.features[0]);
+    expect(features).toContainEqual({ $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:alice' });
+    expect(features).toContainEqual({ $type: 'app.bsky.richtext.facet#link', uri: 'https://example.com' });
+    expect(bot.state.get('a').uri).toBe(pds.records[0].uri);
+  });
+
+  test('Rejects wrong credentials', async () => {
+    const agent = new BskyAgent({ service: url });
+    await expect(agent.login({ identifier: 'bot.test', password: 'wrong' })).rejects.toThrow('Invalid identifier or password');
+  });
+
+  test('Sends rate limit headers and answers 429 once exhausted', async () => {
+    const bot = createTestBot([
+      { id: 'a', text: 'one' },
+      { id: 'b', text: 'two' },
+      { id: 'c', text: 'three' },
+    ]);
+    await bot.login();
+    await bot.check();
+
+    const responses = pds.requestsFor('com.atproto.repo.createRecord');
+    expect(responses).toHaveLength(3);
+    expect(pds.records).toHaveLength(2);
+    expect(bot.state.has('c')).toBe(false);
+
+    const agent = new BskyAgent({ service: url });
+    await agent.login({ identifier: DEFAULT_ACCOUNT.identifier, password: DEFAULT_ACCOUNT.password });
+    const error = await agent.post({ text: 'four' }).catch((err) => err);
+    expect(error.status).toBe(429);
+    expect(error.headers['ratelimit-remaining']).toBe('0');
+    expect(error.headers['ratelimit-policy']).toBe('2;w=60');
+  });
+
+  test('Injected errors fail a single call', async () => {
+    pds.failNext('com.atproto.repo.createRecord', { status: 400, error: 'InvalidRequest', message: 'Record too long' });
+    const bot = createTestBot([{ id: 'a', text: 'one' }, { id: 'b', text: 'two' }]);
+    await bot.login();
+    await bot.check();
+
+    expect(bot.state.has('a')).toBe(false);
+    expect(bot.state.has('b')).toBe(true);
+  });
+
+  test('Serves blobs, followers and profiles', async () => {
+    const agent = new BskyAgent({ service: url });
+    await agent.login({ identifier: DEFAULT_ACCOUNT.identifier, password: DEFAULT_ACCOUNT.password });
+
+    const upload = await agent.uploadBlob(Buffer.from('image'), { encoding: 'image/jpeg' });
+    expect(upload.data.blob.mimeType).toBe('image/jpeg');
+    expect(upload.data.blob.size).toBe(5);
+    expect(pds.blobs).toHaveLength(1);
+
+    const firstPage = await agent.getFollowers({ actor: DEFAULT_ACCOUNT.did, limit: 1 });
+    expect(firstPage.data.followers.map((follower) => follower.handle)).toEqual(['one.test']);
+    const secondPage = await agent.getFollowers({ actor: DEFAULT_ACCOUNT.did, limit: 1, cursor: firstPage.data.cursor });
+    expect(secondPage.data.followers.map((follower) => follower.handle)).toEqual(['two.test']);
+    expect(secondPage.data.cursor).toBeUndefined();
+
+    const profiles = await agent.getProfiles({ actors: ['did:plc:follower1'] });
+    expect(profiles.data.profiles[0].displayName).toBe('One');
+  });
+
+  test('Implements the chat conversation methods', async () => {
+    const agent = new BskyAgent({ service: url });
+    await agent.login({ identifier: DEFAULT_ACCOUNT.identifier, password: DEFAULT_ACCOUNT.password });
+    const chat = agent.withProxy('bsky_chat', 'did:web:api.bsky.chat');
+
+    const { data } = await chat.chat.bsky.convo.getConvoForMembers({ members: [DEFAULT_ACCOUNT.did, 'did:plc:follower1'] });
+    await chat.chat.bsky.convo.sendMessage({ convoId: data.convo.id, message: { text: 'Hi!' } });
+    const list = await chat.chat.bsky.convo.listConvos({});
+
+    expect(list.data.convos).toHaveLength(1);
+    expect(pds.messages).toEqual([expect.objectContaining({ convoId: data.convo.id, text: 'Hi!' })]);
+    expect(pds.requestsFor('chat.bsky.convo.sendMessage')[0].headers['atproto-proxy']).toBe('did:web:api.bsky.chat#bsky_chat');
+  });
+});
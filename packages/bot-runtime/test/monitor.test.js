@@ -0,0 +1,138 @@
+const { createBot } = require('../lib/bot');
+const { createRegistry } = require('../lib/metrics');
+const { createMonitor, createMonitorServer } = require('../lib/monitor');
+const { createMemoryPublisher } = require('../lib/publishers');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+function createMemoryState() {
+  const records = new Map();
+  return {
+    load() { return this; },
+    has: (id) => records.has(id),
+    get: (id) => records.get(id),
+    set: (id, fields) => records.set(id, fields),
+    prune: () => 0,
+  };
+}
+
+describe('Metrics registry', () => {
+  test('Renders counters, gauges and cumulative histogram buckets', () => {
+    const registry = createRegistry({ bot: 'test' });
+    registry.counter('items_total', 'Items').inc({ source: 'a "b"' }, 2);
+    registry.gauge('size', 'Size').set({}, 5);
+    const histogram = registry.histogram('duration_seconds', 'Duration', [1, 5]);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+
+    const text = registry.render();
+    expect(text).toContain('# TYPE items_total counter');
+    expect(text).toContain('items_total{bot="test",source="a \\"b\\""} 2');
+    expect(text).toContain('size{bot="test"} 5');
+    expect(text).toContain('duration_seconds_bucket{bot="test",le="1"} 1');
+    expect(text).toContain('duration_seconds_bucket{bot="test",le="5"} 2');
+    expect(text).toContain('duration_seconds_bucket{bot="test",le="+Inf"} 2');
+    expect(text).toContain('duration_seconds_sum{bot="test"} 3.5');
+    expect(text).toContain('duration_seconds_count{bot="test"} 2');
+  });
+});
+
+describe('Monitor', () => {
+  test('Becomes unhealthy when no check succeeded within the allowed intervals', () => {
+    let time = 0;
+    const monitor = createMonitor({ name: 'test', checkInterval: 1000, maxMissedChecks: 3, now: () => time });
+
+    time = 2000;
+    expect(monitor.isHealthy()).toBe(true);
+    time = 3001;
+    expect(monitor.isHealthy()).toBe(false);
+
+    monitor.checkFinished({ seconds: 1 });
+    expect(monitor.isHealthy()).toBe(true);
+
+    time = 5000;
+    monitor.checkFinished({ seconds: 1, errors: ['feed: timeout'] });
+    time = 6002;
+    expect(monitor.health()).toMatchObject({
+      status: 'unhealthy',
+      lastError: 'feed: timeout',
+      lastSuccessfulCheckAt: new Date(3001).toISOString(),
+    });
+  });
+
+  test('Counts fetched, posted, skipped and failed items per source', async () => {
+    const publisher = createMemoryPublisher();
+    const bot = createBot({
+      name: 'test',
+      sources: [
+        { name: 'good', fetch: async () => [{ id: 'a' }, { id: 'b' }] },
+        { name: 'bad', fetch: async () => [{ id: 'c', fail: true }] },
+      ],
+      format: (item) => {
+        if (item.fail) {
+          throw new Error('cannot format');
+        }
+        return { text: item.id };
+      },
+      state: createMemoryState(),
+      publisher,
+      rateLimitInterval: 0,
+      log: silentLog,
+    });
+
+    await bot.check();
+    await bot.check();
+
+    const text = bot.monitor.metrics();
+    expect(text).toContain('bot_items_fetched_total{bot="test",source="good"} 4');
+    expect(text).toContain('bot_items_posted_total{bot="test",source="good"} 2');
+    expect(text).toContain('bot_items_skipped_total{bot="test",source="good"} 2');
+    expect(text).toContain('bot_items_failed_total{bot="test",source="bad"} 2');
+    expect(text).toContain('bot_post_duration_seconds_count{bot="test",source="good"} 2');
+    expect(text).toContain('bot_checks_total{bot="test",result="success"} 2');
+    expect(text).toContain('bot_healthy{bot="test"} 1');
+  });
+
+  test('Counts rate limit waits', async () => {
+    const bot = createBot({
+      name: 'test',
+      sources: [{ name: 'feed', fetch: async () => [{ id: 'a' }, { id: 'b' }] }],
+      format: (item) => ({ text: item.id }),
+      state: createMemoryState(),
+      publisher: createMemoryPublisher(),
+      rateLimitInterval: 50,
+      log: silentLog,
+    });
+
+    await bot.check();
+
+    expect(bot.monitor.metrics()).toContain('bot_rate_limit_waits_total{bot="test"} 1');
+  });
+
+  test('Serves /healthz and /metrics', async () => {
+    let time = 0;
+    const monitor = createMonitor({ name: 'test', checkInterval: 1000, now: () => time });
+    const server = createMonitorServer({ monitor, port: 0, host: '127.0.0.1', getExtra: () => ({ session: 'active' }) });
+    const port = await server.start();
+
+    try {
+      let response = await fetch(`http://127.0.0.1:${port}/healthz`);
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ status: 'ok', bot: 'test', session: 'active' });
+
+      time = 10000;
+      response = await fetch(`http://127.0.0.1:${port}/healthz`);
+      expect(response.status).toBe(503);
+
+      response = await fetch(`http://127.0.0.1:${port}/metrics`);
+      expect(response.headers.get('content-type')).toMatch(/^text\/plain/);
+      expect(await response.text()).toContain('bot_healthy{bot="test"} 0');
+
+      response = await fetch(`http://127.0.0.1:${port}/other`);
+      expect(response.status).toBe(404);
+    } finally {
+      await server.close();
+    }
+  });
+});
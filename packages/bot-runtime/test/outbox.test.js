@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('../lib/bot');
+const { createOutbox } = require('../lib/outbox');
+const { createStateStore } = require('../lib/state');
+const { createMemoryPublisher } = require('../lib/publishers');
+const { classifyError } = require('../lib/errors');
+const { main: outboxCli } = require('../bin/bot-outbox');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+const xrpcError = (status, error, message = error, headers = {}) => Object.assign(new Error(message), { status, error, headers });
+
+describe('Error classification', () => {
+  test('Rate limits, server and network errors are transient', () => {
+    const reset = Math.floor(Date.now() / 1000) + 60;
+    const rateLimited = classifyError(xrpcError(429, 'RateLimitExceeded', 'slow down', { 'ratelimit-reset': String(reset) }));
+    expect(rateLimited.kind).toBe('transient');
+    expect(rateLimited.retryAfter).toBeGreaterThan(50 * 1000);
+
+    expect(classifyError(xrpcError(502, 'UpstreamFailure')).kind).toBe('transient');
+    expect(classifyError(xrpcError(1, undefined, 'fetch failed')).reason).toBe('network');
+    expect(classifyError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).reason).toBe('network');
+    expect(classifyError(xrpcError(400, 'ExpiredToken')).reason).toBe('session');
+  });
+
+  test('Invalid records are permanent', () => {
+    expect(classifyError(xrpcError(400, 'InvalidRequest', 'Record/text must not be longer than 300 graphemes'))).toMatchObject({
+      kind: 'permanent',
+      reason: 'InvalidRequest',
+    });
+    expect(classifyError(new TypeError('Cannot read properties of undefined')).kind).toBe('permanent');
+  });
+});
+
+describe('Outbox', () => {
+  let dir;
+  let clock;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-outbox-'));
+    clock = new Date('2025-01-01T00:00:00.000Z');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createTestOutbox = (options = {}) => createOutbox({
+    file: path.join(dir, 'outbox.json'),
+    baseDelay: 1000,
+    now: () => clock,
+    ...options,
+  }).load();
+
+  test('Schedules transient failures with exponential backoff', () => {
+    const outbox = createTestOutbox();
+    const item = { id: 'a', title: 'A' };
+
+    expect(outbox.recordFailure(item, 'feed', xrpcError(503, 'ServiceUnavailable')).nextAttemptAt).toBe('2025-01-01T00:00:01.000Z');
+    expect(outbox.recordFailure(item, 'feed', xrpcError(503, 'ServiceUnavailable')).nextAttemptAt).toBe('2025-01-01T00:00:02.000Z');
+    expect(outbox.recordFailure(item, 'feed', xrpcError(503, 'ServiceUnavailable')).nextAttemptAt).toBe('2025-01-01T00:00:04.000Z');
+
+    expect(outbox.due()).toEqual([]);
+    clock = new Date('2025-01-01T00:00:04.000Z');
+    expect(outbox.due().map((entry) => entry.id)).toEqual(['a']);
+    expect(outbox.get('a')).toMatchObject({ item, source: 'feed', attempts: 3, status: 'pending' });
+  });
+
+  test('Dead-letters permanent failures and exhausted entries', () => {
+    const outbox = createTestOutbox({ maxAttempts: 2 });
+
+    expect(outbox.recordFailure({ id: 'invalid' }, 'feed', xrpcError(400, 'InvalidRequest')).status).toBe('dead');
+
+    outbox.recordFailure({ id: 'flaky' }, 'feed', xrpcError(500, 'InternalServerError'));
+    expect(outbox.recordFailure({ id: 'flaky' }, 'feed', xrpcError(500, 'InternalServerError')).status).toBe('dead');
+
+    expect(outbox.deadLetters().map((entry) => entry.id)).toEqual(['invalid', 'flaky']);
+    expect(outbox.due()).toEqual([]);
+  });
+
+  test('Replays dead letters', () => {
+    const outbox = createTestOutbox();
+    outbox.recordFailure({ id: 'invalid' }, 'feed', xrpcError(400, 'InvalidRequest'));
+
+    outbox.replay('invalid');
+    expect(outbox.get('invalid')).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(outbox.due().map((entry) => entry.id)).toEqual(['invalid']);
+  });
+
+  test('The command line lists, replays and drops entries', () => {
+    const file = path.join(dir, 'outbox.json');
+    const outbox = createTestOutbox();
+    outbox.recordFailure({ id: 'one' }, 'feed', xrpcError(400, 'InvalidRequest'));
+    outbox.recordFailure({ id: 'two' }, 'feed', xrpcError(400, 'InvalidRequest'));
+
+    const spy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(outboxCli(['list', file])).toBe(0);
+      expect(spy.mock.calls.flat().join('\n')).toContain('Dead letters (2)');
+
+      expect(outboxCli(['replay', file, '--all'])).toBe(0);
+      expect(outboxCli(['drop', file, 'two'])).toBe(0);
+      expect(outboxCli(['drop', file, 'missing'])).toBe(1);
+    } finally {
+      spy.mockRestore();
+      errorSpy.mockRestore();
+    }
+
+    const reloaded = createTestOutbox();
+    expect(reloaded.pending().map((entry) => entry.id)).toEqual(['one']);
+    expect(reloaded.has('two')).toBe(false);
+  });
+});
+
+describe('Bot with outbox', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-outbox-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const setup = (items) => {
+    const publisher = createMemoryPublisher();
+    const publish = publisher.publish;
+    const failures = [];
+    publisher.publish = async (record) => {
+      if (failures.length > 0) {
+        throw failures.shift();
+      }
+      return publish(record);
+    };
+    const outbox = createOutbox({ file: path.join(dir, 'outbox.json'), baseDelay: 0 }).load();
+    const bot = createBot({
+      name: 'test',
+      sources: [{ name: 'static', fetch: async () => items }],
+      format: (item) => ({ text: item.id }),
+      state: createStateStore({ file: path.join(dir, 'posted.json') }).load(),
+      publisher,
+      outbox,
+      rateLimitInterval: 0,
+      log: silentLog,
+    });
+    return { bot, publisher, outbox, failures };
+  };
+
+  test('Queues transient failures and posts them on the next check', async () => {
+    const { bot, publisher, outbox, failures } = setup([{ id: 'a' }, { id: 'b' }]);
+    failures.push(xrpcError(503, 'ServiceUnavailable'));
+
+    await bot.check();
+    expect(publisher.posts.map((post) => post.text)).toEqual(['b']);
+    expect(outbox.get('a')).toMatchObject({ status: 'pending', attempts: 1, source: 'static' });
+
+    await bot.check();
+    expect(publisher.posts.map((post) => post.text)).toEqual(['b', 'a']);
+    expect(outbox.has('a')).toBe(false);
+    expect(bot.state.has('a')).toBe(true);
+  });
+
+  test('Does not retry permanent failures', async () => {
+    const { bot, publisher, outbox, failures } = setup([{ id: 'a' }]);
+    failures.push(xrpcError(400, 'InvalidRequest', 'Record too long'));
+
+    await bot.check();
+    await bot.check();
+
+    expect(publisher.posts).toHaveLength(0);
+    expect(outbox.deadLetters().map((entry) => entry.id)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBot } = require('../lib/bot');
+const { createStateStore } = require('../lib/state');
+const { createLogger } = require('../lib/log');
+const {
+  createDryRunPublisher,
+  createMemoryPublisher,
+  selectPublisher,
+} = require('../lib/publishers');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+describe('Publishers', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-publishers-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Selects the publisher from flags and environment', () => {
+    const agent = {};
+    expect(selectPublisher({ agent, argv: [], env: {} }).name).toBe('bluesky');
+    expect(selectPublisher({ agent, argv: ['--dry-run'], env: {} }).name).toBe('dry-run');
+    expect(selectPublisher({ agent, argv: ['--publisher=memory'], env: {} }).name).toBe('memory');
+    expect(selectPublisher({ agent, argv: [], env: { BOT_PUBLISHER: 'dry-run' } }).name).toBe('dry-run');
+    expect(() => selectPublisher({ agent, argv: ['--publisher=fax'], env: {} })).toThrow('Unknown publisher');
+  });
+
+  test('Dry-run writes JSON lines and never touches the state file', async () => {
+    const stateFile = path.join(dir, 'posted.json');
+    const outFile = path.join(dir, 'preview.jsonl');
+    const embed = { $type: 'app.bsky.embed.external', external: { uri: 'https://example.com', title: 'T', description: '' } };
+    const bot = createBot({
+      name: 'test',
+      sources: [{ name: 'static', fetch: async () => [{ id: 'a' }, { id: 'b' }] }],
+      format: (item) => ({ text: `Item ${item.id} https://example.com`, embed }),
+      state: createStateStore({ file: stateFile }).load(),
+      publisher: createDryRunPublisher({ file: outFile }),
+      linkCards: null,
+      rateLimitInterval: 0,
+      log: silentLog,
+    });
+
+    await bot.check();
+    await bot.check();
+
+    const lines = fs.readFileSync(outFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0].text).toBe('Item a https://example.com');
+    expect(lines[0].facets[0].features[0].uri).toBe('https://example.com');
+    expect(lines[0].embed).toEqual(embed);
+    expect(fs.existsSync(stateFile)).toBe(false);
+  });
+
+  test('Memory publisher records posts and lets the bot persist state', async () => {
+    const publisher = createMemoryPublisher();
+    const state = createStateStore({ file: path.join(dir, 'posted.json') }).load();
+    const bot = createBot({
+      name: 'test',
+      sources: [{ name: 'static', fetch: async () => [{ id: 'a' }] }],
+      format: () => ({ text: 'hello' }),
+      state,
+      publisher,
+      rateLimitInterval: 0,
+      log: silentLog,
+    });
+
+    await bot.check();
+
+    expect(publisher.posts.map((post) => post.text)).toEqual(['hello']);
+    expect(state.get('a').uri).toBe('at://did:plc:memory/app.bsky.feed.post/1');
+  });
+});
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BskyAgent } = require('@atproto/api');
+const { createBot } = require('../lib/bot');
+const { createStateStore } = require('../lib/state');
+const { createAuditLog } = require('../lib/audit');
+const { titleChanged } = require('../lib/reconcile');
+const { createMemoryPublisher, createDryRunPublisher, createBlueskyPublisher } = require('../lib/publishers');
+const { createMockPds, DEFAULT_ACCOUNT } = require('../lib/mock-pds');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Reconciling posts', () => {
+  let dir;
+  let stateFile;
+  let auditFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-reconcile-'));
+    stateFile = path.join(dir, 'posted.json');
+    auditFile = path.join(dir, 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A feed whose items can be edited and removed between checks
+  const createTestBot = ({ items, publisher = createMemoryPublisher(), reconcile = { window: 3 * DAY, delete: true }, ...options }) => {
+    const feed = { items };
+    const source = {
+      name: 'feed',
+      fetch: async () => feed.items,
+      lookup: jest.fn(async ({ records }) => new Map(records.map((record) => {
+        const item = feed.items.find((candidate) => candidate.id === record.id);
+        return [record.id, item ? { title: item.title } : null];
+      }))),
+    };
+    const bot = createBot({
+      name: 'test',
+      sources: [source],
+      format: (item) => ({ text: item.title, replies: item.replies }),
+      state: createStateStore({ file: stateFile }).load(),
+      publisher,
+      linkCards: null,
+      rateLimitInterval: 0,
+      handleSignals: false,
+      reconcile,
+      audit: createAuditLog({ file: auditFile }),
+      log: silentLog,
+      ...options,
+    });
+    return { bot, feed, source, publisher };
+  };
+
+  test('Compares titles without case, spacing and punctuation', () => {
+    expect(titleChanged('Getting started with CAP', 'Getting Started with CAP!')).toBe(false);
+    expect(titleChanged('Getting started with CAP', 'Getting  started  with CAP')).toBe(false);
+    expect(titleChanged('Getting started with CAP', 'Getting started with RAP')).toBe(true);
+    expect(titleChanged(undefined, 'Anything')).toBe(false);
+  });
+
+  test('Deletes the post and its replies when the item is gone', async () => {
+    const { bot, feed, publisher } = createTestBot({
+      items: [
+        { id: 'a', title: 'First post', replies: [{ text: 'More about it' }] },
+        { id: 'b', title: 'Second post' },
+      ],
+    });
+    await bot.check();
+    feed.items = feed.items.filter((item) => item.id !== 'a');
+    await bot.check();
+
+    expect(publisher.deleted).toEqual([
+      'at://did:plc:memory/app.bsky.feed.post/2',
+      'at://did:plc:memory/app.bsky.feed.post/1',
+    ]);
+    expect(bot.state.get('a')).toMatchObject({ deleted: true });
+    expect(bot.state.has('a')).toBe(true);
+    expect(bot.audit.entries()).toEqual([expect.objectContaining({
+      action: 'delete',
+      source: 'feed',
+      id: 'a',
+      uri: 'at://did:plc:memory/app.bsky.feed.post/1',
+      title: 'First post',
+    })]);
+
+    // Neither posted again nor deleted again
+    feed.items.push({ id: 'a', title: 'First post' });
+    await bot.check();
+    expect(publisher.posts).toHaveLength(3);
+    expect(publisher.deleted).toHaveLength(2);
+  });
+
+  test('Replies with a correction when the title changed', async () => {
+    const { bot, feed, publisher } = createTestBot({ items: [{ id: 'a', title: 'Getting started with CAP' }] });
+    await bot.check();
+
+    feed.items = [{ id: 'a', title: 'getting started with CAP!' }];
+    await bot.check();
+    expect(publisher.posts).toHaveLength(1);
+
+    feed.items = [{ id: 'a', title: 'Getting started with RAP' }];
+    await bot.check();
+    await bot.check();
+
+    expect(publisher.posts).toHaveLength(2);
+    const rootRef = { uri: 'at://did:plc:memory/app.bsky.feed.post/1', cid: 'cid1' };
+    expect(publisher.posts[1].text).toBe('✏️ Update: the title of this post changed to "Getting started with RAP"');
+    expect(publisher.posts[1].reply).toEqual({ root: rootRef, parent: rootRef });
+    expect(bot.state.get('a')).toMatchObject({
+      title: 'Getting started with RAP',
+      corrections: ['at://did:plc:memory/app.bsky.feed.post/2'],
+    });
+    expect(bot.audit.entries()).toEqual([expect.objectContaining({
+      action: 'correct',
+      before: 'Getting started with CAP',
+      after: 'Getting started with RAP',
+      reply: 'at://did:plc:memory/app.bsky.feed.post/2',
+    })]);
+  });
+
+  test('Keeps the post with delete turned off', async () => {
+    const { bot, feed, publisher } = createTestBot({
+      items: [{ id: 'a', title: 'First post' }],
+      reconcile: { window: 3 * DAY, delete: false },
+    });
+    await bot.check();
+    feed.items = [];
+    await bot.check();
+    await bot.check();
+
+    expect(publisher.deleted).toEqual([]);
+    expect(bot.state.get('a')).toMatchObject({ gone: true });
+    expect(bot.audit.entries().map((entry) => entry.action)).toEqual(['gone']);
+  });
+
+  test('Only looks up posts within the window', async () => {
+    const { bot, source } = createTestBot({ items: [{ id: 'a', title: 'First post' }] });
+    await bot.check();
+    expect(source.lookup.mock.calls[0][0].records.map((record) => record.id)).toEqual(['a']);
+
+    const old = createStateStore({ file: stateFile, now: () => new Date(Date.now() - 4 * DAY) }).load();
+    old.set('old', { uri: 'at://did:plc:memory/app.bsky.feed.post/9', source: 'feed', title: 'Old post' });
+    bot.state.load();
+    await bot.check();
+    expect(source.lookup.mock.calls[1][0].records.map((record) => record.id)).toEqual(['a']);
+  });
+
+  test('Turned off with a window of 0', async () => {
+    const { bot, feed, source, publisher } = createTestBot({ items: [{ id: 'a', title: 'First post' }], reconcile: { window: 0 } });
+    await bot.check();
+    feed.items = [];
+    await bot.check();
+
+    expect(source.lookup).not.toHaveBeenCalled();
+    expect(publisher.deleted).toEqual([]);
+  });
+
+  test('Dry-run previews the actions without writing anything', async () => {
+    const setup = createTestBot({ items: [{ id: 'a', title: 'First post' }] });
+    await setup.bot.check();
+
+    const outFile = path.join(dir, 'preview.jsonl');
+    const { bot, source } = createTestBot({ items: [], publisher: createDryRunPublisher({ file: outFile }) });
+    await bot.check();
+    await bot.check();
+
+    const lines = fs.readFileSync(outFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toEqual([{ dryRun: true, delete: 'at://did:plc:memory/app.bsky.feed.post/1' }]);
+    expect(source.lookup).toHaveBeenCalledTimes(1);
+    expect(source.lookup.mock.calls[0][0].persistState).toBe(false);
+    expect(createStateStore({ file: stateFile }).load().get('a').deleted).toBeUndefined();
+    expect(fs.existsSync(auditFile)).toBe(false);
+  });
+
+  test('Looks up the reply ref of records without a CID and deletes on Bluesky', async () => {
+    const pds = createMockPds();
+    const url = await pds.start();
+    try {
+      const agent = new BskyAgent({ service: url });
+      const publisher = createBlueskyPublisher({ agent, identifier: DEFAULT_ACCOUNT.identifier, password: DEFAULT_ACCOUNT.password });
+      const { bot, feed } = createTestBot({ items: [{ id: 'a', title: 'First post' }, { id: 'b', title: 'Second post' }], publisher, agent });
+      await bot.login();
+      await bot.check();
+
+      // As written before the CID was stored
+      const { cid, ...record } = bot.state.get('a');
+      const data = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+      data.records.a = record;
+      fs.writeFileSync(stateFile, JSON.stringify(data));
+      bot.state.load();
+
+      feed.items = [{ id: 'a', title: 'A new title' }];
+      await bot.check();
+
+      expect(pds.requestsFor('app.bsky.feed.getPosts')).toHaveLength(1);
+      const reply = pds.records.find((candidate) => candidate.record.reply);
+      expect(reply.record.reply.root).toEqual({ uri: record.uri, cid });
+      expect(pds.records.map((candidate) => candidate.record.text)).not.toContain('Second post');
+    } finally {
+      await pds.close();
+    }
+  });
+});
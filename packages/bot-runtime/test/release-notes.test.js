@@ -0,0 +1,163 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createHttpClient } = require('../lib/http');
+const { createReleaseNotes, parseRepository, changelogSection, summarizeNotes } = require('../lib/release-notes');
+const { countGraphemes } = require('../lib/composer');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'release-notes', name), 'utf8');
+
+// Stand-in for the GitHub API and raw.githubusercontent.com: serves `pages`
+// by path, everything else is a 404
+function createServer(pages) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, authorization: req.headers.authorization });
+    const page = pages[decodeURIComponent(req.url)];
+    if (!page) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(page.status || 200, { 'content-type': page.type || 'text/plain' });
+    res.end(typeof page.body === 'string' ? page.body : JSON.stringify(page.body));
+  });
+
+  return {
+    requests,
+    start: () => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+describe('Release notes', () => {
+  test('Reads the repository of a package', () => {
+    expect(parseRepository({ type: 'git', url: 'git+https://github.com/SAP/open-ux-tools.git', directory: 'packages/ui5-config' })).toEqual({
+      host: 'github.com',
+      owner: 'SAP',
+      repo: 'open-ux-tools',
+      directory: 'packages/ui5-config',
+      location: 'github.com/SAP/open-ux-tools',
+    });
+    expect(parseRepository('github:cap-js/sqlite').location).toBe('github.com/cap-js/sqlite');
+    expect(parseRepository('cap-js/sqlite').location).toBe('github.com/cap-js/sqlite');
+    expect(parseRepository('git@github.com:SAP/cloud-sdk-js.git').location).toBe('github.com/SAP/cloud-sdk-js');
+    expect(parseRepository('https://github.com/SAP/ui5-webcomponents/tree/main/packages/main').location).toBe('github.com/SAP/ui5-webcomponents');
+    expect(parseRepository('gitlab:someone/project').host).toBe('gitlab.com');
+    expect(parseRepository(undefined)).toBeNull();
+  });
+
+  test('Finds the section of a version in a changelog', () => {
+    const changesets = changelogSection(fixture('changesets.md'), '1.2.0');
+    expect(changesets.startsWith('### Minor Changes\n\n- 4e0e4d1: Added')).toBe(true);
+    expect(changesets).toContain('@sap-ux/yaml@0.16.0');
+    expect(changesets).not.toContain('1.1.1');
+
+    const conventional = changelogSection(fixture('conventional.md'), '1.2.0');
+    expect(conventional).toContain('CREATE VIEW');
+    expect(conventional).not.toContain('streaming');
+    // Not the compare link of the next version, nor a prerelease
+    expect(changelogSection(fixture('conventional.md'), '1.0.0')).toBeNull();
+    expect(changelogSection(fixture('changesets.md'), '1.3.0')).toBeNull();
+  });
+
+  test('Summarizes Markdown as plain text', () => {
+    expect(summarizeNotes(changelogSection(fixture('changesets.md'), '1.2.0'))).toBe([
+      '• Added addMiddleware() for the fiori-tools-proxy middleware',
+      '• Read ui5.yaml files with custom tasks',
+      '• Updated dependencies',
+      '• @sap-ux/yaml@0.16.0',
+    ].join('\n'));
+    expect(summarizeNotes(changelogSection(fixture('conventional.md'), '1.2.0'))).toBe([
+      '• support for CREATE VIEW with parameters (#412)',
+      '• deps: update dependency better-sqlite3 to v11',
+    ].join('\n'));
+    expect(summarizeNotes(changelogSection(fixture('changesets.md'), '1.1.1'))).toBe('• Fixed the order of <resources> entries');
+
+    const long = summarizeNotes(`${'- A change that is worth mentioning\n'.repeat(20)}`, 100);
+    expect(countGraphemes(long)).toBeLessThanOrEqual(100);
+    expect(long.endsWith('…')).toBe(true);
+    expect(summarizeNotes('## 1.2.0\n\n<!-- nothing -->\n')).toBeNull();
+  });
+
+  describe('Lookup', () => {
+    let server;
+    let notes;
+
+    const start = async (pages, options = {}) => {
+      server = createServer(pages);
+      const url = await server.start();
+      notes = createReleaseNotes({
+        http: createHttpClient({ retries: 0 }),
+        log: silentLog,
+        githubApiUrl: `${url}/api`,
+        githubRawUrl: `${url}/raw`,
+        token: null,
+        ...options,
+      });
+    };
+
+    afterEach(async () => {
+      await server.close();
+    });
+
+    const repository = { type: 'git', url: 'git+https://github.com/SAP/open-ux-tools.git', directory: 'packages/ui5-config' };
+
+    test('Prefers the GitHub release of the version', async () => {
+      await start({
+        '/api/repos/SAP/open-ux-tools/releases/tags/@sap-ux/ui5-config@1.2.0': {
+          type: 'application/json',
+          body: { html_url: 'https://github.com/SAP/open-ux-tools/releases/tag/%40sap-ux%2Fui5-config%401.2.0', body: '### Minor Changes\n\n- 4e0e4d1: Added **proxy** support' },
+        },
+      }, { token: 'secret' });
+
+      expect(await notes.find({ repository, name: '@sap-ux/ui5-config', version: '1.2.0' })).toEqual({
+        text: '• Added proxy support',
+        url: 'https://github.com/SAP/open-ux-tools/releases/tag/%40sap-ux%2Fui5-config%401.2.0',
+        source: 'release',
+      });
+      expect(server.requests).toEqual([{ url: '/api/repos/SAP/open-ux-tools/releases/tags/%40sap-ux%2Fui5-config%401.2.0', authorization: 'Bearer secret' }]);
+    });
+
+    test('Falls back to the changelog of the package, then of the repository', async () => {
+      await start({ '/raw/SAP/open-ux-tools/HEAD/packages/ui5-config/CHANGELOG.md': { body: fixture('changesets.md') } });
+      expect(await notes.find({ repository, name: '@sap-ux/ui5-config', version: '1.1.1' })).toEqual({
+        text: '• Fixed the order of <resources> entries',
+        url: 'https://github.com/SAP/open-ux-tools/blob/HEAD/packages/ui5-config/CHANGELOG.md',
+        source: 'changelog',
+      });
+      expect(server.requests.map((request) => request.url)).toEqual([
+        '/api/repos/SAP/open-ux-tools/releases/tags/%40sap-ux%2Fui5-config%401.1.1',
+        '/raw/SAP/open-ux-tools/HEAD/packages/ui5-config/CHANGELOG.md',
+      ]);
+      await server.close();
+
+      await start({
+        '/api/repos/cap-js/sqlite/releases/tags/v1.2.0': { type: 'application/json', body: { html_url: 'https://github.com/cap-js/sqlite/releases/tag/v1.2.0', body: '' } },
+        '/raw/cap-js/sqlite/HEAD/CHANGELOG.md': { body: fixture('conventional.md') },
+      });
+      const found = await notes.find({ repository: 'github:cap-js/sqlite', name: '@cap-js/sqlite', version: '1.2.0' });
+      expect(found).toMatchObject({ source: 'changelog', url: 'https://github.com/cap-js/sqlite/blob/HEAD/CHANGELOG.md' });
+    });
+
+    test('Returns null without notes, for other hosts and on errors', async () => {
+      await start({ '/api/repos/SAP/open-ux-tools/releases/tags/v2.0.0': { status: 403, body: 'rate limited' } });
+
+      expect(await notes.find({ repository, name: '@sap-ux/ui5-config', version: '1.0.0' })).toBeNull();
+      expect(await notes.find({ repository: repository.url, version: '2.0.0' })).toBeNull();
+      expect(await notes.find({ repository: 'gitlab:someone/project', version: '1.0.0' })).toBeNull();
+      // Nothing but the tags and changelogs of 1.0.0, the 403 ends the lookup of 2.0.0
+      expect(server.requests.map((request) => request.url)).toEqual([
+        '/api/repos/SAP/open-ux-tools/releases/tags/%40sap-ux%2Fui5-config%401.0.0',
+        '/raw/SAP/open-ux-tools/HEAD/packages/ui5-config/CHANGELOG.md',
+        '/raw/SAP/open-ux-tools/HEAD/CHANGELOG.md',
+        '/api/repos/SAP/open-ux-tools/releases/tags/v2.0.0',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { createBot } = require('../lib/bot');
+const { createMemoryPublisher } = require('../lib/publishers');
+const { createScheduler, parseCron, nextCronTime } = require('../lib/scheduler');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+function createMemoryState() {
+  const records = new Map();
+  return {
+    load() { return this; },
+    has: (id) => records.has(id),
+    get: (id) => records.get(id),
+    set: (id, fields) => records.set(id, fields),
+    prune: () => 0,
+  };
+}
+
+// A job that only finishes when release() is called
+function createBlockingJob() {
+  const job = { calls: 0 };
+  job.run = () => {
+    job.calls += 1;
+    return new Promise((resolve) => {
+      job.release = resolve;
+    });
+  };
+  return job;
+}
+
+describe('Cron expressions', () => {
+  const next = (expression, from) => nextCronTime(parseCron(expression), new Date(from)).toString();
+
+  test('Finds the next matching minute', () => {
+    expect(next('*/15 * * * *', '2024-03-10T10:07:30')).toBe(new Date('2024-03-10T10:15:00').toString());
+    expect(next('0 * * * *', '2024-03-10T10:00:00')).toBe(new Date('2024-03-10T11:00:00').toString());
+    expect(next('30 8 * * 1-5', '2024-03-09T09:00:00')).toBe(new Date('2024-03-11T08:30:00').toString());
+    expect(next('0 0 1 1 *', '2024-03-09T09:00:00')).toBe(new Date('2025-01-01T00:00:00').toString());
+    expect(next('@daily', '2024-02-28T12:00:00')).toBe(new Date('2024-02-29T00:00:00').toString());
+  });
+
+  test('Matches either day when day of month and day of week are restricted', () => {
+    // The 15th of March 2024 is a Friday, the next Monday is the 11th
+    expect(next('0 12 15 * 1', '2024-03-09T00:00:00')).toBe(new Date('2024-03-11T12:00:00').toString());
+  });
+
+  test('Rejects invalid expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('Invalid minute');
+    expect(() => parseCron('* * * foo *')).toThrow('Invalid month');
+    expect(() => nextCronTime(parseCron('0 0 31 2 *'))).toThrow('never matches');
+  });
+});
+
+describe('Scheduler', () => {
+  test('Never runs a job twice at the same time', async () => {
+    const job = createBlockingJob();
+    const timers = [];
+    const scheduler = createScheduler({
+      job: job.run,
+      schedule: 1000,
+      setTimer: (fn, delay) => timers.push({ fn, delay }),
+      clearTimer: () => {},
+    });
+
+    const first = scheduler.start();
+    expect(scheduler.run()).toBe(first);
+    expect(job.calls).toBe(1);
+    expect(timers).toHaveLength(0);
+
+    job.release();
+    await first;
+    expect(timers).toHaveLength(1);
+    expect(timers[0].delay).toBe(1000);
+    await scheduler.stop();
+  });
+
+  test('Adds random jitter to the delay', async () => {
+    const timers = [];
+    const scheduler = createScheduler({
+      job: async () => {},
+      schedule: '60000',
+      jitter: 10000,
+      random: () => 0.5,
+      setTimer: (fn, delay) => timers.push(delay),
+      clearTimer: () => {},
+    });
+
+    await scheduler.start();
+    expect(timers).toEqual([65000]);
+    await scheduler.stop();
+  });
+
+  test('Plans cron runs relative to the current time', async () => {
+    const timers = [];
+    const scheduler = createScheduler({
+      job: async () => {},
+      schedule: '*/5 * * * *',
+      now: () => new Date('2024-03-10T10:01:00'),
+      setTimer: (fn, delay) => timers.push(delay),
+      clearTimer: () => {},
+    });
+
+    await scheduler.start({ immediate: false });
+    expect(timers).toEqual([4 * 60 * 1000]);
+    await scheduler.stop();
+  });
+
+  test('stop() waits for the running job and plans nothing after it', async () => {
+    const job = createBlockingJob();
+    const timers = [];
+    const scheduler = createScheduler({
+      job: job.run,
+      schedule: 1000,
+      setTimer: (fn, delay) => timers.push(delay),
+      clearTimer: () => {},
+    });
+
+    scheduler.start();
+    let stopped = false;
+    const stopping = scheduler.stop().then(() => {
+      stopped = true;
+    });
+    await Promise.resolve();
+    expect(stopped).toBe(false);
+
+    job.release();
+    await stopping;
+    expect(stopped).toBe(true);
+    expect(timers).toHaveLength(0);
+  });
+});
+
+describe('Bot scheduling', () => {
+  test('Stops after the post in progress', async () => {
+    let releasePost;
+    const publisher = createMemoryPublisher();
+    const publish = publisher.publish;
+    publisher.publish = async (record) => {
+      await new Promise((resolve) => {
+        releasePost = resolve;
+      });
+      return publish(record);
+    };
+    const bot = createBot({
+      name: 'test',
+      sources: [{ name: 'feed', fetch: async () => [{ id: 'a' }, { id: 'b' }] }],
+      format: (item) => ({ text: item.id }),
+      state: createMemoryState(),
+      publisher,
+      rateLimitInterval: 0,
+      log: silentLog,
+      handleSignals: false,
+    });
+
+    const starting = bot.start();
+    while (!releasePost) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    const stopping = bot.stop();
+    releasePost();
+    await Promise.all([starting, stopping]);
+
+    expect(publisher.posts.map((post) => post.text)).toEqual(['a']);
+  });
+
+  test('Runs a check on SIGUSR2 and stops on SIGTERM', async () => {
+    const fetch = jest.fn(async () => []);
+    const bot = createBot({
+      name: 'test',
+      sources: [{ name: 'feed', fetch }],
+      format: (item) => ({ text: item.id }),
+      state: createMemoryState(),
+      publisher: createMemoryPublisher(),
+      checkInterval: 60 * 60 * 1000,
+      log: silentLog,
+    });
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+    try {
+      await bot.start();
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      process.emit('SIGUSR2');
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      process.emit('SIGTERM');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(exit).toHaveBeenCalledWith(0);
+      expect(process.listenerCount('SIGUSR2')).toBe(0);
+    } finally {
+      exit.mockRestore();
+      await bot.stop();
+    }
+  });
+});
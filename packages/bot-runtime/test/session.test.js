@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BskyAgent } = require('@atproto/api');
+const { createSessionManager } = require('../lib/session');
+const { createMockPds, DEFAULT_ACCOUNT } = require('../lib/mock-pds');
+
+describe('Session manager', () => {
+  let pds;
+  let url;
+  let dir;
+  let file;
+  let delays;
+
+  beforeEach(async () => {
+    pds = createMockPds();
+    url = await pds.start();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-session-'));
+    file = path.join(dir, 'session.json');
+    delays = [];
+  });
+
+  afterEach(async () => {
+    await pds.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createManager = (options = {}) => {
+    const agent = new BskyAgent({ service: url });
+    const session = createSessionManager({
+      agent,
+      identifier: DEFAULT_ACCOUNT.identifier,
+      password: DEFAULT_ACCOUNT.password,
+      file,
+      sleep: async (ms) => delays.push(ms),
+      ...options,
+    });
+    return { agent, session };
+  };
+
+  test('Saves the session and resumes it on the next start', async () => {
+    const first = createManager();
+    await first.session.start();
+    expect(first.session.status).toBe('active');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).did).toBe(DEFAULT_ACCOUNT.did);
+
+    const second = createManager();
+    await second.session.start();
+    expect(second.session.status).toBe('resumed');
+    expect(pds.requestsFor('com.atproto.server.createSession')).toHaveLength(1);
+
+    await second.session.run(() => second.agent.post({ text: 'after restart' }));
+    expect(pds.records).toHaveLength(1);
+  });
+
+  test('Refreshes an expired access token transparently', async () => {
+    const { agent, session } = createManager();
+    await session.start();
+    const before = JSON.parse(fs.readFileSync(file, 'utf8')).accessJwt;
+
+    pds.expireAccessTokens();
+    await session.run(() => agent.post({ text: 'still works' }));
+
+    expect(pds.records).toHaveLength(1);
+    expect(pds.requestsFor('com.atproto.server.refreshSession')).toHaveLength(1);
+    expect(pds.requestsFor('com.atproto.server.createSession')).toHaveLength(1);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).accessJwt).not.toBe(before);
+  });
+
+  test('Logs in again when the refresh token was revoked', async () => {
+    const { agent, session } = createManager();
+    await session.start();
+
+    pds.revokeSessions();
+    await session.run(() => agent.post({ text: 'after revoke' }));
+
+    expect(pds.records).toHaveLength(1);
+    expect(pds.requestsFor('com.atproto.server.createSession')).toHaveLength(2);
+    expect(session.status).toBe('active');
+  });
+
+  test('Falls back to a login when the saved session is dead', async () => {
+    const first = createManager();
+    await first.session.start();
+    pds.revokeSessions();
+
+    const second = createManager();
+    await second.session.start();
+
+    expect(second.session.status).toBe('active');
+    expect(pds.requestsFor('com.atproto.server.createSession')).toHaveLength(2);
+  });
+
+  test('Retries the login with exponential backoff', async () => {
+    pds.failNext('com.atproto.server.createSession', { status: 502, error: 'UpstreamFailure' });
+    pds.failNext('com.atproto.server.createSession', { status: 502, error: 'UpstreamFailure' });
+    const { session } = createManager({ baseDelay: 1000 });
+
+    await session.start();
+
+    expect(delays).toEqual([1000, 2000]);
+    expect(session.status).toBe('active');
+  });
+
+  test('Waits for the rate limit reset on 429', async () => {
+    const reset = Math.floor(Date.now() / 1000) + 120;
+    pds.failNext('com.atproto.server.createSession', {
+      status: 429,
+      error: 'RateLimitExceeded',
+      headers: { 'ratelimit-reset': String(reset), 'ratelimit-remaining': '0' },
+    });
+    const { session } = createManager();
+
+    await session.start();
+
+    expect(delays).toHaveLength(1);
+    expect(delays[0]).toBeGreaterThan(100 * 1000);
+    expect(delays[0]).toBeLessThanOrEqual(120 * 1000);
+  });
+
+  test('Gives up after the configured number of attempts', async () => {
+    for (let i = 0; i < 3; i++) {
+      pds.failNext('com.atproto.server.createSession', { status: 500 });
+    }
+    const { session } = createManager({ attempts: 3 });
+
+    await expect(session.start()).rejects.toThrow();
+    expect(session.status).toBe('failed');
+    expect(delays).toHaveLength(2);
+  });
+
+  test('Other errors are passed through without a new login', async () => {
+    const { session } = createManager();
+    await session.start();
+
+    await expect(session.run(async () => { throw new Error('invalid record'); })).rejects.toThrow('invalid record');
+    expect(pds.requestsFor('com.atproto.server.createSession')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore, STATE_FORMAT } = require('../lib/state');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('State store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-state-'));
+    file = path.join(dir, 'posted.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readFile = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  test('Does not create the file before the first change', () => {
+    const store = createStateStore({ file }).load();
+    expect(fs.existsSync(file)).toBe(false);
+
+    store.set('a');
+    expect(readFile().format).toBe(STATE_FORMAT);
+    expect(Object.keys(readFile().records)).toEqual(['a']);
+  });
+
+  test('Stores fields and timestamps per record', () => {
+    let clock = new Date('2025-01-01T00:00:00.000Z');
+    const store = createStateStore({ file, now: () => clock }).load();
+    store.set('feed::1', { uri: 'at://did:plc:abc/app.bsky.feed.post/1' });
+
+    clock = new Date('2025-01-02T00:00:00.000Z');
+    store.set('feed::1', { status: 'checked' });
+
+    const reloaded = createStateStore({ file }).load();
+    expect(reloaded.get('feed::1')).toEqual({
+      uri: 'at://did:plc:abc/app.bsky.feed.post/1',
+      status: 'checked',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-02T00:00:00.000Z',
+    });
+  });
+
+  test('Writes atomically without leaving temporary files', () => {
+    const store = createStateStore({ file }).load();
+    store.set('a');
+    store.set('b');
+    expect(fs.readdirSync(dir)).toEqual(['posted.json']);
+  });
+
+  test('Collects changes for writeDelay and writes them once', () => {
+    jest.useFakeTimers();
+    try {
+      const store = createStateStore({ file, writeDelay: 10000 }).load();
+      const write = jest.spyOn(fs, 'renameSync');
+      store.set('a');
+      store.set('b');
+      store.delete('a');
+      expect(fs.existsSync(file)).toBe(false);
+
+      jest.advanceTimersByTime(10000);
+      expect(write).toHaveBeenCalledTimes(1);
+      expect(Object.keys(readFile().records)).toEqual(['b']);
+
+      store.set('c');
+      store.flush();
+      expect(write).toHaveBeenCalledTimes(2);
+      expect(Object.keys(readFile().records)).toEqual(['b', 'c']);
+      expect(jest.getTimerCount()).toBe(0);
+      write.mockRestore();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('Migrates the id -> uri map layout', () => {
+    fs.writeFileSync(file, JSON.stringify({ 'feed::1': 'at://one', 'feed::2': null }));
+
+    const store = createStateStore({ file }).load();
+    expect(store.isLegacy).toBe(true);
+    expect(store.get('feed::1')).toMatchObject({ uri: 'at://one', migrated: true });
+    expect(store.get('feed::2').uri).toBeNull();
+
+    // Nothing is written until the first change
+    expect(readFile()).toEqual({ 'feed::1': 'at://one', 'feed::2': null });
+    store.migrate();
+    expect(readFile().format).toBe(STATE_FORMAT);
+    expect(JSON.parse(fs.readFileSync(`${file}.legacy.bak`, 'utf8'))).toEqual({ 'feed::1': 'at://one', 'feed::2': null });
+  });
+
+  test('Migrates the legacy array of ids in the map layout', () => {
+    fs.writeFileSync(file, JSON.stringify(['a', 'b']));
+
+    const store = createStateStore({ file }).load();
+    expect(store.keys()).toEqual(['a', 'b']);
+    expect(store.get('a').uri).toBeNull();
+  });
+
+  test('Migrates the list layout', () => {
+    fs.writeFileSync(file, JSON.stringify(['abc', 'def']));
+
+    const store = createStateStore({ file, legacyFormat: 'list' }).load();
+    store.set('ghi', { uri: 'at://ghi' });
+
+    expect(Object.keys(readFile().records)).toEqual(['abc', 'def', 'ghi']);
+    expect(store.export()).toEqual(['abc', 'def', 'ghi']);
+  });
+
+  test('Migrates object values with a custom format', () => {
+    fs.writeFileSync(file, JSON.stringify({ 'did:plc:a': { handle: 'a.test', messageSent: true } }));
+
+    const store = createStateStore({ file }).load();
+    expect(store.get('did:plc:a')).toMatchObject({ handle: 'a.test', messageSent: true });
+
+    const nested = {
+      decode: (data) => new Map(Object.entries(data).map(([id, value]) => [id, { uri: value.postId }])),
+      encode: (entries) => Object.fromEntries([...entries].map(([id, record]) => [id, { postId: record.uri }])),
+    };
+    fs.writeFileSync(file, JSON.stringify({ x: { postId: 'at://x' } }));
+    const custom = createStateStore({ file, legacyFormat: nested }).load();
+    expect(custom.get('x').uri).toBe('at://x');
+    expect(custom.export()).toEqual({ x: { postId: 'at://x' } });
+  });
+
+  test('Exports to the old JSON layouts', () => {
+    const store = createStateStore({ file }).load();
+    store.set('a', { uri: 'at://a' });
+    store.set('b');
+
+    expect(store.export('map')).toEqual({ a: 'at://a', b: null });
+    expect(store.export('list')).toEqual(['a', 'b']);
+    expect(Object.keys(store.export('records'))).toEqual(['a', 'b']);
+  });
+
+  test('Prunes records older than the retention period', () => {
+    let clock = new Date('2025-01-01T00:00:00.000Z');
+    const store = createStateStore({ file, retention: 30 * DAY, now: () => clock }).load();
+    store.set('old');
+    clock = new Date('2025-01-25T00:00:00.000Z');
+    store.set('new');
+
+    clock = new Date('2025-02-05T00:00:00.000Z');
+    expect(store.prune()).toBe(1);
+    expect(store.keys()).toEqual(['new']);
+    expect(Object.keys(readFile().records)).toEqual(['new']);
+  });
+
+  test('Does not prune without a retention period', () => {
+    const store = createStateStore({ file }).load();
+    store.set('a');
+    expect(store.prune()).toBe(0);
+  });
+
+  test('Rejects unknown formats and newer files', () => {
+    expect(() => createStateStore({ file, legacyFormat: 'csv' })).toThrow('Unknown state format');
+
+    fs.writeFileSync(file, JSON.stringify({ format: STATE_FORMAT, version: 99, records: {} }));
+    expect(() => createStateStore({ file }).load()).toThrow('newer version');
+  });
+
+  test('Remembers the sources of a bot', () => {
+    const store = createStateStore({ file }).load();
+    expect(store.tracksSources).toBe(true);
+    store.addSource('feed', { seeded: 2 });
+    store.setMany(['a', 'b'], { seeded: true });
+
+    const reloaded = createStateStore({ file }).load();
+    expect(reloaded.hasSource('feed')).toBe(true);
+    expect(reloaded.hasSource('other')).toBe(false);
+    expect(reloaded.sources().feed).toMatchObject({ seeded: 2 });
+    expect(reloaded.get('b')).toMatchObject({ seeded: true });
+  });
+
+  test('Older files do not track sources until they are adopted', () => {
+    fs.writeFileSync(file, JSON.stringify({ format: STATE_FORMAT, version: 1, records: { a: { uri: 'at://a' } } }));
+
+    const store = createStateStore({ file }).load();
+    expect(store.tracksSources).toBe(false);
+    expect(store.sources()).toBeNull();
+    store.adoptSources(['feed']);
+    expect(readFile()).toMatchObject({ version: 2, sources: { feed: { adopted: true } } });
+    expect(createStateStore({ file }).load().hasSource('feed')).toBe(true);
+  });
+});
@@ -0,0 +1,123 @@
+const { createBot } = require('../lib/bot');
+const { splitIntoPosts, linkText, postUrl } = require('../lib/thread');
+const { countGraphemes } = require('../lib/composer');
+const { createMemoryPublisher } = require('../lib/publishers');
+const { createLogger } = require('../lib/log');
+
+const silentLog = createLogger('test', { level: 'silent' });
+
+const createMemoryState = () => {
+  const records = new Map();
+  return {
+    load() { return this; },
+    has: (id) => records.has(id),
+    get: (id) => records.get(id),
+    set: (id, fields) => records.set(id, { ...records.get(id), ...fields }),
+    prune: () => 0,
+  };
+};
+
+// The text a facet covers
+const facetText = (text, facet) => Buffer.from(text).subarray(facet.index.byteStart, facet.index.byteEnd).toString();
+
+describe('Threads', () => {
+  test('Links the text of segments', () => {
+    const { text, facets } = linkText(['📦 New: ', { text: 'Ünïcode title', link: 'https://example.com/a' }, ' and more']);
+    expect(text).toBe('📦 New: Ünïcode title and more');
+    expect(facets).toHaveLength(1);
+    expect(facetText(text, facets[0])).toBe('Ünïcode title');
+    expect(facets[0].features).toEqual([{ $type: 'app.bsky.richtext.facet#link', uri: 'https://example.com/a' }]);
+  });
+
+  test('Turns post URIs into bsky.app links', () => {
+    expect(postUrl('at://did:plc:abc/app.bsky.feed.post/3kxyz')).toBe('https://bsky.app/profile/did:plc:abc/post/3kxyz');
+    expect(postUrl('at://did:plc:abc/app.bsky.feed.like/3kxyz')).toBeNull();
+    expect(postUrl(null)).toBeNull();
+  });
+
+  test('Splits lines over as many posts as needed', () => {
+    const lines = Array.from({ length: 40 }, (_, index) => ['• ', { text: `Post number ${index + 1}`, link: `https://example.com/${index + 1}` }]);
+    const posts = splitIntoPosts(lines, { header: ['Blogs (40):'], continued: ['Blogs (continued):'] });
+
+    expect(posts.length).toBeGreaterThan(1);
+    expect(posts[0].text.startsWith('Blogs (40):\n• Post number 1\n')).toBe(true);
+    expect(posts[1].text.startsWith('Blogs (continued):\n• ')).toBe(true);
+    for (const post of posts) {
+      expect(countGraphemes(post.text)).toBeLessThanOrEqual(300);
+    }
+    const links = posts.flatMap((post) => post.facets.map((facet) => [facetText(post.text, facet), facet.features[0].uri]));
+    expect(links).toHaveLength(40);
+    expect(links[39]).toEqual(['Post number 40', 'https://example.com/40']);
+  });
+
+  test('Shortens a line that does not fit into a post of its own', () => {
+    const [post] = splitIntoPosts([['• ', { text: '🚀'.repeat(400), link: 'https://example.com/long' }]], { header: ['Releases:'] });
+    expect(countGraphemes(post.text)).toBe(300);
+    expect(post.text.endsWith('…')).toBe(true);
+    expect(facetText(post.text, post.facets[0]).startsWith('🚀')).toBe(true);
+    expect(splitIntoPosts([], { header: ['Nothing new'] })).toEqual([{ text: 'Nothing new', facets: [] }]);
+  });
+
+  test('The bot posts replies as a thread', async () => {
+    const publisher = createMemoryPublisher();
+    const state = createMemoryState();
+    const bot = createBot({
+      name: 'test',
+      sources: [{ name: 'digest', fetch: async () => [{ id: 'week' }] }],
+      format: () => ({
+        ...linkText(['Root with ', { text: 'a link', link: 'https://example.com' }]),
+        replies: [{ text: 'First https://example.com/first' }, { text: 'Second' }],
+      }),
+      state,
+      publisher,
+      linkCards: null,
+      rateLimitInterval: 0,
+      handleSignals: false,
+      log: silentLog,
+    });
+
+    await bot.check();
+
+    const [root, first, second] = publisher.posts;
+    expect(root.facets).toHaveLength(1);
+    expect(root.reply).toBeUndefined();
+    const rootRef = { uri: 'at://did:plc:memory/app.bsky.feed.post/1', cid: 'cid1' };
+    expect(first.reply).toEqual({ root: rootRef, parent: rootRef });
+    expect(first.facets[0].features[0].uri).toBe('https://example.com/first');
+    expect(second.reply).toEqual({ root: rootRef, parent: { uri: 'at://did:plc:memory/app.bsky.feed.post/2', cid: 'cid2' } });
+    expect(state.get('week')).toMatchObject({
+      uri: rootRef.uri,
+      source: 'digest',
+      replies: ['at://did:plc:memory/app.bsky.feed.post/2', 'at://did:plc:memory/app.bsky.feed.post/3'],
+    });
+  });
+
+  test('A failed reply ends the thread without posting the item again', async () => {
+    const publisher = createMemoryPublisher();
+    const publish = publisher.publish;
+    publisher.publish = jest.fn(async (record) => {
+      if (record.text === 'Second') {
+        throw new Error('rate limited');
+      }
+      return publish(record);
+    });
+    const state = createMemoryState();
+    const bot = createBot({
+      name: 'test',
+      sources: [{ name: 'digest', fetch: async () => [{ id: 'week' }] }],
+      format: () => ({ text: 'Root', replies: [{ text: 'First' }, { text: 'Second' }, { text: 'Third' }] }),
+      state,
+      publisher,
+      linkCards: null,
+      rateLimitInterval: 0,
+      handleSignals: false,
+      log: silentLog,
+    });
+
+    await bot.check();
+    await bot.check();
+
+    expect(publisher.posts.map((post) => post.text)).toEqual(['Root', 'First']);
+    expect(state.get('week').replies).toHaveLength(1);
+  });
+});
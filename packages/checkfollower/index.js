@@ -5,13 +5,20 @@ const { BskyAgent } = require('@atproto/api');
 const sharp = require('sharp');
 const axios = require('axios');
 const fs = require('fs').promises;
+const path = require('path');
+const { getService, getChatProxy, createStateStore, createLogger } = require('bluesky-bot-runtime');
 
 const BLUESKY_USERNAME = process.env.BLUESKY_USERNAME;
 const BLUESKY_PASSWORD = process.env.BLUESKY_PASSWORD;
+const BLUESKY_SERVICE = getService();
+const CHAT_PROXY = getChatProxy();
+const PROGRESS_FILE = path.join(__dirname, 'progress.json');
+
+const log = createLogger('checkfollower');
 
 // Create axios instance for Bluesky API
 const blueSkySocialAPI = axios.create({
-  baseURL: 'https://bsky.social/xrpc',
+  baseURL: `${BLUESKY_SERVICE}/xrpc`,
 });
 
 async function createSession() {
@@ -48,7 +55,7 @@ async function getConvoForMembers(accountPDS, members) {
     headers: {
       'Content-Type': 'application/json',
       Accept: 'application/json',
-      'Atproto-Proxy': 'did:web:api.bsky.chat#bsky_chat',
+      'Atproto-Proxy': CHAT_PROXY,
     },
     baseURL: `${accountPDS}/xrpc`,
   });
@@ -73,7 +80,7 @@ async function sendMessage(accountPDS, convoId, message) {
         headers: {
           'Content-Type': 'application/json',
           Accept: 'application/json',
-          'Atproto-Proxy': 'did:web:api.bsky.chat#bsky_chat',
+          'Atproto-Proxy': CHAT_PROXY,
         },
         baseURL: `${accountPDS}/xrpc`,
       }
@@ -89,24 +96,22 @@ async function sendMessage(accountPDS, convoId, message) {
   }
 }
 
-async function loadProgress() {
-  try {
-    const data = await fs.readFile('progress.json', 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    // If file doesn't exist or is invalid, return empty object
-    return {};
+// Check results and message status per follower DID
+let progressStore = null;
+
+function openProgress() {
+  if (!progressStore) {
+    progressStore = createStateStore({ file: PROGRESS_FILE }).load();
   }
+  return progressStore;
 }
 
 async function saveProgress(did, checkResults, messageStatus = null) {
-  const progress = await loadProgress();
-  progress[did] = {
+  openProgress().set(did, {
     ...checkResults,
     lastChecked: new Date().toISOString(),
     messageSent: messageStatus
-  };
-  await fs.writeFile('progress.json', JSON.stringify(progress, null, 2));
+  });
 }
 
 async function listConvos(accountPDS, limit = 100) {
@@ -120,7 +125,7 @@ async function listConvos(accountPDS, limit = 100) {
       headers: {
         'Content-Type': 'application/json',
         Accept: 'application/json',
-        'Atproto-Proxy': 'did:web:api.bsky.chat#bsky_chat',
+        'Atproto-Proxy': CHAT_PROXY,
       },
       baseURL: `${accountPDS}/xrpc`,
     });
@@ -129,7 +134,7 @@ async function listConvos(accountPDS, limit = 100) {
     allConvos = allConvos.concat(response.data.convos);
     cursor = response.data.cursor;
     
-    console.log(`Fetched ${response.data.convos.length} conversations`);
+    log.info(`Fetched ${response.data.convos.length} conversations`);
   } while (cursor);
 
   return { convos: allConvos };
@@ -175,6 +180,7 @@ async function isDefaultAvatar(imageBuffer) {
 // Only export what's needed for testing
 module.exports = { 
   isDefaultAvatar,
+  openProgress,
   createSession,
   getConvoForMembers,
   sendMessage
@@ -186,7 +192,7 @@ if (require.main === module) {
     try {
       // Initialize the Bluesky agent
       const agent = new BskyAgent({
-        service: 'https://bsky.social',
+        service: BLUESKY_SERVICE,
       });
 
       // Login to Bluesky
@@ -196,11 +202,12 @@ if (require.main === module) {
           password: BLUESKY_PASSWORD,
         });
         checkRateLimit(loginResponse.headers);
-        console.log('Logged into Bluesky successfully.');
+        log.info('Logged into Bluesky successfully.');
       } catch (error) {
         if (error.status === 429) {
-          console.error('Rate limit exceeded during login.');
-          console.error(`Limit will reset at: ${new Date(error.headers['ratelimit-reset'] * 1000).toLocaleString()}`);
+          log.error('Rate limit exceeded during login.', {
+            resetAt: new Date(error.headers['ratelimit-reset'] * 1000).toISOString(),
+          });
           process.exit(1);
         }
         throw error;
@@ -208,7 +215,7 @@ if (require.main === module) {
 
       // Get your own DID (Decentralized Identifier)
       const myDid = agent.session.did;
-      console.log(`Your DID: ${myDid}`);
+      log.info(`Your DID: ${myDid}`, { did: myDid });
 
       // Fetch your followers
       let followers = [];
@@ -225,18 +232,18 @@ if (require.main === module) {
         followers = followers.concat(response.data.followers);
         cursor = response.data.cursor;
 
-        console.log(`Fetched ${response.data.followers.length} followers.`);
+        log.info(`Fetched ${response.data.followers.length} followers.`);
       } while (cursor);
 
-      console.log(`Total followers fetched: ${followers.length}`);
+      log.info(`Total followers fetched: ${followers.length}`);
 
       // Create an array to store followers needing updates
       const followersNeedingUpdates = [];
 
       // Process each follower
       for (const follower of followers) {
-        console.log('----------------------------------');
-        console.log(`Processing follower: ${follower.handle}`);
+        const followerLog = log.child({ itemId: follower.did, handle: follower.handle });
+        followerLog.info(`Processing follower: ${follower.handle}`);
 
         const checkResults = {
           handle: follower.handle,
@@ -249,7 +256,7 @@ if (require.main === module) {
         // Check if displayName is empty
         if (!follower.displayName || follower.displayName.trim() === '') {
           checkResults.needsDisplayNameUpdate = true;
-          console.log(`User ${follower.handle} has no displayName.`);
+          followerLog.info(`User ${follower.handle} has no displayName.`);
         }
 
         // Check Avatar
@@ -265,15 +272,15 @@ if (require.main === module) {
             
             if (isDefault) {
               checkResults.needsAvatarUpdate = true;
-              console.log(`User ${follower.handle} has a default avatar.`);
+              followerLog.info(`User ${follower.handle} has a default avatar.`);
             }
           } catch (error) {
-            console.error(`Error processing avatar for ${follower.handle}:`, error.message);
+            followerLog.error(`Error processing avatar for ${follower.handle}: ${error.message}`);
           }
         } else {
           checkResults.needsAvatarUpdate = true;
           checkResults.avatarUrl = null;
-          console.log(`User ${follower.handle} has no avatar.`);
+          followerLog.info(`User ${follower.handle} has no avatar.`);
         }
 
         // Save progress after checks
@@ -289,12 +296,14 @@ if (require.main === module) {
       }
 
       // Output results
-      console.log('\n=== Followers Needing Updates ===');
+      log.info(`${followersNeedingUpdates.length} followers need updates.`);
       followersNeedingUpdates.forEach(follower => {
-        console.log(`\nHandle: @${follower.handle}`);
-        console.log(`DID: ${follower.did}`);
-        console.log(`Needs Avatar Update: ${follower.needsAvatarUpdate}`);
-        console.log(`Needs Display Name Update: ${follower.needsDisplayNameUpdate}`);
+        log.info(`Follower needs updates: @${follower.handle}`, {
+          itemId: follower.did,
+          handle: follower.handle,
+          needsAvatarUpdate: follower.needsAvatarUpdate,
+          needsDisplayNameUpdate: follower.needsDisplayNameUpdate,
+        });
       });
 
       // Save results to a file
@@ -302,12 +311,12 @@ if (require.main === module) {
         'followers-needing-updates.json', 
         JSON.stringify(followersNeedingUpdates, null, 2)
       );
-      console.log('\nResults saved to followers-needing-updates.json');
+      log.info('Results saved to followers-needing-updates.json');
 
     } catch (error) {
-      console.error('Error:', error.message);
+      log.error(`Error: ${error.message}`, error);
       if (error.status === 429) {
-        console.error('Script stopped due to rate limiting.');
+        log.error('Script stopped due to rate limiting.');
       }
       process.exit(1);
     }
@@ -1,11 +1,16 @@
 require('dotenv').config();
 const fs = require('fs').promises;
 const axios = require('axios');
-const { createSession, sendMessage } = require('./index.js');
+const { getService, getChatProxy, createLogger } = require('bluesky-bot-runtime');
+const { createSession, sendMessage, openProgress } = require('./index.js');
+
+const CHAT_PROXY = getChatProxy();
+
+const log = createLogger('send-messages');
 
 // Create axios instance for Bluesky API
 const blueSkySocialAPI = axios.create({
-  baseURL: 'https://bsky.social/xrpc',
+  baseURL: `${getService()}/xrpc`,
 });
 
 async function loadApprovedFollowers() {
@@ -13,20 +18,11 @@ async function loadApprovedFollowers() {
     const data = await fs.readFile('followers-needing-updates.json', 'utf8');
     return JSON.parse(data);
   } catch (error) {
-    console.error('Error loading followers:', error.message);
+    log.error(`Error loading followers: ${error.message}`);
     return [];
   }
 }
 
-async function loadProgress() {
-  try {
-    const data = await fs.readFile('progress.json', 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return {};
-  }
-}
-
 async function getConvoForMembers(accountPDS, members) {
   const url = 'chat.bsky.convo.getConvoForMembers';
 
@@ -37,7 +33,7 @@ async function getConvoForMembers(accountPDS, members) {
     headers: {
       'Content-Type': 'application/json',
       Accept: 'application/json',
-      'Atproto-Proxy': 'did:web:api.bsky.chat#bsky_chat',
+      'Atproto-Proxy': CHAT_PROXY,
     },
     baseURL: `${accountPDS}/xrpc`,
   });
@@ -53,7 +49,7 @@ async function main() {
   try {
     // Get followers needing updates
     const followers = await loadApprovedFollowers();
-    const progress = await loadProgress();
+    const progress = openProgress();
 
     if (isTestMode) {
       // Test mode: Show sample messages and send to test bot
@@ -63,11 +59,10 @@ async function main() {
         { handle: 'test.user', needsDisplayNameUpdate: false, needsAvatarUpdate: true },
       ];
 
-      console.log('Test Mode - Sample Messages:');
+      log.info('Test Mode - Sample Messages:');
       testCases.forEach(testCase => {
         const message = getMessageText(testCase);
-        console.log(`\nScenario: ${JSON.stringify(testCase)}`);
-        console.log(`Message: ${message}`);
+        log.info(`Scenario: ${JSON.stringify(testCase)}`, { message });
       });
 
       try {
@@ -83,15 +78,14 @@ async function main() {
           needsAvatarUpdate: true
         };
 
-        console.log(`\nSending test message to ${testBot.handle}...`);
+        log.info(`Sending test message to ${testBot.handle}...`, { itemId: testBot.did });
         const messageText = getMessageText(testBot);
         const convoResponse = await getConvoForMembers(pdsEndpoint, [session.did, testBot.did]);
         const convoId = convoResponse.convo.id;
         await sendMessage(pdsEndpoint, convoId, messageText);
-        console.log('Test message sent successfully!');
+        log.info('Test message sent successfully!', { itemId: testBot.did });
       } catch (error) {
-        console.error('Error in test mode:', {
-          message: error.message,
+        log.error(`Error in test mode: ${error.message}`, {
           response: error.response?.data,
           status: error.response?.status,
           statusText: error.response?.statusText
@@ -106,25 +100,26 @@ async function main() {
     blueSkySocialAPI.defaults.headers.common['Authorization'] = `Bearer ${session.accessJwt}`;
     const pdsEndpoint = session.service[0].serviceEndpoint;
     
-    console.log(`Found ${followers.length} followers to process`);
-    console.log(`Will send maximum of ${maxMessages === Infinity ? 'unlimited' : maxMessages} messages`);
+    log.info(`Found ${followers.length} followers to process`);
+    log.info(`Will send maximum of ${maxMessages === Infinity ? 'unlimited' : maxMessages} messages`);
 
     let messagesSent = 0;
 
     for (const follower of followers) {
       // Stop if we've reached the maximum number of messages
       if (messagesSent >= maxMessages) {
-        console.log(`Reached maximum message count of ${maxMessages}, stopping...`);
+        log.info(`Reached maximum message count of ${maxMessages}, stopping...`);
         break;
       }
 
       // Skip if we've already messaged them
-      if (progress[follower.did]?.messageSent) {
-        console.log(`Already messaged ${follower.handle}, skipping...`);
+      const followerLog = log.child({ itemId: follower.did, handle: follower.handle });
+      if (progress.get(follower.did)?.messageSent) {
+        followerLog.info(`Already messaged ${follower.handle}, skipping...`);
         continue;
       }
 
-      console.log(`Processing ${follower.handle}...`);
+      followerLog.info(`Processing ${follower.handle}...`);
 
       try {
         const messageText = getMessageText(follower);
@@ -135,30 +130,28 @@ async function main() {
 
         // Send message
         await sendMessage(pdsEndpoint, convoId, messageText);
-        console.log(`Message sent to ${follower.handle}`);
+        followerLog.info(`Message sent to ${follower.handle}`);
         messagesSent++;
 
         // Update progress
-        progress[follower.did] = {
-          ...progress[follower.did],
+        progress.set(follower.did, {
           messageSent: true,
           messageSentAt: new Date().toISOString()
-        };
-        await fs.writeFile('progress.json', JSON.stringify(progress, null, 2));
+        });
 
         // Add delay between messages
         await new Promise(resolve => setTimeout(resolve, 1000));
 
       } catch (error) {
-        console.error(`Error processing ${follower.handle}:`, error.message);
+        followerLog.error(`Error processing ${follower.handle}: ${error.message}`);
         continue;
       }
     }
 
-    console.log(`Finished processing. Sent ${messagesSent} messages.`);
+    log.info(`Finished processing. Sent ${messagesSent} messages.`);
 
   } catch (error) {
-    console.error('Error:', error.message);
+    log.error(`Error: ${error.message}`, error);
     process.exit(1);
   }
 }
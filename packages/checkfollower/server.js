@@ -1,12 +1,15 @@
 const express = require('express');
 const app = express();
 const path = require('path');
+const { createLogger } = require('bluesky-bot-runtime');
+
+const log = createLogger('checkfollower-report');
 
 // Serve static files from the current directory
 app.use(express.static(__dirname));
 
 const PORT = 3000;
 app.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`);
-    console.log(`View report at http://localhost:${PORT}/followers-report.html`);
+    log.info(`Server running at http://localhost:${PORT}`);
+    log.info(`View report at http://localhost:${PORT}/followers-report.html`);
 }); 
\ No newline at end of file
@@ -0,0 +1,59 @@
+const { createMockPds, DEFAULT_ACCOUNT } = require('bluesky-bot-runtime');
+
+describe('XRPC calls against the mock PDS', () => {
+  let pds;
+  let checkfollower;
+
+  beforeAll(async () => {
+    pds = createMockPds({
+      rateLimits: { 'chat.bsky.convo.sendMessage': { limit: 2, window: 60 } },
+    });
+    const url = await pds.start();
+
+    process.env.BLUESKY_SERVICE = url;
+    process.env.BLUESKY_CHAT_PROXY = 'did:web:chat.test#bsky_chat';
+    process.env.BLUESKY_USERNAME = DEFAULT_ACCOUNT.identifier;
+    process.env.BLUESKY_PASSWORD = DEFAULT_ACCOUNT.password;
+    jest.isolateModules(() => {
+      checkfollower = require('../index');
+    });
+  });
+
+  afterAll(async () => {
+    await pds.close();
+    delete process.env.BLUESKY_SERVICE;
+    delete process.env.BLUESKY_CHAT_PROXY;
+  });
+
+  test('Creates a session on the configured service', async () => {
+    const session = await checkfollower.createSession();
+    expect(session.did).toBe(DEFAULT_ACCOUNT.did);
+    expect(session.service[0].serviceEndpoint).toBe(pds.url);
+    expect(pds.requestsFor('com.atproto.server.createSession')).toHaveLength(1);
+  });
+
+  test('Sends chat messages through the configured proxy', async () => {
+    const session = await checkfollower.createSession();
+    const pdsEndpoint = session.service[0].serviceEndpoint;
+
+    const { convo } = await checkfollower.getConvoForMembers(pdsEndpoint, [session.did, 'did:plc:follower']);
+    await checkfollower.sendMessage(pdsEndpoint, convo.id, 'Hello there');
+
+    expect(pds.messages).toEqual([expect.objectContaining({ convoId: convo.id, text: 'Hello there' })]);
+    const [request] = pds.requestsFor('chat.bsky.convo.sendMessage');
+    expect(request.headers['atproto-proxy']).toBe('did:web:chat.test#bsky_chat');
+  });
+
+  test('Stops when the rate limit is used up', async () => {
+    const session = await checkfollower.createSession();
+    const pdsEndpoint = session.service[0].serviceEndpoint;
+    const { convo } = await checkfollower.getConvoForMembers(pdsEndpoint, [session.did, 'did:plc:follower']);
+
+    // The previous test used one of the two messages, the second one is
+    // delivered but reports the limit as exhausted
+    await expect(checkfollower.sendMessage(pdsEndpoint, convo.id, 'Second')).rejects.toThrow('Rate limit exceeded');
+    // The server answers 429 from now on
+    await expect(checkfollower.sendMessage(pdsEndpoint, convo.id, 'Third')).rejects.toThrow('Rate limit exceeded');
+    expect(pds.messages.map((message) => message.text)).toEqual(['Hello there', 'Second']);
+  });
+});
@@ -1,170 +1,169 @@
 require('dotenv').config();
-const { BskyAgent, RichText } = require('@atproto/api');
 const snoowrap = require('snoowrap');
-const fs = require('fs');
 const path = require('path');
-
-// Configuration from environment variables
-const BLUESKY_USERNAME = process.env.BLUESKY_USERNAME;
-const BLUESKY_PASSWORD = process.env.BLUESKY_PASSWORD;
+const {
+  createBot,
+  createStateStore,
+  createConfig,
+  botConfigSchema,
+  createLogger,
+  decodeEntities,
+  createComposer,
+  shortenText,
+  createItemFilter,
+  filtersSchema,
+} = require('bluesky-bot-runtime');
 
 const REDDIT_CLIENT_ID = process.env.REDDIT_CLIENT_ID;
 const REDDIT_CLIENT_SECRET = process.env.REDDIT_CLIENT_SECRET;
 const REDDIT_USERNAME = process.env.REDDIT_USERNAME;
 const REDDIT_PASSWORD = process.env.REDDIT_PASSWORD;
 
-// Constants
-const CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
-const BLUESKY_RATE_LIMIT_INTERVAL = 1000; // 1 post per second
+// Settings read from config.yaml (or the file in BOT_CONFIG)
+const CONFIG_FILE = process.env.BOT_CONFIG || path.join(__dirname, 'config.yaml');
+const CONFIG_SCHEMA = botConfigSchema({
+  // Subreddits to monitor, without the r/
+  subreddits: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^[A-Za-z0-9_]+$' }, env: 'SUBREDDITS' },
+  // Newest posts fetched per subreddit and check
+  postsPerCheck: { type: 'integer', minimum: 1, maximum: 100, default: 10, env: 'REDDIT_POSTS_PER_CHECK' },
+  // Reddit asks for a unique user agent: <platform>:<app ID>:<version> (by /u/<username>)
+  userAgent: { type: 'string', pattern: '\\S', env: 'REDDIT_USER_AGENT' },
+  // Include/exclude rules per subreddit ("r/SAP") or for all ("*")
+  filters: filtersSchema,
+}, { required: ['subreddits', 'userAgent'] });
+
 const POSTED_IDS_FILE = path.join(__dirname, 'posted_reddit_posts.json');
-const SUBREDDITS = ['SAP', 'abap', 'sapui5']; // Add array of subreddits to monitor
+const STATE_RETENTION = 90 * 24 * 60 * 60 * 1000; // Forget posts after 90 days, only the newest posts are fetched
 
-// Initialize the Bluesky agent
-const agent = new BskyAgent({
-  service: 'https://bsky.social',
-});
+const log = createLogger('reddit');
+
+let config;
+try {
+  config = createConfig({ file: CONFIG_FILE, schema: CONFIG_SCHEMA, log });
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
 
 // Initialize Reddit client
-const reddit = new snoowrap({
-  userAgent: 'YourBotName/1.0 (by u/your_reddit_username)',
+const createRedditClient = ({ userAgent }) => new snoowrap({
+  userAgent,
   clientId: REDDIT_CLIENT_ID,
   clientSecret: REDDIT_CLIENT_SECRET,
   username: REDDIT_USERNAME,
   password: REDDIT_PASSWORD,
 });
+let reddit = createRedditClient(config.current);
+config.onReload((current, previous) => {
+  if (current.userAgent !== previous.userAgent) {
+    reddit = createRedditClient(current);
+  }
+});
 
-(async () => {
-  try {
-    // Login to Bluesky
-    await agent.login({
-      identifier: BLUESKY_USERNAME,
-      password: BLUESKY_PASSWORD,
-    });
-    console.log('Logged into Bluesky successfully.');
-
-    // Load or initialize the list of posted Reddit post IDs
-    let postedIds = new Set();
-    if (fs.existsSync(POSTED_IDS_FILE)) {
-      const data = fs.readFileSync(POSTED_IDS_FILE, 'utf8');
-      postedIds = new Set(JSON.parse(data));
-    } else {
-      fs.writeFileSync(POSTED_IDS_FILE, JSON.stringify([...postedIds], null, 2));
-    }
-
-    let lastPostTime = 0;
-
-    // Function to check for new Reddit posts
-    const checkRedditPosts = async () => {
-      try {
-        console.log('Checking Reddit for new posts...');
-
-        // Fetch new posts from all subreddits
-        for (const subredditName of SUBREDDITS) {
-          console.log(`Checking r/${subredditName}...`);
-          const subreddit = await reddit.getSubreddit(subredditName);
-          const newPosts = await subreddit.getNew({ limit: 10 });
-
-          if (!newPosts || newPosts.length === 0) {
-            console.log(`No new posts found in r/${subredditName}`);
-            continue;
-          }
-
-          // Process each post
-          for (const post of newPosts) {
-            const postId = post.id;
-
-            // Check if we've already posted this Reddit post
-            if (postedIds.has(postId)) {
-              continue;
-            }
-
-            // Enforce Bluesky rate limit
-            const now = Date.now();
-            const timeSinceLastPost = now - lastPostTime;
-            if (timeSinceLastPost < BLUESKY_RATE_LIMIT_INTERVAL) {
-              const waitTime = BLUESKY_RATE_LIMIT_INTERVAL - timeSinceLastPost;
-              console.log(`Rate limit in effect. Waiting ${waitTime / 1000} seconds...`);
-              await new Promise((resolve) => setTimeout(resolve, waitTime));
-            }
-
-            // Prepare the post text and embed content
-            const postLink = `https://www.reddit.com${post.permalink}`;
-            let postText;
-            let embed = undefined;
-
-            if (post.selftext) {
-              // If there's selftext, use embed and keep post text minimal
-              postText = `New post in r/${subredditName} by u/${post.author.name}:\n🔗 Link: ${postLink}`;
-              embed = {
-                $type: 'app.bsky.embed.external',
-                external: {
-                  uri: postLink,
-                  title: post.title,
-                  description: post.selftext.length > 300 
-                    ? post.selftext.substring(0, 297) + '...' 
-                    : post.selftext
-                }
-              };
-            } else {
-              // If no selftext, include the title in the post text
-              const baseText = `New post in r/${subredditName} by u/${post.author.name}:\n📝 `;
-              const suffix = `\n🔗 Link: ${postLink}`;
-              const maxTitleLength = 290 - (baseText.length + suffix.length);
-              
-              const truncatedTitle = post.title.length > maxTitleLength 
-                ? post.title.substring(0, maxTitleLength - 3) + '...'
-                : post.title;
-              
-              postText = baseText + truncatedTitle + suffix;
-            }
-
-            // Create a RichText instance
-            const rt = new RichText({ text: postText });
-
-            // Detect facets (links, mentions, hashtags)
-            await rt.detectFacets(agent);
-
-            // Check if the content exceeds the limit
-            const { charactersRemaining } = rt;
-            if (charactersRemaining < 0) {
-              // Truncate the text and re-detect facets
-              rt.setText(rt.text.slice(0, rt.text.length + charactersRemaining - 1) + '…');
-              await rt.detectFacets(agent);
-              console.log('Post content was too long and has been truncated.');
-            }
-
-            // Post to Bluesky
-            const postResponse = await agent.post({
-              text: rt.text,
-              facets: rt.facets,
-              embed: embed,
-              createdAt: new Date().toISOString(),
-            });
-
-            console.log(`Posted to Bluesky: Reddit post ID ${postId}`);
-
-            // Update last post time and posted IDs
-            lastPostTime = Date.now();
-
-            // Add the post ID to the posted IDs set and save
-            postedIds.add(postId);
-            fs.writeFileSync(POSTED_IDS_FILE, JSON.stringify([...postedIds], null, 2));
-
-            // Wait a bit before processing the next post to respect rate limits
-            await new Promise((resolve) => setTimeout(resolve, BLUESKY_RATE_LIMIT_INTERVAL));
-          }
-        }
-      } catch (error) {
-        console.error('Error checking Reddit posts:', error);
+// Include/exclude rules, compiled again when the config is reloaded
+let itemFilter = createItemFilter(config.current.filters);
+config.onReload((current) => {
+  itemFilter = createItemFilter(current.filters);
+});
+
+// Decide about a new post, see filters.js
+const filterPost = (item, source) => itemFilter.evaluate(source.name, {
+  title: item.title,
+  body: item.selftext,
+  author: item.author,
+  flair: item.flair,
+});
+
+// Full size preview image of a post, Reddit escapes the & in its URLs
+function getPreviewImage(post) {
+  const images = post.preview && post.preview.images;
+  const source = images && images[0] && images[0].source;
+  if (source && source.url) {
+    return decodeEntities(source.url);
+  }
+  return /^https?:\/\//.test(post.thumbnail || '') ? post.thumbnail : null;
+}
+
+// Source for the newest posts of one subreddit
+function createSubredditSource(subredditName) {
+  return {
+    name: `r/${subredditName}`,
+    fetch: async ({ log }) => {
+      const subreddit = await reddit.getSubreddit(subredditName);
+      const newPosts = await subreddit.getNew({ limit: config.current.postsPerCheck });
+
+      if (!newPosts || newPosts.length === 0) {
+        log.info(`No new posts found in r/${subredditName}`);
+        return [];
       }
-    };
 
-    // Initial check
-    await checkRedditPosts();
+      return newPosts.map((post) => ({
+        id: post.id,
+        label: `Reddit post ID ${post.id}`,
+        subredditName,
+        author: post.author.name,
+        title: post.title,
+        selftext: post.selftext,
+        flair: post.link_flair_text || null,
+        published: new Date(post.created_utc * 1000).toISOString(),
+        permalink: post.permalink,
+        previewImage: getPreviewImage(post),
+      }));
+    },
+  };
+}
+
+// Post templates, only the title is shortened to fit
+const composer = createComposer({
+  // Self posts: the text goes into a link card
+  card: 'New post in r/{subredditName} by u/{author}:\n🔗 Link: {link}',
+  // Link posts: the title is part of the text
+  post: { text: 'New post in r/{subredditName} by u/{author}:\n📝 {title}\n🔗 Link: {link}', shorten: ['title'] },
+});
 
-    // Schedule the check at the specified interval
-    setInterval(checkRedditPosts, CHECK_INTERVAL);
-  } catch (error) {
-    console.error('Error initializing the script:', error);
+// Prepare the post text and embed content
+function formatPost({ subredditName, author, title, selftext, permalink, previewImage }) {
+  const link = `https://www.reddit.com${permalink}`;
+
+  if (selftext) {
+    // If there's selftext, use embed and keep post text minimal
+    return {
+      text: composer.compose('card', { subredditName, author, link }),
+      embed: {
+        $type: 'app.bsky.embed.external',
+        external: {
+          uri: link,
+          title: title,
+          description: shortenText(selftext, 300),
+        }
+      },
+      // Thumbnail of the card, the runtime falls back to the page's og:image
+      thumbnail: previewImage || undefined,
+    };
   }
-})();
+
+  // If no selftext, include the title in the post text
+  return { text: composer.compose('post', { subredditName, author, title, link }) };
+}
+
+const bot = createBot({
+  name: 'reddit',
+  config,
+  log,
+  // Read on every check, so a reloaded config applies to the next one
+  sources: () => config.current.subreddits.map(createSubredditSource),
+  format: formatPost,
+  filter: filterPost,
+  state: createStateStore({ file: POSTED_IDS_FILE, legacyFormat: 'list', retention: STATE_RETENTION }),
+  sessionFile: path.join(__dirname, 'session.json'),
+  outboxFile: path.join(__dirname, 'outbox.json'),
+});
+
+// Started with `node index.js`, the tests only require the sources, filter
+// and formatter
+if (require.main === module) {
+  bot.start();
+}
+
+module.exports = { createSubredditSource, filterPost, formatPost, getPreviewImage, CONFIG_SCHEMA };
+
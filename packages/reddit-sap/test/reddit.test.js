@@ -0,0 +1,117 @@
+// Reddit is replaced by a stand-in, getNew() answers with `mockPosts`
+let mockPosts = [];
+const mockReddit = {
+  getSubreddit: jest.fn(async () => ({ getNew: jest.fn(async () => mockPosts) })),
+};
+jest.mock('snoowrap', () => jest.fn(() => mockReddit));
+
+process.env.LOG_LEVEL = 'silent';
+// The bot is not started when required, the filters come from config.yaml
+const { createSubredditSource, filterPost, formatPost, getPreviewImage } = require('../index');
+
+const redditPost = (fields) => ({
+  id: 'abc',
+  author: { name: 'jdoe' },
+  title: 'How do I extend a CDS view?',
+  selftext: '',
+  link_flair_text: null,
+  created_utc: 1792281600,
+  permalink: '/r/SAP/comments/abc/how_do_i/',
+  thumbnail: 'self',
+  ...fields,
+});
+
+describe('Shipped filters', () => {
+  const decide = (fields, source = 'r/SAP') => {
+    const post = redditPost(fields);
+    return filterPost({ title: post.title, selftext: post.selftext, author: post.author.name, flair: post.link_flair_text }, { name: source });
+  };
+
+  test('Posts an ordinary question', () => {
+    expect(decide({})).toMatchObject({ action: 'post', rule: 'default' });
+  });
+
+  test('Skips the posts of AutoModerator', () => {
+    expect(decide({ author: { name: 'AutoModerator' }, title: 'Weekly thread' }, 'r/abap')).toMatchObject({
+      action: 'skip',
+      rule: '*.denyAuthors',
+    });
+  });
+
+  test.each([
+    'We are hiring an SAP FICO consultant',
+    'Job offer: ABAP developer in Berlin',
+    'Job opening for a BTP architect',
+    'Freelancer needed for an S/4HANA migration',
+  ])('Skips the job offer "%s"', (title) => {
+    expect(decide({ title })).toMatchObject({ action: 'skip', rule: 'job-offers' });
+  });
+
+  test.each(['Jobs', 'Job Posting'])('Skips posts with the flair %s', (flair) => {
+    expect(decide({ link_flair_text: flair })).toMatchObject({ action: 'skip', rule: 'job-flair' });
+  });
+
+  test('Posts words that only look like job offers', () => {
+    expect(decide({ title: 'Jobs in SM37 are stuck', link_flair_text: 'Question' })).toMatchObject({ action: 'post' });
+  });
+});
+
+describe('Subreddit source', () => {
+  test('Reads the newest posts with their flair and preview image', async () => {
+    mockPosts = [redditPost({
+      selftext: 'I have a question about CDS.',
+      link_flair_text: 'Question',
+      preview: { images: [{ source: { url: 'https://preview.redd.it/a.png?width=640&amp;s=1' } }] },
+    })];
+    const items = await createSubredditSource('SAP').fetch({ log: { info: () => {} } });
+
+    expect(mockReddit.getSubreddit).toHaveBeenCalledWith('SAP');
+    expect(items).toEqual([{
+      id: 'abc',
+      label: 'Reddit post ID abc',
+      subredditName: 'SAP',
+      author: 'jdoe',
+      title: 'How do I extend a CDS view?',
+      selftext: 'I have a question about CDS.',
+      flair: 'Question',
+      published: '2026-10-18T00:00:00.000Z',
+      permalink: '/r/SAP/comments/abc/how_do_i/',
+      previewImage: 'https://preview.redd.it/a.png?width=640&s=1',
+    }]);
+  });
+
+  test('Falls back to the thumbnail, "self" and "default" are no images', () => {
+    expect(getPreviewImage({ thumbnail: 'https://b.thumbs.redditmedia.com/t.jpg' })).toBe('https://b.thumbs.redditmedia.com/t.jpg');
+    expect(getPreviewImage({ thumbnail: 'self' })).toBeNull();
+    expect(getPreviewImage({ thumbnail: 'default', preview: { images: [] } })).toBeNull();
+  });
+});
+
+describe('Reddit post format', () => {
+  const item = {
+    subredditName: 'SAP',
+    author: 'jdoe',
+    title: 'How do I extend a CDS view?',
+    permalink: '/r/SAP/comments/abc/how_do_i/',
+    previewImage: null,
+  };
+
+  test('Puts a self post into a link card with its preview image', () => {
+    const post = formatPost({ ...item, selftext: 'I have a question about CDS.', previewImage: 'https://preview.redd.it/a.png' });
+
+    expect(post.text).toBe('New post in r/SAP by u/jdoe:\n🔗 Link: https://www.reddit.com/r/SAP/comments/abc/how_do_i/');
+    expect(post.embed.external).toEqual({
+      uri: 'https://www.reddit.com/r/SAP/comments/abc/how_do_i/',
+      title: 'How do I extend a CDS view?',
+      description: 'I have a question about CDS.',
+    });
+    expect(post.thumbnail).toBe('https://preview.redd.it/a.png');
+  });
+
+  test('Has the title of a link post in the text', () => {
+    const post = formatPost({ ...item, selftext: '' });
+
+    expect(post.text).toBe('New post in r/SAP by u/jdoe:\n📝 How do I extend a CDS view?\n🔗 Link: https://www.reddit.com/r/SAP/comments/abc/how_do_i/');
+    expect(post.embed).toBeUndefined();
+  });
+});
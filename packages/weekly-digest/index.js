@@ -0,0 +1,152 @@
+// Required modules
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const {
+  createBot,
+  createStateStore,
+  createConfig,
+  botConfigSchema,
+  createLogger,
+  splitIntoPosts,
+  postUrl,
+} = require('bluesky-bot-runtime');
+
+// Settings read from config.yaml (or the file in BOT_CONFIG)
+const CONFIG_FILE = process.env.BOT_CONFIG || path.join(__dirname, 'config.yaml');
+const CONFIG_SCHEMA = botConfigSchema({
+  // State files of the bots to summarize, in the order of the thread
+  bots: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['name', 'file'],
+      properties: {
+        name: { type: 'string', pattern: '\\S' },
+        // Relative to this directory
+        file: { type: 'string', pattern: '\\S' },
+        legacyFormat: { type: 'string', enum: ['map', 'list'], default: 'map' },
+      },
+    },
+  },
+  // No digest when the bots posted nothing
+  skipEmpty: { type: 'boolean', default: true, env: 'DIGEST_SKIP_EMPTY' },
+}, { required: ['bots'] });
+
+const POSTED_DIGESTS_FILE = path.join(__dirname, 'posted_digests.json');
+const DAY = 24 * 60 * 60 * 1000;
+const PERIOD = 7 * DAY;
+
+const log = createLogger('digest');
+
+let config;
+try {
+  config = createConfig({ file: CONFIG_FILE, schema: CONFIG_SCHEMA, log });
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
+
+// ISO week of a date, e.g. 2026-W42: one digest per week
+function isoWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // The Thursday of the week decides about the year
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day.getTime() - yearStart) / DAY + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Posts of one bot between `from` and `to`, oldest first. Records of
+// skipped, seeded or migrated items were not posted in that period, deleted
+// posts (see reconcile.js) are left out.
+function readPosts({ name, file, legacyFormat }, { from, to, log }) {
+  const stateFile = path.resolve(__dirname, file);
+  if (!fs.existsSync(stateFile)) {
+    log.warn(`No state file for ${name}: ${stateFile}`);
+    return [];
+  }
+  const store = createStateStore({ file: stateFile, legacyFormat }).load();
+  return store.entries()
+    .filter(([, record]) => record.uri && !record.skipped && !record.seeded && !record.migrated && !record.deleted)
+    .filter(([, record]) => {
+      const createdAt = new Date(record.createdAt).getTime();
+      return createdAt >= from.getTime() && createdAt < to.getTime();
+    })
+    .sort(([, a], [, b]) => a.createdAt.localeCompare(b.createdAt))
+    .map(([id, record]) => ({ label: record.title || record.label || id, uri: record.uri }));
+}
+
+// Source with at most one item: the digest of the current week
+const digestSource = {
+  name: 'weekly digest',
+  fetch: async ({ isPosted, log }) => {
+    const to = new Date();
+    const from = new Date(to.getTime() - PERIOD);
+    const id = `digest:${isoWeek(to)}`;
+    if (isPosted(id)) {
+      log.info(`The digest of ${isoWeek(to)} was posted already`);
+      return [];
+    }
+
+    const groups = config.current.bots.map((bot) => ({ name: bot.name, posts: readPosts(bot, { from, to, log }) }));
+    const total = groups.reduce((sum, group) => sum + group.posts.length, 0);
+    log.info(`Found ${total} posts of ${groups.length} bots since ${from.toISOString()}`);
+    if (total === 0 && config.current.skipEmpty) {
+      return [];
+    }
+
+    return [{
+      id,
+      label: `Digest ${isoWeek(to)}`,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      published: to.toISOString(),
+      groups,
+    }];
+  },
+};
+
+const dateFormat = new Intl.DateTimeFormat('en', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+// Root post with the counts, continued in the first replies when they do not
+// fit, then one or more replies per bot listing its posts, each linked to the
+// original post
+function formatDigest({ from, to, groups }) {
+  const total = groups.reduce((sum, group) => sum + group.posts.length, 0);
+  const counts = groups.map((group) => `• ${group.name}: ${group.posts.length}`);
+  const [root, ...moreCounts] = splitIntoPosts(
+    counts.map((line) => [line]),
+    {
+      header: [`📰 Weekly digest, ${dateFormat.format(new Date(from))} – ${dateFormat.format(new Date(to))}\n${total} posts by the bots:`],
+      continued: ['Posts by the bots (continued):'],
+    },
+  );
+
+  const replies = groups.filter((group) => group.posts.length > 0).flatMap((group) => splitIntoPosts(
+    group.posts.map(({ label, uri }) => ['• ', { text: label, link: postUrl(uri) }]),
+    { header: [`${group.name} (${group.posts.length}):`], continued: [`${group.name} (continued):`] },
+  ));
+
+  return { ...root, replies: [...moreCounts, ...replies] };
+}
+
+const bot = createBot({
+  name: 'digest',
+  config,
+  log,
+  sources: [digestSource],
+  format: formatDigest,
+  state: createStateStore({ file: POSTED_DIGESTS_FILE }),
+  sessionFile: path.join(__dirname, 'session.json'),
+  outboxFile: path.join(__dirname, 'outbox.json'),
+});
+
+// Started with `node index.js`, the tests only require the helpers
+if (require.main === module) {
+  bot.start();
+}
+
+module.exports = { isoWeek, readPosts, formatDigest };
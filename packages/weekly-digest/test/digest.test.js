@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore, createLogger } = require('bluesky-bot-runtime');
+
+process.env.LOG_LEVEL = 'silent';
+// The bot is not started when required
+const { isoWeek, readPosts, formatDigest } = require('../index');
+
+const silentLog = createLogger('test', { level: 'silent' });
+const uri = (id) => `at://did:plc:bot/app.bsky.feed.post/${id}`;
+
+describe('ISO weeks', () => {
+  test.each([
+    ['2026-10-19T09:00:00Z', '2026-W43'],
+    ['2026-01-01T00:00:00Z', '2026-W01'],
+    // Monday of the first week of 2025
+    ['2024-12-30T12:00:00Z', '2025-W01'],
+    // The Sunday before still belongs to 2024
+    ['2024-12-29T23:59:59Z', '2024-W52'],
+    // 2020 and 2026 have 53 weeks
+    ['2021-01-03T12:00:00Z', '2020-W53'],
+    ['2027-01-03T12:00:00Z', '2026-W53'],
+    ['2027-01-04T00:00:00Z', '2027-W01'],
+  ])('%s is in %s', (date, week) => {
+    expect(isoWeek(new Date(date))).toBe(week);
+  });
+});
+
+describe('Reading the posts of a bot', () => {
+  let dir;
+  const from = new Date('2026-10-12T09:00:00Z');
+  const to = new Date('2026-10-19T09:00:00Z');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Records created at the given time
+  const writeState = (file, records) => {
+    let clock;
+    const store = createStateStore({ file, now: () => clock }).load();
+    for (const [id, createdAt, fields] of records) {
+      clock = new Date(createdAt);
+      store.set(id, fields);
+    }
+  };
+
+  test('Lists the posts of the period, oldest first', () => {
+    const file = path.join(dir, 'posted.json');
+    writeState(file, [
+      ['b', '2026-10-15T10:00:00Z', { uri: uri('b'), title: 'Second' }],
+      ['a', '2026-10-13T10:00:00Z', { uri: uri('a'), label: '"First"' }],
+      ['c', '2026-10-18T10:00:00Z', { uri: uri('c') }],
+      ['old', '2026-10-12T08:59:59Z', { uri: uri('old') }],
+      ['later', '2026-10-19T09:00:00Z', { uri: uri('later') }],
+      ['skipped', '2026-10-14T10:00:00Z', { uri: null, skipped: true }],
+      ['seeded', '2026-10-14T10:00:00Z', { seeded: true }],
+      ['deleted', '2026-10-14T10:00:00Z', { uri: uri('deleted'), deleted: true }],
+      ['queued', '2026-10-14T10:00:00Z', {}],
+    ]);
+
+    expect(readPosts({ name: 'SCN', file }, { from, to, log: silentLog })).toEqual([
+      { label: '"First"', uri: uri('a') },
+      { label: 'Second', uri: uri('b') },
+      { label: 'c', uri: uri('c') },
+    ]);
+  });
+
+  test('Leaves out migrated records and missing files', () => {
+    const file = path.join(dir, 'posted_reddit_posts.json');
+    fs.writeFileSync(file, JSON.stringify(['t3_1', 't3_2']));
+    const log = { warn: jest.fn() };
+
+    expect(readPosts({ name: 'Reddit', file, legacyFormat: 'list' }, { from, to, log })).toEqual([]);
+    expect(readPosts({ name: 'UI5', file: path.join(dir, 'missing.json') }, { from, to, log })).toEqual([]);
+    expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('No state file for UI5'));
+  });
+});
+
+describe('Digest format', () => {
+  const digest = (groups) => formatDigest({ from: '2026-10-12T09:00:00.000Z', to: '2026-10-19T09:00:00.000Z', groups });
+  const posts = (count, prefix) => Array.from({ length: count }, (_, index) => ({
+    label: `${prefix} post number ${index + 1} with a longer title`,
+    uri: uri(`${prefix}${index}`),
+  }));
+
+  test('Counts the posts per bot and lists them in the replies', () => {
+    const post = digest([
+      { name: 'SAP Community blogs', posts: posts(2, 'scn') },
+      { name: 'Reddit', posts: [] },
+    ]);
+
+    expect(post.text).toBe('📰 Weekly digest, Oct 12, 2026 – Oct 19, 2026\n2 posts by the bots:\n• SAP Community blogs: 2\n• Reddit: 0');
+    expect(post.replies).toHaveLength(1);
+    expect(post.replies[0].text).toBe([
+      'SAP Community blogs (2):',
+      '• scn post number 1 with a longer title',
+      '• scn post number 2 with a longer title',
+    ].join('\n'));
+    expect(post.replies[0].facets.map((facet) => facet.features[0].uri)).toEqual([
+      'https://bsky.app/profile/did:plc:bot/post/scn0',
+      'https://bsky.app/profile/did:plc:bot/post/scn1',
+    ]);
+  });
+
+  test('Continues the counts in the first replies when they do not fit', () => {
+    const groups = Array.from({ length: 12 }, (_, index) => ({
+      name: `Bot number ${index + 1} with a rather long name for its posts`,
+      posts: index === 0 ? posts(1, 'first') : [],
+    }));
+    const post = digest(groups);
+
+    const countLines = [post, ...post.replies].flatMap((part) => part.text.split('\n').filter((line) => line.startsWith('• Bot number')));
+    expect(countLines).toHaveLength(12);
+    expect(post.replies[0].text.startsWith('Posts by the bots (continued):\n')).toBe(true);
+    // The lists of the posts follow the counts
+    expect(post.replies[post.replies.length - 1].text.startsWith('Bot number 1 with a rather long name for its posts (1):\n')).toBe(true);
+    [post, ...post.replies].forEach((part) => expect([...new Intl.Segmenter().segment(part.text)].length).toBeLessThanOrEqual(300));
+  });
+
+  test('Continues a long list in further replies', () => {
+    const post = digest([{ name: 'npm packages', posts: posts(20, 'npm') }]);
+
+    expect(post.replies.length).toBeGreaterThan(1);
+    expect(post.replies[0].text.startsWith('npm packages (20):\n')).toBe(true);
+    expect(post.replies[1].text.startsWith('npm packages (continued):\n')).toBe(true);
+    expect(post.replies.flatMap((reply) => reply.facets)).toHaveLength(20);
+    post.replies.forEach((reply) => expect([...new Intl.Segmenter().segment(reply.text)].length).toBeLessThanOrEqual(300));
+  });
+});